@@ -8,17 +8,33 @@ const rateLimit = require('express-rate-limit');
 
 const connectDB = require('./src/config/database');
 const { sendError } = require('./src/utils/response');
+const { startScheduler, stopScheduler } = require('./src/services/scheduler');
+const { registerFollowUpJobs } = require('./src/services/followUps');
+const { registerScoringJobs } = require('./src/services/scoring');
+const { checkTransport } = require('./src/services/notifications');
+const LeadSource = require('./src/models/LeadSource');
 
 // Routes
 const authRoutes = require('./src/routes/auth');
 const productRoutes = require('./src/routes/products');
 const leadRoutes = require('./src/routes/leads');
+const orderRoutes = require('./src/routes/orders');
 
 // Initialiser l'application Express
 const app = express();
 
-// Connecter à la base de données
-connectDB();
+// Refuser de démarrer avec un transport de notification inconnu plutôt que
+// d'échouer au premier envoi
+checkTransport();
+
+// Connecter à la base de données, créer les sources de leads prédéfinies
+// puis démarrer les tâches planifiées
+registerFollowUpJobs();
+registerScoringJobs();
+connectDB()
+  .then(() => LeadSource.ensureDefaults())
+  .then(() => startScheduler())
+  .catch(error => console.error('❌ Erreur de démarrage:', error.message));
 
 // Middlewares de sécurité et performance
 app.use(helmet({
@@ -49,7 +65,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key']
 };
 
 app.use(cors(corsOptions));
@@ -93,6 +109,7 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/leads', leadRoutes);
+app.use('/api/orders', orderRoutes);
 
 // Route par défaut
 app.get('/', (req, res) => {
@@ -104,7 +121,8 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       products: '/api/products',
-      leads: '/api/leads'
+      leads: '/api/leads',
+      orders: '/api/orders'
     }
   });
 });
@@ -177,6 +195,7 @@ const server = app.listen(PORT, () => {
 // Gestion des arrêts gracieux
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM reçu. Arrêt gracieux...');
+  stopScheduler();
   server.close(() => {
     console.log('✅ Serveur fermé.');
     process.exit(0);
@@ -185,6 +204,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('👋 SIGINT reçu. Arrêt gracieux...');
+  stopScheduler();
   server.close(() => {
     console.log('✅ Serveur fermé.');
     process.exit(0);
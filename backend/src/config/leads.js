@@ -0,0 +1,137 @@
+/**
+ * Constantes métier des leads
+ */
+
+const LEAD_STATUSES = {
+  NEW: 'nouveau',
+  CONTACTED: 'contacte',
+  INTERESTED: 'interesse',
+  CONVERTED: 'converti',
+  LOST: 'perdu'
+};
+
+// Statuts terminaux : un lead fermé ne peut être rouvert qu'avec leads:reopen
+const CLOSED_STATUSES = [LEAD_STATUSES.CONVERTED, LEAD_STATUSES.LOST];
+
+// Graphe des transitions autorisées (statut actuel -> statuts suivants)
+const STATUS_TRANSITIONS = {
+  [LEAD_STATUSES.NEW]: [LEAD_STATUSES.CONTACTED, LEAD_STATUSES.LOST],
+  [LEAD_STATUSES.CONTACTED]: [LEAD_STATUSES.INTERESTED, LEAD_STATUSES.LOST],
+  [LEAD_STATUSES.INTERESTED]: [LEAD_STATUSES.CONVERTED, LEAD_STATUSES.LOST],
+  [LEAD_STATUSES.CONVERTED]: [],
+  [LEAD_STATUSES.LOST]: []
+};
+
+// Réouverture d'un lead fermé (permission leads:reopen requise)
+const REOPEN_TRANSITIONS = {
+  [LEAD_STATUSES.CONVERTED]: [LEAD_STATUSES.INTERESTED, LEAD_STATUSES.LOST],
+  [LEAD_STATUSES.LOST]: [LEAD_STATUSES.NEW, LEAD_STATUSES.CONTACTED, LEAD_STATUSES.INTERESTED]
+};
+
+// Motifs de perte (obligatoires pour passer un lead en « perdu »)
+const LOSS_REASONS = {
+  prix: 'Prix trop élevé',
+  rupture_stock: 'Produit en rupture de stock',
+  injoignable: 'Client injoignable',
+  pas_interesse: 'Plus intéressé',
+  concurrence: 'Acheté chez un concurrent',
+  livraison: 'Zone ou délai de livraison',
+  doublon: 'Demande en double',
+  autre: 'Autre'
+};
+
+// Sources prédéfinies des leads, les administrateurs pouvant en ajouter (modèle LeadSource)
+const LEAD_SOURCES = {
+  WEBSITE: 'website',
+  WHATSAPP: 'whatsapp',
+  DIRECT: 'direct',
+  IMPORT: 'import'
+};
+
+// Créées au démarrage si absentes ; les sources système (valeurs par défaut
+// du formulaire et de l'import CSV) ne peuvent être ni désactivées ni supprimées
+const DEFAULT_LEAD_SOURCES = [
+  { code: LEAD_SOURCES.WEBSITE, label: 'Site web', isSystem: true },
+  { code: LEAD_SOURCES.WHATSAPP, label: 'WhatsApp', isSystem: false },
+  { code: LEAD_SOURCES.DIRECT, label: 'Direct', isSystem: false },
+  { code: LEAD_SOURCES.IMPORT, label: 'Import CSV', isSystem: true }
+];
+
+// Format du code d'une source (ex: facebook_ads, tiktok)
+const LEAD_SOURCE_CODE_PATTERN = /^[a-z0-9][a-z0-9_-]{1,29}$/;
+
+// Types d'entrées de la chronologie d'un lead (modèle LeadActivity)
+const ACTIVITY_TYPES = {
+  STATUS_CHANGE: 'status_change',
+  ASSIGNMENT: 'assignment',
+  FOLLOW_UP: 'follow_up',
+  NOTE: 'note',
+  CALL: 'call',
+  WHATSAPP_MESSAGE: 'whatsapp_message',
+  DUPLICATE_SUBMISSION: 'duplicate_submission',
+  MERGE: 'merge'
+};
+
+// Types pouvant être saisis manuellement (POST /api/leads/:id/notes)
+const MANUAL_ACTIVITY_TYPES = [
+  ACTIVITY_TYPES.NOTE,
+  ACTIVITY_TYPES.CALL,
+  ACTIVITY_TYPES.WHATSAPP_MESSAGE
+];
+
+/**
+ * Vérifie qu'un changement de statut respecte le graphe des transitions
+ * @param {String} from - Statut actuel
+ * @param {String} to - Statut demandé
+ * @param {Object} options - Options
+ * @param {String} options.lossReason - Motif de perte (requis vers « perdu »)
+ * @param {Boolean} options.canReopen - L'auteur peut rouvrir un lead fermé
+ * @returns {Object|null} { statusCode, message, allowed } ou null si autorisé
+ */
+const checkStatusTransition = (from, to, { lossReason, canReopen = false } = {}) => {
+  const allowed = STATUS_TRANSITIONS[from] || [];
+  const reopen = REOPEN_TRANSITIONS[from] || [];
+
+  if (!allowed.includes(to)) {
+    if (!reopen.includes(to)) {
+      const allowedNext = canReopen ? [...allowed, ...reopen] : allowed;
+      return {
+        statusCode: 409,
+        message: `Transition de statut invalide : ${from} → ${to}`,
+        allowed: allowedNext
+      };
+    }
+
+    if (!canReopen) {
+      return {
+        statusCode: 403,
+        message: 'Vous n\'avez pas la permission de rouvrir un lead fermé',
+        allowed
+      };
+    }
+  }
+
+  if (to === LEAD_STATUSES.LOST && !LOSS_REASONS[lossReason]) {
+    return {
+      statusCode: 400,
+      message: 'Un motif de perte est requis pour passer un lead en « perdu »',
+      allowed: Object.keys(LOSS_REASONS)
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  LEAD_STATUSES,
+  CLOSED_STATUSES,
+  STATUS_TRANSITIONS,
+  REOPEN_TRANSITIONS,
+  LOSS_REASONS,
+  LEAD_SOURCES,
+  DEFAULT_LEAD_SOURCES,
+  LEAD_SOURCE_CODE_PATTERN,
+  ACTIVITY_TYPES,
+  MANUAL_ACTIVITY_TYPES,
+  checkStatusTransition
+};
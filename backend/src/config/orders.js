@@ -0,0 +1,48 @@
+/**
+ * Constantes métier des commandes
+ */
+
+const ORDER_STATUSES = {
+  CONFIRMED: 'confirmee',
+  SHIPPING: 'en_livraison',
+  DELIVERED: 'livree',
+  CANCELLED: 'annulee'
+};
+
+// Graphe des transitions autorisées (statut actuel -> statuts suivants)
+const ORDER_STATUS_TRANSITIONS = {
+  [ORDER_STATUSES.CONFIRMED]: [ORDER_STATUSES.SHIPPING, ORDER_STATUSES.CANCELLED],
+  [ORDER_STATUSES.SHIPPING]: [ORDER_STATUSES.DELIVERED, ORDER_STATUSES.CANCELLED],
+  [ORDER_STATUSES.DELIVERED]: [],
+  [ORDER_STATUSES.CANCELLED]: []
+};
+
+// Statuts dans lesquels la commande réserve encore le stock
+const ACTIVE_ORDER_STATUSES = [ORDER_STATUSES.CONFIRMED, ORDER_STATUSES.SHIPPING];
+
+/**
+ * Vérifie un changement de statut de commande
+ * @param {String} from - Statut actuel
+ * @param {String} to - Statut demandé
+ * @returns {Object|null} { statusCode, message, allowed } ou null si autorisé
+ */
+const checkOrderTransition = (from, to) => {
+  const allowed = ORDER_STATUS_TRANSITIONS[from] || [];
+
+  if (!allowed.includes(to)) {
+    return {
+      statusCode: 409,
+      message: `Transition de statut invalide : ${from} → ${to}`,
+      allowed
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  ACTIVE_ORDER_STATUSES,
+  checkOrderTransition
+};
@@ -0,0 +1,109 @@
+/**
+ * Rôles et permissions de l'application
+ * Les permissions suivent le format ressource:action[:portée]
+ */
+
+const PERMISSIONS = {
+  LEADS_READ: 'leads:read',
+  LEADS_READ_ASSIGNED: 'leads:read:assigned',
+  LEADS_UPDATE: 'leads:update',
+  LEADS_UPDATE_ASSIGNED: 'leads:update:assigned',
+  LEADS_ASSIGN: 'leads:assign',
+  LEADS_REOPEN: 'leads:reopen',
+  LEADS_MERGE: 'leads:merge',
+  LEADS_DELETE: 'leads:delete',
+  LEADS_EXPORT: 'leads:export',
+  LEADS_IMPORT: 'leads:import',
+  LEADS_STATS: 'leads:stats',
+  PRODUCTS_CREATE: 'products:create',
+  PRODUCTS_UPDATE: 'products:update',
+  PRODUCTS_DELETE: 'products:delete',
+  PRODUCTS_STOCK_UPDATE: 'products:stock:update',
+  PRODUCTS_STATS: 'products:stats',
+  ORDERS_READ: 'orders:read',
+  ORDERS_CREATE: 'orders:create',
+  ORDERS_UPDATE: 'orders:update',
+  ORDERS_DELETE: 'orders:delete',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  API_KEYS_MANAGE: 'api-keys:manage',
+  SETTINGS_MANAGE: 'settings:manage'
+};
+
+const ROLE_PERMISSIONS = {
+  // Client inscrit : aucun accès au back-office
+  user: [],
+
+  // Commercial : travaille uniquement ses leads assignés
+  agent: [
+    PERMISSIONS.LEADS_READ_ASSIGNED,
+    PERMISSIONS.LEADS_UPDATE_ASSIGNED
+  ],
+
+  // Magasinier : gère les stocks sans pouvoir modifier le catalogue
+  stock_manager: [
+    PERMISSIONS.PRODUCTS_STOCK_UPDATE,
+    PERMISSIONS.PRODUCTS_STATS
+  ],
+
+  // Responsable : pilote les leads et le catalogue, consulte les utilisateurs
+  manager: [
+    PERMISSIONS.LEADS_READ,
+    PERMISSIONS.LEADS_READ_ASSIGNED,
+    PERMISSIONS.LEADS_UPDATE,
+    PERMISSIONS.LEADS_UPDATE_ASSIGNED,
+    PERMISSIONS.LEADS_ASSIGN,
+    PERMISSIONS.LEADS_REOPEN,
+    PERMISSIONS.LEADS_EXPORT,
+    PERMISSIONS.LEADS_IMPORT,
+    PERMISSIONS.LEADS_STATS,
+    PERMISSIONS.PRODUCTS_CREATE,
+    PERMISSIONS.PRODUCTS_UPDATE,
+    PERMISSIONS.PRODUCTS_STOCK_UPDATE,
+    PERMISSIONS.PRODUCTS_STATS,
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.ORDERS_CREATE,
+    PERMISSIONS.ORDERS_UPDATE,
+    PERMISSIONS.USERS_READ
+  ],
+
+  // Administrateur : toutes les permissions
+  admin: Object.values(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Scopes attribuables aux clés API : uniquement des permissions
+// qui ne dépendent pas d'un utilisateur connecté
+const API_KEY_SCOPES = [
+  PERMISSIONS.LEADS_READ,
+  PERMISSIONS.LEADS_UPDATE,
+  PERMISSIONS.LEADS_ASSIGN,
+  PERMISSIONS.LEADS_EXPORT,
+  PERMISSIONS.LEADS_IMPORT,
+  PERMISSIONS.LEADS_STATS,
+  PERMISSIONS.PRODUCTS_UPDATE,
+  PERMISSIONS.PRODUCTS_STOCK_UPDATE,
+  PERMISSIONS.PRODUCTS_STATS,
+  PERMISSIONS.ORDERS_READ,
+  PERMISSIONS.ORDERS_UPDATE
+];
+
+/**
+ * Vérifie si un rôle possède une permission
+ * @param {String} role - Le rôle
+ * @param {String} permission - La permission recherchée
+ * @returns {Boolean} True si autorisé
+ */
+const roleHasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  API_KEY_SCOPES,
+  roleHasPermission
+};
@@ -0,0 +1,17 @@
+/**
+ * Constantes métier des produits
+ */
+
+const PRODUCT_CATEGORIES = [
+  'Électronique',
+  'Mode',
+  'Maison & Jardin',
+  'Automobile',
+  'Santé & Beauté',
+  'Sports & Loisirs',
+  'Industrie & BTP'
+];
+
+module.exports = {
+  PRODUCT_CATEGORIES
+};
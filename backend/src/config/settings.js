@@ -0,0 +1,109 @@
+/**
+ * Paramètres applicatifs modifiables par les administrateurs
+ * Chaque entrée définit la clé en base (modèle Setting) et les valeurs par défaut
+ */
+
+const SECURITY_SETTINGS = {
+  key: 'security',
+  defaults: {
+    // Oblige tous les administrateurs à activer la double authentification
+    requireAdminTwoFactor: false
+  }
+};
+
+// Stratégies d'assignation automatique des nouveaux leads
+const ASSIGNMENT_STRATEGIES = {
+  // Au tour de l'agent dont la dernière assignation est la plus ancienne
+  ROUND_ROBIN: 'round_robin',
+  // À l'agent ayant le moins de leads ouverts
+  LEAST_OPEN_LEADS: 'least_open_leads',
+  // Aux agents couvrant la catégorie du produit (moins de leads ouverts d'abord)
+  PRODUCT_CATEGORY: 'product_category'
+};
+
+const ASSIGNMENT_SETTINGS = {
+  key: 'assignment',
+  defaults: {
+    // Assigner automatiquement les leads créés depuis le site
+    enabled: false,
+    strategy: ASSIGNMENT_STRATEGIES.ROUND_ROBIN,
+    // Rôles pouvant recevoir des leads automatiquement
+    roles: ['agent'],
+    // Fuseau horaire des horaires de travail des agents
+    timezone: 'Africa/Kinshasa'
+  }
+};
+
+const FOLLOW_UP_SETTINGS = {
+  key: 'followUp',
+  defaults: {
+    // Rappel à l'agent (ou aux responsables si le lead n'est pas assigné) à l'échéance
+    remindersEnabled: true,
+    // Escalade aux responsables si le suivi n'est pas traité après ce délai
+    escalationDelayHours: 24,
+    // Récapitulatif quotidien des suivis du jour envoyé à chaque agent
+    digestEnabled: true,
+    // Heure locale d'envoi du récapitulatif (fuseau assignment.timezone)
+    digestHour: 7
+  }
+};
+
+// Règles du score des leads (0 à 100) : points ajoutés au score de base
+const SCORING_SETTINGS = {
+  key: 'scoring',
+  defaults: {
+    baseScore: 30,
+    // Prix du produit : le palier le plus élevé atteint s'applique
+    priceTiers: [
+      { min: 50, points: 5 },
+      { min: 100, points: 10 },
+      { min: 250, points: 15 }
+    ],
+    // Disponibilité du produit
+    inStockPoints: 10,
+    outOfStockPoints: -15,
+    // Message détaillé (au moins messageMinLength caractères)
+    messageMinLength: 30,
+    messageLengthPoints: 10,
+    // Mots-clés recherchés dans le message (sans tenir compte des accents ni de la casse)
+    keywords: [
+      { word: 'commander', points: 15 },
+      { word: 'urgent', points: 10 },
+      { word: 'livraison', points: 5 },
+      { word: 'prix', points: 5 }
+    ],
+    // Nouvelle demande du même numéro (doublon rattaché ou lead précédent)
+    repeatContactPoints: 10,
+    repeatContactMaxPoints: 20,
+    // Points par canal d'arrivée
+    sourcePoints: {
+      website: 0,
+      whatsapp: 10,
+      direct: 15,
+      import: 0
+    },
+    // Perte de points par jour depuis la création
+    agePenaltyPerDay: 2,
+    maxAgePenalty: 30
+  }
+};
+
+// Délais de traitement promis aux clients (SLA)
+const SLA_SETTINGS = {
+  key: 'sla',
+  defaults: {
+    // Rappel du client après sa demande (passage de « nouveau » à « contacte »)
+    firstContactMinutes: 60,
+    // Conversion d'un lead ouvert
+    conversionDays: 7
+  }
+};
+
+module.exports = {
+  SECURITY_SETTINGS,
+  FOLLOW_UP_SETTINGS,
+  ASSIGNMENT_STRATEGIES,
+  ASSIGNMENT_SETTINGS,
+  SCORING_SETTINGS,
+  SLA_SETTINGS
+};
@@ -0,0 +1,98 @@
+const ApiKey = require('../models/ApiKey');
+const { sendSuccess, sendError, asyncHandler } = require('../utils/response');
+
+/**
+ * @desc    Lister les clés API
+ * @route   GET /api/auth/api-keys
+ * @access  Private (api-keys:manage)
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+  const { includeRevoked } = req.query;
+
+  const query = {};
+
+  if (includeRevoked !== 'true') {
+    query.revokedAt = null;
+  }
+
+  const apiKeys = await ApiKey.find(query)
+    .sort({ createdAt: -1 })
+    .populate('createdBy', 'name email');
+
+  sendSuccess(res, 200, 'Clés API récupérées avec succès', { apiKeys });
+});
+
+/**
+ * @desc    Créer une clé API (la clé en clair n'est renvoyée qu'une fois)
+ * @route   POST /api/auth/api-keys
+ * @access  Private (api-keys:manage)
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, rateLimit, expiresAt } = req.body;
+
+  const { apiKey, rawKey } = await ApiKey.generate({
+    name,
+    scopes,
+    rateLimit,
+    expiresAt,
+    createdBy: req.user._id
+  });
+
+  sendSuccess(res, 201, 'Clé API créée. Copiez-la maintenant : elle ne sera plus affichée.', {
+    apiKey,
+    key: rawKey
+  });
+});
+
+/**
+ * @desc    Modifier une clé API (nom, scopes, limite, expiration)
+ * @route   PATCH /api/auth/api-keys/:id
+ * @access  Private (api-keys:manage)
+ */
+const updateApiKey = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const apiKey = await ApiKey.findById(id);
+
+  if (!apiKey || apiKey.revokedAt) {
+    return sendError(res, 404, 'Clé API non trouvée');
+  }
+
+  const allowedFields = ['name', 'scopes', 'rateLimit', 'expiresAt'];
+  allowedFields.forEach(field => {
+    if (req.body[field] !== undefined) {
+      apiKey[field] = req.body[field];
+    }
+  });
+
+  await apiKey.save();
+
+  sendSuccess(res, 200, 'Clé API mise à jour avec succès', { apiKey });
+});
+
+/**
+ * @desc    Révoquer une clé API
+ * @route   DELETE /api/auth/api-keys/:id
+ * @access  Private (api-keys:manage)
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const apiKey = await ApiKey.findById(id);
+
+  if (!apiKey || apiKey.revokedAt) {
+    return sendError(res, 404, 'Clé API non trouvée');
+  }
+
+  apiKey.revokedAt = new Date();
+  await apiKey.save();
+
+  sendSuccess(res, 200, 'Clé API révoquée avec succès');
+});
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+};
@@ -1,6 +1,102 @@
 const User = require('../models/User');
-const { generateToken } = require('../utils/jwt');
-const { sendSuccess, sendError, asyncHandler, sanitizeUser } = require('../utils/response');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const LoginHistory = require('../models/LoginHistory');
+const Invitation = require('../models/Invitation');
+const Lead = require('../models/Lead');
+const LeadActivity = require('../models/LeadActivity');
+const Setting = require('../models/Setting');
+const Job = require('../models/Job');
+const {
+  SECURITY_SETTINGS,
+  ASSIGNMENT_SETTINGS,
+  FOLLOW_UP_SETTINGS,
+  SCORING_SETTINGS,
+  SLA_SETTINGS
+} = require('../config/settings');
+const { ACTIVITY_TYPES } = require('../config/leads');
+const { ROLE_PERMISSIONS, PERMISSIONS } = require('../config/permissions');
+const {
+  generateToken,
+  verifyRefreshToken,
+  decodeToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../utils/jwt');
+const { sendNotification, buildFrontendUrl } = require('../services/notifications');
+const { redistributeLeads } = require('../services/assignment');
+const { rescheduleDigest } = require('../services/followUps');
+const { getScoringRules, scheduleScoreRefresh } = require('../services/scoring');
+const { sendSuccess, sendError, sendPaginatedResponse, asyncHandler, sanitizeUser } = require('../utils/response');
+
+/**
+ * Génère la paire access token / refresh token pour un utilisateur
+ * Une nouvelle session est ouverte si aucune n'est fournie
+ * @param {Object} req - La requête Express
+ * @param {Object} user - L'objet utilisateur
+ * @param {Object} session - Session existante à prolonger (optionnel)
+ * @returns {Promise<Object>} { token, refreshToken, session }
+ */
+const issueAuthTokens = async (req, user, session = null) => {
+  if (!session) {
+    session = await Session.start(req, user);
+  }
+
+  // Le jti de l'access token et la famille du refresh token désignent la session
+  const token = generateToken(user, session._id);
+  const refreshToken = await RefreshToken.issue(user, session._id.toString());
+
+  session.expiresAt = new Date(decodeToken(refreshToken).exp * 1000);
+  await session.save();
+
+  return { token, refreshToken, session };
+};
+
+/**
+ * Envoie l'email de vérification d'adresse
+ * @param {Object} user - L'objet utilisateur
+ * @param {String} verificationToken - Token en clair
+ * @returns {Promise}
+ */
+const sendVerificationEmail = (user, verificationToken) => {
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+  return sendNotification({
+    to: user.email,
+    subject: 'Confirmez votre adresse email',
+    text: `Bonjour ${user.name},\n\nMerci pour votre inscription chez Mireb Commercial. Pour confirmer votre adresse email, ouvrez ce lien :\n${apiUrl}/api/auth/verify-email/${verificationToken}\n\nCe lien expire dans ${parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24} heures.`
+  }).catch(error => console.error('❌ Erreur d\'envoi de la notification:', error.message));
+};
+
+/**
+ * Enregistre une connexion réussie et prévient l'utilisateur si elle est suspecte
+ * @param {Object} req - La requête Express
+ * @param {Object} user - L'objet utilisateur
+ * @returns {Promise}
+ */
+const recordSuccessfulLogin = async (req, user) => {
+  const entry = await LoginHistory.record(req, { user, outcome: 'success' });
+
+  if (entry.suspicious) {
+    sendNotification({
+      to: user.email,
+      subject: 'Nouvelle connexion à votre compte',
+      text: `Bonjour ${user.name},\n\nUne connexion à votre compte a eu lieu le ${entry.createdAt.toISOString()} depuis une adresse IP inhabituelle (${entry.ip}).\nSi ce n'était pas vous, réinitialisez immédiatement votre mot de passe.`
+    }).catch(error => console.error('❌ Erreur d\'envoi de la notification:', error.message));
+  }
+};
+
+/**
+ * Vérifie si une modification retirerait le dernier administrateur actif
+ * @param {Object} user - L'utilisateur modifié (état actuel)
+ * @returns {Promise<Boolean>} True si l'opération doit être refusée
+ */
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive) return false;
+
+  const otherAdmins = await User.countActiveAdmins(user._id);
+  return otherAdmins === 0;
+};
 
 /**
  * @desc    Inscription d'un nouvel utilisateur
@@ -16,16 +112,21 @@ const register = asyncHandler(async (req, res) => {
     return sendError(res, 409, 'Un utilisateur avec cet email existe déjà');
   }
 
-  // Créer le nouvel utilisateur
-  const user = await User.create({
+  // Créer le nouvel utilisateur (email à vérifier)
+  const user = new User({
     name,
     email,
     password,
-    role: 'user'
+    role: 'user',
+    emailVerified: false
   });
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  sendVerificationEmail(user, verificationToken);
 
-  // Générer le token JWT
-  const token = generateToken(user);
+  // Générer les tokens JWT
+  const { token, refreshToken } = await issueAuthTokens(req, user);
 
   // Mettre à jour le dernier login
   await user.updateLastLogin();
@@ -33,9 +134,10 @@ const register = asyncHandler(async (req, res) => {
   // Renvoyer la réponse sans le mot de passe
   const userData = sanitizeUser(user);
 
-  sendSuccess(res, 201, 'Utilisateur créé avec succès', {
+  sendSuccess(res, 201, 'Utilisateur créé avec succès. Un email de vérification vous a été envoyé.', {
     user: userData,
-    token
+    token,
+    refreshToken
   });
 });
 
@@ -47,36 +149,162 @@ const register = asyncHandler(async (req, res) => {
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
-  // Chercher l'utilisateur avec le mot de passe
-  const user = await User.findOne({ email }).select('+password');
+  // Chercher l'utilisateur avec le mot de passe et les compteurs de verrouillage
+  const user = await User.findOne({ email })
+    .select('+password +failedLoginAttempts +lockCount +lockUntil');
   
   if (!user) {
+    await LoginHistory.record(req, { email, outcome: 'failure', reason: 'unknown_email' });
+    return sendError(res, 401, 'Email ou mot de passe incorrect');
+  }
+
+  // Compte verrouillé : même message générique, sans vérifier le mot de passe
+  if (user.isLocked) {
+    await LoginHistory.record(req, { user, outcome: 'locked', reason: 'account_locked' });
     return sendError(res, 401, 'Email ou mot de passe incorrect');
   }
 
   // Vérifier si le compte est actif
   if (!user.isActive) {
+    await LoginHistory.record(req, { user, outcome: 'failure', reason: 'account_disabled' });
     return sendError(res, 401, 'Votre compte a été désactivé. Contactez l\'administrateur.');
   }
 
   // Vérifier le mot de passe
   const isPasswordValid = await user.comparePassword(password);
   if (!isPasswordValid) {
+    await user.registerFailedLogin();
+    await LoginHistory.record(req, { user, outcome: 'failure', reason: 'invalid_password' });
     return sendError(res, 401, 'Email ou mot de passe incorrect');
   }
 
-  // Générer le token JWT
-  const token = generateToken(user);
+  // Double authentification : renvoyer un challenge au lieu des tokens
+  if (user.twoFactorEnabled) {
+    await LoginHistory.record(req, { user, outcome: 'challenge' });
+    return sendSuccess(res, 200, 'Code de double authentification requis', {
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallenge(user)
+    });
+  }
 
-  // Mettre à jour le dernier login
+  // Générer les tokens JWT
+  const { token, refreshToken } = await issueAuthTokens(req, user);
+
+  // Réinitialiser les compteurs et mettre à jour le dernier login
+  await user.resetLoginAttempts();
   await user.updateLastLogin();
+  await recordSuccessfulLogin(req, user);
 
   // Renvoyer la réponse sans le mot de passe
   const userData = sanitizeUser(user);
 
   sendSuccess(res, 200, 'Connexion réussie', {
     user: userData,
-    token
+    token,
+    refreshToken,
+    twoFactorSetupRequired: await user.isTwoFactorEnrollmentRequired()
+  });
+});
+
+/**
+ * @desc    Seconde étape de connexion : challenge + code TOTP (ou code de récupération)
+ * @route   POST /api/auth/login/2fa
+ * @access  Public
+ */
+const loginWithTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let decoded;
+  try {
+    decoded = verifyTwoFactorChallenge(challengeToken);
+  } catch (error) {
+    return sendError(res, 401, 'Challenge invalide ou expiré. Reconnectez-vous.');
+  }
+
+  const user = await User.findById(decoded.id)
+    .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes +failedLoginAttempts +lockCount +lockUntil');
+
+  if (!user || !user.isActive) {
+    return sendError(res, 401, 'Utilisateur non trouvé ou désactivé');
+  }
+
+  if (user.isLocked) {
+    await LoginHistory.record(req, { user, outcome: 'locked', reason: 'account_locked' });
+    return sendError(res, 401, 'Code de double authentification invalide');
+  }
+
+  // Le code est consommé de façon atomique (anti-rejeu, code de récupération à usage unique)
+  if (!await user.verifyTwoFactor({ code, recoveryCode })) {
+    await user.registerFailedLogin();
+    await LoginHistory.record(req, { user, outcome: 'failure', reason: 'invalid_2fa_code' });
+    return sendError(res, 401, 'Code de double authentification invalide');
+  }
+
+  // Générer les tokens JWT
+  const { token, refreshToken } = await issueAuthTokens(req, user);
+
+  // Réinitialiser les compteurs et mettre à jour le dernier login
+  await user.resetLoginAttempts();
+  await user.updateLastLogin();
+  await recordSuccessfulLogin(req, user);
+
+  const userData = sanitizeUser(user);
+
+  sendSuccess(res, 200, 'Connexion réussie', {
+    user: userData,
+    token,
+    refreshToken,
+    remainingRecoveryCodes: user.twoFactorRecoveryCodes.length
+  });
+});
+
+/**
+ * @desc    Renouveler l'access token à partir d'un refresh token (rotation)
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    return sendError(res, 401, 'Refresh token invalide ou expiré');
+  }
+
+  const user = await User.findById(decoded.id);
+
+  if (!user || !user.isActive) {
+    await RefreshToken.revokeFamily(decoded.family);
+    return sendError(res, 401, 'Utilisateur non trouvé ou désactivé');
+  }
+
+  const session = await Session.findActiveById(decoded.family);
+
+  if (decoded.ver !== user.tokenVersion || !session) {
+    await RefreshToken.revokeFamily(decoded.family);
+    return sendError(res, 401, 'Session expirée. Veuillez vous reconnecter.');
+  }
+
+  let newRefreshToken;
+  try {
+    newRefreshToken = await RefreshToken.rotate(decoded, user);
+  } catch (error) {
+    // Réutilisation d'un ancien token : la session est compromise
+    await session.revoke();
+    console.warn(`⚠️  Refresh token rejeté pour ${user.email}: ${error.message}`);
+    return sendError(res, 401, error.message);
+  }
+
+  session.expiresAt = new Date(decodeToken(newRefreshToken).exp * 1000);
+  session.lastSeen = new Date();
+  session.ip = req.ip;
+  await session.save();
+
+  sendSuccess(res, 200, 'Token renouvelé avec succès', {
+    token: generateToken(user, session._id),
+    refreshToken: newRefreshToken
   });
 });
 
@@ -146,11 +374,369 @@ const changePassword = asyncHandler(async (req, res) => {
     return sendError(res, 400, 'Mot de passe actuel incorrect');
   }
 
-  // Mettre à jour le mot de passe
+  // Mettre à jour le mot de passe (révoque les tokens existants)
   user.password = newPassword;
   await user.save();
 
-  sendSuccess(res, 200, 'Mot de passe modifié avec succès');
+  // Fermer les autres sessions et renouveler les tokens de la session courante
+  await Session.revokeForUser(user._id, { except: req.authSession._id });
+  const { token, refreshToken } = await issueAuthTokens(req, user, req.authSession);
+
+  sendSuccess(res, 200, 'Mot de passe modifié avec succès', {
+    token,
+    refreshToken
+  });
+});
+
+/**
+ * @desc    Demander un lien de réinitialisation du mot de passe
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email, isActive: true });
+
+  if (user) {
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    // Envoi non bloquant : le temps de réponse ne doit pas trahir l'existence du compte
+    sendNotification({
+      to: user.email,
+      subject: 'Réinitialisation de votre mot de passe',
+      text: `Bonjour ${user.name},\n\nPour choisir un nouveau mot de passe, ouvrez ce lien :\n${buildFrontendUrl('/reset-password', { token: resetToken })}\n\nCe lien expire dans ${parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60} minutes. Si vous n'êtes pas à l'origine de cette demande, ignorez ce message.`
+    }).catch(error => console.error('❌ Erreur d\'envoi de la notification:', error.message));
+  }
+
+  // Réponse identique que l'email existe ou non
+  sendSuccess(res, 200, 'Si un compte correspond à cet email, un lien de réinitialisation a été envoyé.');
+});
+
+/**
+ * @desc    Réinitialiser le mot de passe avec un token à usage unique
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const user = await User.findByPasswordResetToken(token);
+
+  if (!user || !user.isActive) {
+    return sendError(res, 400, 'Lien de réinitialisation invalide ou expiré');
+  }
+
+  // Le token est consommé : il ne peut servir qu'une fois
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+  await Session.revokeForUser(user._id);
+
+  sendSuccess(res, 200, 'Mot de passe réinitialisé avec succès. Vous pouvez vous connecter.');
+});
+
+/**
+ * @desc    Vérifier l'adresse email avec le token reçu par email
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const user = await User.findByEmailVerificationToken(token);
+
+  if (!user) {
+    return sendError(res, 400, 'Lien de vérification invalide ou expiré');
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  sendSuccess(res, 200, 'Adresse email vérifiée avec succès');
+});
+
+/**
+ * @desc    Renvoyer l'email de vérification
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  if (!req.user.requiresEmailVerification) {
+    return sendError(res, 400, 'Votre adresse email est déjà vérifiée');
+  }
+
+  const user = await User.findById(req.user._id);
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  sendVerificationEmail(user, verificationToken);
+
+  sendSuccess(res, 200, 'Email de vérification renvoyé');
+});
+
+/**
+ * @desc    Démarrer l'activation de la double authentification (TOTP)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.twoFactorEnabled) {
+    return sendError(res, 400, 'La double authentification est déjà activée');
+  }
+
+  const user = await User.findById(req.user._id);
+  const { secret, otpauthUri } = user.startTwoFactorEnrollment();
+  await user.save({ validateBeforeSave: false });
+
+  sendSuccess(res, 200, 'Scannez le QR code puis confirmez avec un code', {
+    secret,
+    otpauthUri
+  });
+});
+
+/**
+ * @desc    Confirmer l'activation de la double authentification
+ * @route   POST /api/auth/2fa/confirm
+ * @access  Private
+ */
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+  if (!user.twoFactorPendingSecret) {
+    return sendError(res, 400, 'Aucune activation en cours. Appelez d\'abord /2fa/setup');
+  }
+
+  const recoveryCodes = user.confirmTwoFactorEnrollment(code);
+  if (!recoveryCodes) {
+    return sendError(res, 400, 'Code de double authentification invalide');
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  sendSuccess(res, 200, 'Double authentification activée. Conservez vos codes de récupération en lieu sûr.', {
+    recoveryCodes
+  });
+});
+
+/**
+ * @desc    Désactiver la double authentification
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  const user = await User.findById(req.user._id)
+    .select('+password +twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes');
+
+  if (!user.twoFactorEnabled) {
+    return sendError(res, 400, 'La double authentification n\'est pas activée');
+  }
+
+  if (user.role === 'admin') {
+    const { requireAdminTwoFactor } = await Setting.getValue(SECURITY_SETTINGS.key, SECURITY_SETTINGS.defaults);
+    if (requireAdminTwoFactor) {
+      return sendError(res, 403, 'La double authentification est obligatoire pour les administrateurs');
+    }
+  }
+
+  const isPasswordValid = await user.comparePassword(password || '');
+  if (!isPasswordValid || !await user.verifyTwoFactor({ code, recoveryCode })) {
+    return sendError(res, 400, 'Mot de passe ou code de double authentification incorrect');
+  }
+
+  user.disableTwoFactor();
+  await user.save({ validateBeforeSave: false });
+
+  sendSuccess(res, 200, 'Double authentification désactivée');
+});
+
+/**
+ * @desc    Obtenir les paramètres de sécurité
+ * @route   GET /api/auth/settings/security
+ * @access  Private (settings:manage)
+ */
+const getSecuritySettings = asyncHandler(async (req, res) => {
+  const settings = await Setting.getValue(SECURITY_SETTINGS.key, SECURITY_SETTINGS.defaults);
+
+  sendSuccess(res, 200, 'Paramètres de sécurité récupérés', { settings });
+});
+
+/**
+ * @desc    Modifier les paramètres de sécurité (ex: 2FA obligatoire pour les admins)
+ * @route   PUT /api/auth/settings/security
+ * @access  Private (settings:manage)
+ */
+const updateSecuritySettings = asyncHandler(async (req, res) => {
+  const { requireAdminTwoFactor } = req.body;
+
+  // L'admin qui active l'obligation doit lui-même avoir activé la 2FA
+  if (requireAdminTwoFactor && !req.user.twoFactorEnabled) {
+    return sendError(res, 400, 'Activez d\'abord la double authentification sur votre propre compte');
+  }
+
+  await Setting.setValue(SECURITY_SETTINGS.key, { requireAdminTwoFactor }, req.user._id);
+  const settings = await Setting.getValue(SECURITY_SETTINGS.key, SECURITY_SETTINGS.defaults);
+
+  sendSuccess(res, 200, 'Paramètres de sécurité mis à jour', { settings });
+});
+
+/**
+ * @desc    Obtenir les paramètres d'assignation automatique des leads
+ * @route   GET /api/auth/settings/assignment
+ * @access  Private (settings:manage)
+ */
+const getAssignmentSettings = asyncHandler(async (req, res) => {
+  const settings = await Setting.getValue(ASSIGNMENT_SETTINGS.key, ASSIGNMENT_SETTINGS.defaults);
+
+  sendSuccess(res, 200, 'Paramètres d\'assignation récupérés', { settings });
+});
+
+/**
+ * @desc    Modifier les paramètres d'assignation automatique des leads
+ * @route   PUT /api/auth/settings/assignment
+ * @access  Private (settings:manage)
+ */
+const updateAssignmentSettings = asyncHandler(async (req, res) => {
+  const { enabled, strategy, roles, timezone } = req.body;
+
+  const changes = Object.fromEntries(
+    Object.entries({ enabled, strategy, roles, timezone }).filter(([, value]) => value !== undefined)
+  );
+
+  await Setting.setValue(ASSIGNMENT_SETTINGS.key, changes, req.user._id);
+  const settings = await Setting.getValue(ASSIGNMENT_SETTINGS.key, ASSIGNMENT_SETTINGS.defaults);
+
+  // Le récapitulatif des suivis est envoyé dans ce fuseau horaire
+  if (timezone) {
+    await rescheduleDigest();
+  }
+
+  sendSuccess(res, 200, 'Paramètres d\'assignation mis à jour', { settings });
+});
+
+/**
+ * @desc    Obtenir les paramètres des rappels de suivi
+ * @route   GET /api/auth/settings/follow-up
+ * @access  Private (settings:manage)
+ */
+const getFollowUpSettings = asyncHandler(async (req, res) => {
+  const settings = await Setting.getValue(FOLLOW_UP_SETTINGS.key, FOLLOW_UP_SETTINGS.defaults);
+
+  sendSuccess(res, 200, 'Paramètres des rappels récupérés', { settings });
+});
+
+/**
+ * @desc    Modifier les paramètres des rappels de suivi (escalade, récapitulatif)
+ * @route   PUT /api/auth/settings/follow-up
+ * @access  Private (settings:manage)
+ */
+const updateFollowUpSettings = asyncHandler(async (req, res) => {
+  const { remindersEnabled, escalationDelayHours, digestEnabled, digestHour } = req.body;
+
+  const changes = Object.fromEntries(
+    Object.entries({ remindersEnabled, escalationDelayHours, digestEnabled, digestHour })
+      .filter(([, value]) => value !== undefined)
+  );
+
+  await Setting.setValue(FOLLOW_UP_SETTINGS.key, changes, req.user._id);
+  const settings = await Setting.getValue(FOLLOW_UP_SETTINGS.key, FOLLOW_UP_SETTINGS.defaults);
+
+  if (digestHour !== undefined) {
+    await rescheduleDigest();
+  }
+
+  sendSuccess(res, 200, 'Paramètres des rappels mis à jour', { settings });
+});
+
+/**
+ * @desc    Obtenir les règles du score des leads
+ * @route   GET /api/auth/settings/scoring
+ * @access  Private (settings:manage)
+ */
+const getScoringSettings = asyncHandler(async (req, res) => {
+  const settings = await getScoringRules();
+
+  sendSuccess(res, 200, 'Règles de score récupérées', { settings });
+});
+
+/**
+ * @desc    Modifier les règles du score des leads (recalcul des leads ouverts)
+ * @route   PUT /api/auth/settings/scoring
+ * @access  Private (settings:manage)
+ */
+const updateScoringSettings = asyncHandler(async (req, res) => {
+  const { priceTiers, keywords, ...values } = req.body;
+
+  const changes = Object.fromEntries(
+    Object.keys(SCORING_SETTINGS.defaults)
+      .filter((key) => values[key] !== undefined)
+      .map((key) => [key, values[key]])
+  );
+
+  if (priceTiers) {
+    changes.priceTiers = priceTiers.map(({ min, points }) => ({ min, points }));
+  }
+
+  if (keywords) {
+    changes.keywords = keywords.map(({ word, points }) => ({ word, points }));
+  }
+
+  await Setting.setValue(SCORING_SETTINGS.key, changes, req.user._id);
+  const settings = await getScoringRules();
+
+  // Les scores des leads ouverts sont recalculés par le planificateur
+  await scheduleScoreRefresh();
+
+  sendSuccess(res, 200, 'Règles de score mises à jour', { settings });
+});
+
+/**
+ * @desc    Obtenir les délais de traitement des leads (SLA)
+ * @route   GET /api/auth/settings/sla
+ * @access  Private (settings:manage)
+ */
+const getSlaSettings = asyncHandler(async (req, res) => {
+  const settings = await Setting.getValue(SLA_SETTINGS.key, SLA_SETTINGS.defaults);
+
+  sendSuccess(res, 200, 'Délais SLA récupérés', { settings });
+});
+
+/**
+ * @desc    Modifier les délais de traitement des leads (SLA)
+ * @route   PUT /api/auth/settings/sla
+ * @access  Private (settings:manage)
+ */
+const updateSlaSettings = asyncHandler(async (req, res) => {
+  const { firstContactMinutes, conversionDays } = req.body;
+
+  const changes = Object.fromEntries(
+    Object.entries({ firstContactMinutes, conversionDays })
+      .filter(([, value]) => value !== undefined)
+  );
+
+  await Setting.setValue(SLA_SETTINGS.key, changes, req.user._id);
+  const settings = await Setting.getValue(SLA_SETTINGS.key, SLA_SETTINGS.defaults);
+
+  sendSuccess(res, 200, 'Délais SLA mis à jour', { settings });
+});
+
+/**
+ * @desc    Obtenir l'état des tâches planifiées
+ * @route   GET /api/auth/jobs
+ * @access  Private (settings:manage)
+ */
+const getJobs = asyncHandler(async (req, res) => {
+  const jobs = await Job.find().sort({ name: 1 });
+
+  sendSuccess(res, 200, 'Tâches planifiées récupérées', { jobs });
 });
 
 /**
@@ -166,12 +752,20 @@ const verifyToken = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Déconnexion (côté client principalement)
+ * @desc    Déconnexion : ferme la session courante (ou toutes avec allDevices)
  * @route   POST /api/auth/logout
  * @access  Private
  */
 const logout = asyncHandler(async (req, res) => {
-  // Côté serveur, on peut log la déconnexion
+  const { allDevices } = req.body;
+
+  if (allDevices === true) {
+    await req.user.revokeTokens();
+    await Session.revokeForUser(req.user._id);
+  } else {
+    await req.authSession.revoke();
+  }
+
   console.log(`Utilisateur ${req.user.email} déconnecté à ${new Date().toISOString()}`);
   
   sendSuccess(res, 200, 'Déconnexion réussie');
@@ -180,7 +774,7 @@ const logout = asyncHandler(async (req, res) => {
 /**
  * @desc    Obtenir tous les utilisateurs (admin seulement)
  * @route   GET /api/auth/users
- * @access  Private/Admin
+ * @access  Private (users:read)
  */
 const getAllUsers = asyncHandler(async (req, res) => {
   const { page = 1, limit = 10, role, search } = req.query;
@@ -223,7 +817,7 @@ const getAllUsers = asyncHandler(async (req, res) => {
 /**
  * @desc    Activer/désactiver un utilisateur (admin seulement)
  * @route   PUT /api/auth/users/:id/status
- * @access  Private/Admin
+ * @access  Private (users:manage)
  */
 const toggleUserStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -240,22 +834,445 @@ const toggleUserStatus = asyncHandler(async (req, res) => {
     return sendError(res, 400, 'Vous ne pouvez pas modifier le statut de votre propre compte');
   }
 
+  if (!isActive && await isLastActiveAdmin(user)) {
+    return sendError(res, 409, 'Impossible de désactiver le dernier administrateur actif');
+  }
+
   user.isActive = isActive;
   await user.save();
 
+  // Un compte désactivé perd immédiatement toutes ses sessions
+  // et ses leads ouverts sont redistribués aux agents disponibles
+  let leads = null;
+  if (!isActive) {
+    await user.revokeTokens();
+    await Session.revokeForUser(user._id);
+    leads = await redistributeLeads(user._id, { user: req.user._id });
+  }
+
   const userData = sanitizeUser(user);
   
-  sendSuccess(res, 200, `Utilisateur ${isActive ? 'activé' : 'désactivé'} avec succès`, { user: userData });
+  sendSuccess(res, 200, `Utilisateur ${isActive ? 'activé' : 'désactivé'} avec succès`, { user: userData, leads });
+});
+
+/**
+ * @desc    Modifier la disponibilité d'un agent (horaires, catégories traitées)
+ * @route   PUT /api/auth/users/:id/availability
+ * @access  Private (l'agent lui-même ou admin)
+ */
+const updateAvailability = asyncHandler(async (req, res) => {
+  const { isAvailable, workingHours, leadCategories } = req.body;
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return sendError(res, 404, 'Utilisateur non trouvé');
+  }
+
+  if (isAvailable !== undefined) {
+    user.isAvailable = isAvailable;
+  }
+
+  if (workingHours) {
+    ['days', 'start', 'end']
+      .filter(field => workingHours[field] !== undefined)
+      .forEach(field => user.set(`workingHours.${field}`, workingHours[field]));
+  }
+
+  if (leadCategories) {
+    user.leadCategories = leadCategories;
+  }
+
+  await user.save();
+
+  sendSuccess(res, 200, 'Disponibilité mise à jour avec succès', {
+    availability: {
+      isAvailable: user.isAvailable,
+      workingHours: user.workingHours,
+      leadCategories: user.leadCategories
+    }
+  });
+});
+
+/**
+ * @desc    Inviter un nouvel utilisateur (email + rôle)
+ * @route   POST /api/auth/users/invite
+ * @access  Private (users:manage)
+ */
+const inviteUser = asyncHandler(async (req, res) => {
+  const { email, role } = req.body;
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    return sendError(res, 409, 'Un utilisateur avec cet email existe déjà');
+  }
+
+  const { invitation, token } = await Invitation.createFor({
+    email,
+    role,
+    invitedBy: req.user._id
+  });
+
+  sendNotification({
+    to: email,
+    subject: 'Invitation à rejoindre Mireb Commercial',
+    text: `Bonjour,\n\n${req.user.name} vous invite à rejoindre l'espace de gestion Mireb Commercial (rôle : ${role}).\nPour créer votre compte et choisir votre mot de passe, ouvrez ce lien :\n${buildFrontendUrl('/accept-invitation', { token })}\n\nCe lien expire le ${invitation.expiresAt.toISOString()}.`
+  }).catch(error => console.error('❌ Erreur d\'envoi de la notification:', error.message));
+
+  sendSuccess(res, 201, 'Invitation envoyée avec succès', { invitation });
+});
+
+/**
+ * @desc    Lister les invitations en attente
+ * @route   GET /api/auth/invitations
+ * @access  Private (users:read)
+ */
+const getInvitations = asyncHandler(async (req, res) => {
+  const invitations = await Invitation.find({
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ createdAt: -1 })
+    .populate('invitedBy', 'name email');
+
+  sendSuccess(res, 200, 'Invitations récupérées avec succès', { invitations });
+});
+
+/**
+ * @desc    Annuler une invitation
+ * @route   DELETE /api/auth/invitations/:id
+ * @access  Private (users:manage)
+ */
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findById(req.params.id);
+
+  if (!invitation || invitation.status !== 'pending') {
+    return sendError(res, 404, 'Invitation non trouvée');
+  }
+
+  invitation.revokedAt = new Date();
+  await invitation.save();
+
+  sendSuccess(res, 200, 'Invitation annulée avec succès');
+});
+
+/**
+ * @desc    Accepter une invitation : l'invité choisit son nom et son mot de passe
+ * @route   POST /api/auth/invitations/accept
+ * @access  Public
+ */
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const { token, name, password } = req.body;
+
+  const invitation = await Invitation.findPendingByToken(token);
+
+  if (!invitation) {
+    return sendError(res, 400, 'Invitation invalide ou expirée');
+  }
+
+  const existingUser = await User.findOne({ email: invitation.email });
+  if (existingUser) {
+    return sendError(res, 409, 'Un utilisateur avec cet email existe déjà');
+  }
+
+  // L'email est vérifié : l'invité a reçu le lien à cette adresse
+  const user = await User.create({
+    name,
+    email: invitation.email,
+    password,
+    role: invitation.role,
+    emailVerified: true
+  });
+
+  invitation.acceptedAt = new Date();
+  await invitation.save();
+
+  const { token: accessToken, refreshToken } = await issueAuthTokens(req, user);
+  await user.updateLastLogin();
+
+  sendSuccess(res, 201, 'Compte créé avec succès', {
+    user: sanitizeUser(user),
+    token: accessToken,
+    refreshToken
+  });
+});
+
+/**
+ * @desc    Modifier le rôle d'un utilisateur
+ * @route   PUT /api/auth/users/:id/role
+ * @access  Private (users:manage)
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    return sendError(res, 404, 'Utilisateur non trouvé');
+  }
+
+  if (role !== 'admin' && await isLastActiveAdmin(user)) {
+    return sendError(res, 409, 'Impossible de retirer le rôle du dernier administrateur actif');
+  }
+
+  user.role = role;
+  await user.save();
+
+  sendSuccess(res, 200, 'Rôle mis à jour avec succès', { user: sanitizeUser(user) });
+});
+
+/**
+ * @desc    Supprimer un utilisateur et ses données personnelles (RGPD)
+ *          Ses leads sont réassignés (reassignTo) ou désassignés
+ * @route   DELETE /api/auth/users/:id
+ * @access  Private (users:manage)
+ */
+const deleteUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reassignTo } = req.body;
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    return sendError(res, 404, 'Utilisateur non trouvé');
+  }
+
+  if (user._id.equals(req.user._id)) {
+    return sendError(res, 400, 'Vous ne pouvez pas supprimer votre propre compte');
+  }
+
+  if (await isLastActiveAdmin(user)) {
+    return sendError(res, 409, 'Impossible de supprimer le dernier administrateur actif');
+  }
+
+  if (reassignTo) {
+    const assignee = await User.findById(reassignTo);
+
+    if (!assignee || !assignee.isActive || assignee._id.equals(user._id) ||
+        !assignee.hasPermission(PERMISSIONS.LEADS_READ_ASSIGNED)) {
+      return sendError(res, 400, 'L\'utilisateur de réassignation doit être un agent actif');
+    }
+  }
+
+  const leadUpdate = reassignTo
+    ? { $set: { assignedTo: reassignTo } }
+    : { $unset: { assignedTo: 1 } };
+  const leadIds = await Lead.find({ assignedTo: user._id }).distinct('_id');
+  const { modifiedCount } = await Lead.updateMany({ _id: { $in: leadIds } }, leadUpdate);
+
+  // Tracer la réassignation dans la chronologie de chaque lead
+  await LeadActivity.insertMany(leadIds.map(leadId => ({
+    lead: leadId,
+    type: ACTIVITY_TYPES.ASSIGNMENT,
+    actor: req.user._id,
+    before: user._id,
+    after: reassignTo || null,
+    note: `Compte de ${user.name} supprimé`
+  })));
+
+  // Effacer les données personnelles liées au compte
+  await Session.revokeForUser(user._id);
+  await Session.deleteMany({ user: user._id });
+  await RefreshToken.deleteMany({ user: user._id });
+  await LoginHistory.deleteMany({ $or: [{ user: user._id }, { email: user.email }] });
+  await user.deleteOne();
+
+  sendSuccess(res, 200, 'Utilisateur supprimé avec succès', {
+    leads: {
+      count: modifiedCount,
+      action: reassignTo ? 'reassigned' : 'unassigned'
+    }
+  });
+});
+
+/**
+ * @desc    Obtenir les rôles et leurs permissions
+ * @route   GET /api/auth/roles
+ * @access  Private (users:read)
+ */
+const getRoles = asyncHandler(async (req, res) => {
+  const roles = Object.entries(ROLE_PERMISSIONS).map(([name, permissions]) => ({
+    name,
+    permissions
+  }));
+
+  sendSuccess(res, 200, 'Rôles récupérés avec succès', { roles });
+});
+
+/**
+ * @desc    Historique des connexions d'un utilisateur (admin seulement)
+ * @route   GET /api/auth/users/:id/login-history
+ * @access  Private (users:read)
+ */
+const getLoginHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20, outcome } = req.query;
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    return sendError(res, 404, 'Utilisateur non trouvé');
+  }
+
+  const query = { user: user._id };
+
+  if (outcome) {
+    query.outcome = outcome;
+  }
+
+  const history = await LoginHistory.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await LoginHistory.countDocuments(query);
+
+  sendPaginatedResponse(
+    res,
+    history,
+    parseInt(page),
+    parseInt(limit),
+    total,
+    'Historique de connexion récupéré avec succès'
+  );
+});
+
+/**
+ * Formate une session pour la réponse API
+ * @param {Object} session - Le document Session
+ * @param {Object} currentSession - Session de la requête en cours
+ * @returns {Object} Session formatée
+ */
+const formatSession = (session, currentSession) => ({
+  id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  lastSeen: session.lastSeen,
+  createdAt: session.createdAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSession && currentSession._id.equals(session._id))
+});
+
+/**
+ * @desc    Lister les sessions actives de l'utilisateur connecté
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getMySessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user._id);
+
+  sendSuccess(res, 200, 'Sessions récupérées avec succès', {
+    sessions: sessions.map(session => formatSession(session, req.authSession))
+  });
+});
+
+/**
+ * @desc    Fermer une session de l'utilisateur connecté
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeMySession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    revokedAt: null
+  });
+
+  if (!session) {
+    return sendError(res, 404, 'Session non trouvée');
+  }
+
+  await session.revoke();
+
+  sendSuccess(res, 200, 'Session fermée avec succès');
+});
+
+/**
+ * @desc    Lister les sessions actives d'un utilisateur (admin)
+ * @route   GET /api/auth/users/:id/sessions
+ * @access  Private (users:read)
+ */
+const getUserSessions = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return sendError(res, 404, 'Utilisateur non trouvé');
+  }
+
+  const sessions = await Session.findActiveForUser(user._id);
+
+  sendSuccess(res, 200, 'Sessions récupérées avec succès', {
+    sessions: sessions.map(session => formatSession(session, req.authSession))
+  });
+});
+
+/**
+ * @desc    Fermer une session d'un utilisateur (admin)
+ * @route   DELETE /api/auth/users/:id/sessions/:sessionId
+ * @access  Private (users:manage)
+ */
+const revokeUserSession = asyncHandler(async (req, res) => {
+  const { id, sessionId } = req.params;
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: id,
+    revokedAt: null
+  });
+
+  if (!session) {
+    return sendError(res, 404, 'Session non trouvée');
+  }
+
+  await session.revoke();
+
+  sendSuccess(res, 200, 'Session fermée avec succès');
 });
 
 module.exports = {
   register,
   login,
+  loginWithTwoFactor,
+  refreshAccessToken,
   getProfile,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  getSecuritySettings,
+  updateSecuritySettings,
+  getAssignmentSettings,
+  updateAssignmentSettings,
+  getFollowUpSettings,
+  updateFollowUpSettings,
+  getScoringSettings,
+  updateScoringSettings,
+  getSlaSettings,
+  updateSlaSettings,
+  getJobs,
   verifyToken,
   logout,
   getAllUsers,
-  toggleUserStatus
+  toggleUserStatus,
+  updateAvailability,
+  getLoginHistory,
+  getRoles,
+  getMySessions,
+  revokeMySession,
+  getUserSessions,
+  revokeUserSession,
+  inviteUser,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  updateUserRole,
+  deleteUser
 };
@@ -1,60 +1,100 @@
 const Lead = require('../models/Lead');
+const LeadActivity = require('../models/LeadActivity');
 const Product = require('../models/Product');
+const LeadSource = require('../models/LeadSource');
+const {
+  ACTIVITY_TYPES,
+  LEAD_STATUSES,
+  STATUS_TRANSITIONS,
+  REOPEN_TRANSITIONS,
+  LOSS_REASONS,
+  checkStatusTransition
+} = require('../config/leads');
+const { PERMISSIONS } = require('../config/permissions');
+const { normalizePhone, toPhoneSearchDigits } = require('../utils/phone');
+const { autoAssignLead } = require('../services/assignment');
+const { refreshLeadScore } = require('../services/scoring');
+const { getSlaSettings, getLeadSla, buildSlaBreachQuery, getResponseTimeStats } = require('../services/sla');
+const { buildAttribution, getAttributionStats } = require('../services/attribution');
+const { streamLeadsExport } = require('../services/leadExport');
+const { createOrderFromLead } = require('../services/orders');
+const { importLeads } = require('../services/leadImport');
 const { sendSuccess, sendError, sendPaginatedResponse, asyncHandler } = require('../utils/response');
 
 /**
- * @desc    Créer un nouveau lead
- * @route   POST /api/leads
- * @access  Public
+ * Auteur d'une action pour la chronologie du lead (utilisateur ou clé API)
+ * @param {Object} req - La requête Express
+ * @returns {Object} { user, apiKey }
  */
-const createLead = asyncHandler(async (req, res) => {
-  const { nom, tel, message, produit } = req.body;
+const getActor = (req) => ({
+  user: req.user ? req.user._id : undefined,
+  apiKey: req.apiKey ? req.apiKey._id : undefined
+});
 
-  // Vérifier que le produit existe
-  const productExists = await Product.findById(produit);
-  if (!productExists) {
-    return sendError(res, 404, 'Produit non trouvé');
+/**
+ * Vérifie un changement de statut demandé par la requête
+ * @param {Object} req - La requête Express
+ * @param {Object} lead - Le document Lead
+ * @param {Object} changes - { status, lossReason }
+ * @returns {Object|null} Erreur { statusCode, message, allowed } ou null
+ */
+const checkStatusChange = (req, lead, { status, lossReason }) => {
+  if (!status || status === lead.status) {
+    return null;
   }
 
-  if (!productExists.isActive) {
-    return sendError(res, 400, 'Ce produit n\'est plus disponible');
-  }
+  const principal = req.user || req.apiKey;
 
-  const lead = await Lead.create({
-    nom,
-    tel,
-    message,
-    produit
+  return checkStatusTransition(lead.status, status, {
+    lossReason,
+    canReopen: principal.hasPermission(PERMISSIONS.LEADS_REOPEN)
   });
+};
 
-  const populatedLead = await Lead.findById(lead._id)
-    .populate('produit', 'nom prix images');
+/**
+ * Applique les modifications d'un lead (statut, assignation, suivi, notes)
+ * La transition de statut doit avoir été vérifiée avec checkStatusChange
+ * @param {Object} lead - Le document Lead
+ * @param {Object} changes - Champs à modifier
+ * @param {Object} actor - Auteur des modifications
+ * @returns {Promise}
+ */
+const applyLeadChanges = async (lead, { status, lossReason, notes, assignedTo, followUpDate }, actor) => {
+  const statusChanged = Boolean(status) && status !== lead.status;
 
-  // Log pour les admins
-  console.log(`📞 Nouveau lead reçu: ${nom} (${tel}) pour ${productExists.nom}`);
+  if (statusChanged) {
+    await lead.updateStatus(status, notes, actor, { lossReason });
+  }
 
-  sendSuccess(res, 201, 'Demande envoyée avec succès! Nous vous contacterons bientôt.', { 
-    lead: populatedLead 
-  });
-});
+  if (assignedTo) {
+    await lead.assignTo(assignedTo, notes, actor);
+  }
+
+  if (followUpDate) {
+    await lead.scheduleFollowUp(new Date(followUpDate), notes, actor);
+  }
+
+  // Si on a juste une note à ajouter
+  if (notes && !statusChanged && !assignedTo && !followUpDate) {
+    await lead.addActivity(ACTIVITY_TYPES.NOTE, notes, actor);
+  }
+
+  await refreshLeadScore(lead);
+};
 
 /**
- * @desc    Obtenir tous les leads (admin)
- * @route   GET /api/leads
- * @access  Private/Admin
+ * Construit la requête de recherche des leads à partir des filtres de la liste
+ * (partagée par la liste et l'export)
+ * @param {Object} filters - Paramètres de requête
+ * @param {Object} sla - Seuils SLA et date de référence, requis pour le filtre slaBreached
+ * @param {Object} sla.settings - Seuils SLA
+ * @param {Date} sla.now - Date de référence
+ * @returns {Object} Requête Mongoose
  */
-const getAllLeads = asyncHandler(async (req, res) => {
-  const {
-    page = 1,
-    limit = 20,
-    status,
-    assignedTo,
-    search,
-    dateFrom,
-    dateTo,
-    produit
-  } = req.query;
-
+const buildLeadQuery = (
+  { status, assignedTo, search, dateFrom, dateTo, produit, minScore, maxScore, slaBreached },
+  { settings: slaSettings, now = new Date() } = {}
+) => {
   // Construction de la requête
   const query = { isArchived: false };
 
@@ -67,17 +107,29 @@ const getAllLeads = asyncHandler(async (req, res) => {
     query.assignedTo = assignedTo;
   }
 
+  // Leads contenant ce produit parmi leurs articles
   if (produit) {
-    query.produit = produit;
+    query['items.produit'] = produit;
   }
 
   // Recherche par nom ou téléphone
   if (search) {
     query.$or = [
       { nom: { $regex: search, $options: 'i' } },
-      { tel: { $regex: search, $options: 'i' } },
       { message: { $regex: search, $options: 'i' } }
     ];
+
+    // Numéro complet (tous formats) ou partiel (chiffres, sans le 0 local)
+    const tel = normalizePhone(search);
+    const telDigits = toPhoneSearchDigits(search);
+
+    if (tel) {
+      query.$or.push({ tel });
+    }
+
+    if (telDigits) {
+      query.$or.push({ tel: { $regex: telDigits } }, { telRaw: { $regex: telDigits } });
+    }
   }
 
   // Filtres de date
@@ -87,18 +139,201 @@ const getAllLeads = asyncHandler(async (req, res) => {
     if (dateTo) query.createdAt.$lte = new Date(dateTo);
   }
 
+  // Fourchette de score
+  if (minScore !== undefined || maxScore !== undefined) {
+    query.score = {};
+    if (minScore !== undefined) query.score.$gte = Number(minScore);
+    if (maxScore !== undefined) query.score.$lte = Number(maxScore);
+  }
+
+  // Combiné avec $and pour ne pas écraser le $or de la recherche
+  if (slaBreached !== undefined && slaSettings) {
+    const breachQuery = buildSlaBreachQuery(slaSettings, now);
+    query.$and = [slaBreached ? breachQuery : { $nor: [breachQuery] }];
+  }
+
+  return query;
+};
+
+/**
+ * Construit le tri des listes de leads (sortBy=createdAt|score)
+ * @param {Object} params - { sortBy, sortOrder }
+ * @returns {Object} Tri Mongoose
+ */
+const buildLeadSort = ({ sortBy = 'createdAt', sortOrder = 'desc' }) => {
+  const order = sortOrder === 'asc' ? 1 : -1;
+
+  // À score égal, les leads les plus récents d'abord
+  return sortBy === 'score' ? { score: order, createdAt: -1 } : { createdAt: order };
+};
+
+/**
+ * Répond avec la chronologie paginée d'un lead
+ * @param {Object} req - La requête Express
+ * @param {Object} res - La réponse Express
+ * @param {Object} lead - Le document Lead
+ */
+const sendLeadTimeline = async (req, res, lead) => {
+  const { page = 1, limit = 50, type } = req.query;
+
+  const [activities, total] = await Promise.all([
+    LeadActivity.getTimeline(lead._id, { page, limit, type }),
+    LeadActivity.countDocuments(type ? { lead: lead._id, type } : { lead: lead._id })
+  ]);
+
+  sendPaginatedResponse(
+    res,
+    activities,
+    parseInt(page),
+    parseInt(limit),
+    total,
+    'Historique du lead récupéré avec succès'
+  );
+};
+
+/**
+ * Accusé de réception d'une demande publique, construit à partir des seules
+ * données envoyées : identique qu'un lead soit créé ou que la demande rejoigne
+ * un lead existant, pour ne rien révéler des demandes d'un numéro
+ * @param {Object} data - { nom, tel, message, items }
+ * @param {Map} productsById - Produits demandés
+ * @returns {Object} Demande reçue
+ */
+const buildLeadReceipt = ({ nom, tel, message, items }, productsById) => ({
+  nom,
+  tel: normalizePhone(tel) || tel,
+  message: message || '',
+  items: items.map(({ produit, quantite, variante, prixUnitaire }) => {
+    const { _id, nom: productName, prix, images } = productsById.get(produit.toString());
+    return { produit: { _id, nom: productName, prix, images }, quantite, variante, prixUnitaire };
+  })
+});
+
+/**
+ * @desc    Créer un nouveau lead
+ * @route   POST /api/leads
+ * @access  Public
+ */
+const createLead = asyncHandler(async (req, res) => {
+  const { nom, tel, message, produit, source } = req.body;
+  // Ancien format : un seul produit
+  const requestedItems = req.body.items || [{ produit }];
+
+  // Seules les sources actives sont acceptées (liste gérée par les administrateurs)
+  if (source) {
+    const sources = await LeadSource.getActiveCodes();
+
+    if (!sources.includes(source)) {
+      return sendError(res, 400, 'Source invalide', { allowed: sources });
+    }
+  }
+
+  const attribution = buildAttribution(req.body);
+
+  // Vérifier que les produits existent et sont disponibles
+  const products = await Product.find({ _id: { $in: requestedItems.map(item => item.produit) } })
+    .select('nom prix images isActive');
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  for (const item of requestedItems) {
+    const product = productsById.get(item.produit.toString());
+
+    if (!product) {
+      return sendError(res, 404, 'Produit non trouvé');
+    }
+
+    if (!product.isActive) {
+      return sendError(res, 400, `Le produit « ${product.nom} » n'est plus disponible`);
+    }
+  }
+
+  // Le prix annoncé est celui du catalogue au moment de la demande
+  const items = requestedItems.map(({ produit: productId, quantite = 1, variante }) => ({
+    produit: productId,
+    quantite,
+    variante,
+    prixUnitaire: productsById.get(productId.toString()).prix
+  }));
+
+  const receipt = buildLeadReceipt({ nom, tel, message, items }, productsById);
+
+  // Même numéro avec un lead encore ouvert : la demande rejoint ce lead
+  const existingLead = await Lead.findOpenDuplicate(tel);
+
+  if (existingLead) {
+    await existingLead.addActivity(ACTIVITY_TYPES.DUPLICATE_SUBMISSION, message, {}, {
+      nom,
+      items,
+      source,
+      ...attribution
+    });
+
+    // Une nouvelle demande augmente la priorité du lead
+    await refreshLeadScore(existingLead);
+
+    console.log(`📞 Nouvelle demande de ${nom} (${tel}) rattachée au lead ${existingLead._id}`);
+
+    // Même réponse que pour un nouveau lead
+    return sendSuccess(res, 201, 'Demande envoyée avec succès! Nous vous contacterons bientôt.', {
+      lead: receipt
+    });
+  }
+
+  const lead = await Lead.create({
+    nom,
+    tel,
+    message,
+    items,
+    source,
+    ...attribution
+  });
+
+  // L'échec du score ou de l'assignation automatique ne doit pas faire perdre la demande
+  try {
+    await refreshLeadScore(lead);
+  } catch (error) {
+    console.error('❌ Erreur de calcul du score:', error.message);
+  }
+
+  try {
+    await autoAssignLead(lead);
+  } catch (error) {
+    console.error('❌ Erreur d\'assignation automatique:', error.message);
+  }
+
+  // Log pour les admins
+  console.log(`📞 Nouveau lead reçu: ${nom} (${tel}) pour ${products.map(product => product.nom).join(', ')}`);
+
+  sendSuccess(res, 201, 'Demande envoyée avec succès! Nous vous contacterons bientôt.', {
+    lead: receipt
+  });
+});
+
+/**
+ * @desc    Obtenir tous les leads (admin)
+ * @route   GET /api/leads
+ * @access  Private (leads:read)
+ */
+const getAllLeads = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const slaSettings = await getSlaSettings();
+  const now = new Date();
+  const query = buildLeadQuery(req.query, { settings: slaSettings, now });
+
   const leads = await Lead.find(query)
-    .sort({ createdAt: -1 })
+    .sort(buildLeadSort(req.query))
     .limit(limit * 1)
     .skip((page - 1) * limit)
     .populate('produit', 'nom prix images')
+    .populate('items.produit', 'nom prix images')
     .populate('assignedTo', 'name email');
 
   const total = await Lead.countDocuments(query);
 
   sendPaginatedResponse(
     res,
-    leads,
+    leads.map(lead => ({ ...lead.toJSON(), sla: getLeadSla(lead, slaSettings, now) })),
     parseInt(page),
     parseInt(limit),
     total,
@@ -109,13 +344,14 @@ const getAllLeads = asyncHandler(async (req, res) => {
 /**
  * @desc    Obtenir un lead par ID
  * @route   GET /api/leads/:id
- * @access  Private/Admin
+ * @access  Private (leads:read)
  */
 const getLeadById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const lead = await Lead.findById(id)
     .populate('produit', 'nom prix images description')
+    .populate('items.produit', 'nom prix images description')
     .populate('assignedTo', 'name email');
 
   if (!lead) {
@@ -128,11 +364,11 @@ const getLeadById = asyncHandler(async (req, res) => {
 /**
  * @desc    Mettre à jour un lead
  * @route   PUT /api/leads/:id
- * @access  Private/Admin
+ * @access  Private (leads:update)
  */
 const updateLead = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status, notes, assignedTo, followUpDate } = req.body;
+  const { status, lossReason, notes, assignedTo, followUpDate } = req.body;
 
   const lead = await Lead.findById(id);
 
@@ -140,29 +376,16 @@ const updateLead = asyncHandler(async (req, res) => {
     return sendError(res, 404, 'Lead non trouvé');
   }
 
-  // Mettre à jour les champs
-  if (status) {
-    await lead.updateStatus(status, notes);
+  const transitionError = checkStatusChange(req, lead, { status, lossReason });
+  if (transitionError) {
+    return sendError(res, transitionError.statusCode, transitionError.message, { allowed: transitionError.allowed });
   }
 
-  if (assignedTo) {
-    await lead.assignTo(assignedTo, notes);
-  }
-
-  if (followUpDate) {
-    await lead.scheduleFollowUp(new Date(followUpDate), notes);
-  }
-
-  // Si on a juste des notes à ajouter
-  if (notes && !status && !assignedTo && !followUpDate) {
-    lead.notes = lead.notes ? 
-      `${lead.notes}\n\n${new Date().toISOString()}: ${notes}` : 
-      notes;
-    await lead.save();
-  }
+  await applyLeadChanges(lead, { status, lossReason, notes, assignedTo, followUpDate }, getActor(req));
 
   const updatedLead = await Lead.findById(lead._id)
     .populate('produit', 'nom prix images')
+    .populate('items.produit', 'nom prix images')
     .populate('assignedTo', 'name email');
 
   sendSuccess(res, 200, 'Lead mis à jour avec succès', { lead: updatedLead });
@@ -171,7 +394,7 @@ const updateLead = asyncHandler(async (req, res) => {
 /**
  * @desc    Supprimer un lead (soft delete)
  * @route   DELETE /api/leads/:id
- * @access  Private/Admin
+ * @access  Private (leads:delete)
  */
 const deleteLead = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -191,7 +414,7 @@ const deleteLead = asyncHandler(async (req, res) => {
 /**
  * @desc    Assigner un lead à un utilisateur
  * @route   PATCH /api/leads/:id/assign
- * @access  Private/Admin
+ * @access  Private (leads:assign)
  */
 const assignLead = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -203,10 +426,11 @@ const assignLead = asyncHandler(async (req, res) => {
     return sendError(res, 404, 'Lead non trouvé');
   }
 
-  await lead.assignTo(assignedTo, notes);
+  await lead.assignTo(assignedTo, notes, getActor(req));
 
   const updatedLead = await Lead.findById(lead._id)
     .populate('produit', 'nom prix images')
+    .populate('items.produit', 'nom prix images')
     .populate('assignedTo', 'name email');
 
   sendSuccess(res, 200, 'Lead assigné avec succès', { lead: updatedLead });
@@ -215,7 +439,7 @@ const assignLead = asyncHandler(async (req, res) => {
 /**
  * @desc    Planifier un suivi pour un lead
  * @route   PATCH /api/leads/:id/follow-up
- * @access  Private/Admin
+ * @access  Private (leads:update)
  */
 const scheduleFollowUp = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -231,19 +455,176 @@ const scheduleFollowUp = asyncHandler(async (req, res) => {
     return sendError(res, 404, 'Lead non trouvé');
   }
 
-  await lead.scheduleFollowUp(new Date(followUpDate), notes);
+  await lead.scheduleFollowUp(new Date(followUpDate), notes, getActor(req));
 
   const updatedLead = await Lead.findById(lead._id)
     .populate('produit', 'nom prix images')
+    .populate('items.produit', 'nom prix images')
     .populate('assignedTo', 'name email');
 
   sendSuccess(res, 200, 'Suivi programmé avec succès', { lead: updatedLead });
 });
 
+/**
+ * @desc    Obtenir la chronologie d'un lead
+ * @route   GET /api/leads/:id/activity
+ * @access  Private (leads:read)
+ */
+const getLeadActivity = asyncHandler(async (req, res) => {
+  const lead = await Lead.findById(req.params.id);
+
+  if (!lead) {
+    return sendError(res, 404, 'Lead non trouvé');
+  }
+
+  await sendLeadTimeline(req, res, lead);
+});
+
+/**
+ * @desc    Ajouter une note, un appel ou un message WhatsApp à un lead
+ * @route   POST /api/leads/:id/notes
+ * @access  Private (leads:update)
+ */
+const addLeadNote = asyncHandler(async (req, res) => {
+  const { type = ACTIVITY_TYPES.NOTE, content } = req.body;
+
+  const lead = await Lead.findById(req.params.id);
+
+  if (!lead) {
+    return sendError(res, 404, 'Lead non trouvé');
+  }
+
+  const activity = await lead.addActivity(type, content, getActor(req));
+
+  sendSuccess(res, 201, 'Activité ajoutée avec succès', { activity });
+});
+
+/**
+ * @desc    Fusionner un lead en double dans un lead principal
+ * @route   POST /api/leads/merge
+ * @access  Private (leads:merge)
+ */
+const mergeLeads = asyncHandler(async (req, res) => {
+  const { targetId, sourceId } = req.body;
+
+  if (targetId === sourceId) {
+    return sendError(res, 400, 'Impossible de fusionner un lead avec lui-même');
+  }
+
+  const [target, source] = await Promise.all([
+    Lead.findOne({ _id: targetId, isArchived: false }),
+    Lead.findOne({ _id: sourceId, isArchived: false })
+  ]);
+
+  if (!target || !source) {
+    return sendError(res, 404, 'Lead non trouvé');
+  }
+
+  // Compléter le lead principal avec les informations manquantes
+  if (!target.assignedTo && source.assignedTo) {
+    target.assignedTo = source.assignedTo;
+  }
+
+  if (!target.followUpDate && source.followUpDate) {
+    target.followUpDate = source.followUpDate;
+    // Nouvelle date de suivi : les rappels repartent de zéro (comme scheduleFollowUp)
+    target.followUpReminderSentAt = undefined;
+    target.followUpEscalatedAt = undefined;
+  }
+
+  // Ajouter les articles du lead fusionné qui ne sont pas déjà demandés
+  const hasItem = ({ produit, variante }) => target.items.some(item =>
+    item.produit.equals(produit) && (item.variante || '') === (variante || '')
+  );
+  source.items.filter(item => !hasItem(item)).forEach(item => target.items.push(item.toObject()));
+
+  await target.save();
+
+  // Rattacher l'historique du lead fusionné au lead principal
+  await LeadActivity.updateMany({ lead: source._id }, { lead: target._id });
+
+  source.isArchived = true;
+  source.mergedInto = target._id;
+  await source.save();
+
+  await target.addActivity(ACTIVITY_TYPES.MERGE, source.message, getActor(req), {
+    mergedLead: source._id,
+    nom: source.nom,
+    tel: source.tel,
+    items: source.items,
+    status: source.status,
+    createdAt: source.createdAt
+  });
+
+  await refreshLeadScore(target);
+
+  const mergedLead = await Lead.findById(target._id)
+    .populate('produit', 'nom prix images')
+    .populate('items.produit', 'nom prix images')
+    .populate('assignedTo', 'name email');
+
+  sendSuccess(res, 200, 'Leads fusionnés avec succès', { lead: mergedLead });
+});
+
+/**
+ * @desc    Convertir un lead en commande (articles et prix annoncés)
+ * @route   POST /api/leads/:id/convert
+ * @access  Private (orders:create)
+ */
+const convertLead = asyncHandler(async (req, res) => {
+  const { deliveryAddress, deliveryDate, notes } = req.body;
+
+  const lead = await Lead.findOne({ _id: req.params.id, isArchived: false });
+
+  if (!lead) {
+    return sendError(res, 404, 'Lead non trouvé');
+  }
+
+  // Un lead déjà converti (commande précédente annulée) peut recevoir une nouvelle commande
+  const transitionError = checkStatusChange(req, lead, { status: LEAD_STATUSES.CONVERTED });
+  if (transitionError) {
+    return sendError(res, transitionError.statusCode, transitionError.message, { allowed: transitionError.allowed });
+  }
+
+  let order;
+
+  try {
+    order = await createOrderFromLead(lead, { deliveryAddress, deliveryDate, notes }, getActor(req));
+  } catch (error) {
+    // Stock insuffisant, produit supprimé, commande déjà existante
+    if (error.statusCode && error.statusCode < 500) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+
+  if (lead.status !== LEAD_STATUSES.CONVERTED) {
+    await lead.updateStatus(LEAD_STATUSES.CONVERTED, `Commande ${order._id} créée`, getActor(req));
+  }
+
+  console.log(`🛒 Lead ${lead._id} converti en commande ${order._id} (${order.total})`);
+
+  sendSuccess(res, 201, 'Lead converti en commande avec succès', { order, lead });
+});
+
+/**
+ * @desc    Obtenir le cycle de vie des leads (transitions et motifs de perte)
+ * @route   GET /api/leads/workflow
+ * @access  Private (leads:read ou leads:read:assigned)
+ */
+const getLeadWorkflow = asyncHandler(async (req, res) => {
+  sendSuccess(res, 200, 'Cycle de vie des leads récupéré avec succès', {
+    statuses: Object.values(LEAD_STATUSES),
+    transitions: STATUS_TRANSITIONS,
+    reopenTransitions: REOPEN_TRANSITIONS,
+    lossReasons: Object.entries(LOSS_REASONS).map(([code, label]) => ({ code, label }))
+  });
+});
+
 /**
  * @desc    Obtenir les statistiques des leads
  * @route   GET /api/leads/stats
- * @access  Private/Admin
+ * @access  Private (leads:stats)
  */
 const getLeadStats = asyncHandler(async (req, res) => {
   // Statistiques par statut
@@ -272,10 +653,11 @@ const getLeadStats = asyncHandler(async (req, res) => {
     { $sort: { _id: 1 } }
   ]);
 
-  // Top produits générateurs de leads
+  // Top produits générateurs de leads (tous les articles demandés)
   const topProducts = await Lead.aggregate([
     { $match: { isArchived: false } },
-    { $group: { _id: '$produit', count: { $sum: 1 } } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.produit', count: { $sum: 1 }, quantity: { $sum: '$items.quantite' } } },
     { $sort: { count: -1 } },
     { $limit: 10 },
     {
@@ -289,6 +671,7 @@ const getLeadStats = asyncHandler(async (req, res) => {
     {
       $project: {
         count: 1,
+        quantity: 1,
         product: { $arrayElemAt: ['$productInfo', 0] }
       }
     }
@@ -297,16 +680,24 @@ const getLeadStats = asyncHandler(async (req, res) => {
   // Taux de conversion
   const totalLeads = await Lead.countDocuments({ isArchived: false });
   const convertedLeads = await Lead.countDocuments({ 
-    status: 'converti', 
+    status: LEAD_STATUSES.CONVERTED, 
     isArchived: false 
   });
   const conversionRate = totalLeads > 0 ? (convertedLeads / totalLeads * 100).toFixed(2) : 0;
 
+  // Motifs de perte
+  const lossReasons = await Lead.getLossReasonStats({ isArchived: false });
+
+  // Délais de premier contact et de conversion (médiane et p90)
+  const responseTimes = await getResponseTimeStats({ since: thirtyDaysAgo });
+
   sendSuccess(res, 200, 'Statistiques récupérées', {
     byStatus: statusStats,
     needingFollowUp: needingFollowUp.length,
     recentActivity: recentStats,
     topProducts,
+    lossReasons,
+    responseTimes,
     conversion: {
       total: totalLeads,
       converted: convertedLeads,
@@ -315,28 +706,38 @@ const getLeadStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Obtenir les leads, conversions et taux de conversion par source et campagne
+ * @route   GET /api/leads/stats/attribution
+ * @access  Private (leads:stats)
+ */
+const getLeadAttributionStats = asyncHandler(async (req, res) => {
+  const { dateFrom, dateTo } = req.query;
+
+  const stats = await getAttributionStats({ dateFrom, dateTo });
+
+  sendSuccess(res, 200, 'Statistiques d\'attribution récupérées', stats);
+});
+
 /**
  * @desc    Obtenir les leads assignés à l'utilisateur connecté
  * @route   GET /api/leads/my-leads
- * @access  Private
+ * @access  Private (leads:read:assigned)
  */
 const getMyLeads = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, status } = req.query;
+  const { page = 1, limit = 20, status, minScore, maxScore } = req.query;
 
   const query = {
-    assignedTo: req.user._id,
-    isArchived: false
+    ...buildLeadQuery({ status, minScore, maxScore }),
+    assignedTo: req.user._id
   };
 
-  if (status) {
-    query.status = status;
-  }
-
   const leads = await Lead.find(query)
-    .sort({ createdAt: -1 })
+    .sort(buildLeadSort(req.query))
     .limit(limit * 1)
     .skip((page - 1) * limit)
-    .populate('produit', 'nom prix images');
+    .populate('produit', 'nom prix images')
+    .populate('items.produit', 'nom prix images');
 
   const total = await Lead.countDocuments(query);
 
@@ -351,44 +752,153 @@ const getMyLeads = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Exporter les leads au format CSV (admin)
- * @route   GET /api/leads/export
- * @access  Private/Admin
+ * @desc    Obtenir un lead assigné à l'utilisateur connecté
+ * @route   GET /api/leads/my-leads/:id
+ * @access  Private (leads:read:assigned, propriétaire)
  */
-const exportLeads = asyncHandler(async (req, res) => {
-  const { status, dateFrom, dateTo } = req.query;
+const getMyLeadById = asyncHandler(async (req, res) => {
+  if (req.resource.isArchived) {
+    return sendError(res, 404, 'Lead non trouvé');
+  }
 
-  const query = { isArchived: false };
+  const lead = await Lead.findById(req.resource._id)
+    .populate('produit', 'nom prix images description')
+    .populate('items.produit', 'nom prix images description')
+    .populate('assignedTo', 'name email');
 
-  if (status) query.status = status;
-  if (dateFrom || dateTo) {
-    query.createdAt = {};
-    if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
-    if (dateTo) query.createdAt.$lte = new Date(dateTo);
+  sendSuccess(res, 200, 'Lead récupéré avec succès', { lead });
+});
+
+/**
+ * @desc    Mettre à jour un lead assigné (statut, notes, suivi)
+ * @route   PATCH /api/leads/my-leads/:id
+ * @access  Private (leads:update:assigned, propriétaire)
+ */
+const updateMyLead = asyncHandler(async (req, res) => {
+  const { status, lossReason, notes, followUpDate } = req.body;
+  const lead = req.resource;
+
+  if (lead.isArchived) {
+    return sendError(res, 404, 'Lead non trouvé');
   }
 
-  const leads = await Lead.find(query)
-    .populate('produit', 'nom prix')
-    .populate('assignedTo', 'name')
-    .sort({ createdAt: -1 });
-
-  // Préparer les données CSV
-  const csvData = leads.map(lead => ({
-    Date: lead.createdAt.toISOString().split('T')[0],
-    Nom: lead.nom,
-    Telephone: lead.tel,
-    Produit: lead.produit?.nom || 'N/A',
-    Prix: lead.produit?.prix || 0,
-    Status: lead.status,
-    Message: lead.message.replace(/[\n\r]/g, ' '),
-    Assigne: lead.assignedTo?.name || 'Non assigné',
-    Age: lead.ageInDays + ' jours'
-  }));
+  const transitionError = checkStatusChange(req, lead, { status, lossReason });
+  if (transitionError) {
+    return sendError(res, transitionError.statusCode, transitionError.message, { allowed: transitionError.allowed });
+  }
 
-  sendSuccess(res, 200, 'Données d\'export récupérées', { 
-    leads: csvData,
-    count: csvData.length 
-  });
+  // L'assignation n'est pas modifiable depuis cette route
+  await applyLeadChanges(lead, { status, lossReason, notes, followUpDate }, getActor(req));
+
+  const updatedLead = await Lead.findById(lead._id)
+    .populate('produit', 'nom prix images')
+    .populate('items.produit', 'nom prix images')
+    .populate('assignedTo', 'name email');
+
+  sendSuccess(res, 200, 'Lead mis à jour avec succès', { lead: updatedLead });
+});
+
+/**
+ * @desc    Obtenir la chronologie d'un lead assigné
+ * @route   GET /api/leads/my-leads/:id/activity
+ * @access  Private (leads:read:assigned, propriétaire)
+ */
+const getMyLeadActivity = asyncHandler(async (req, res) => {
+  if (req.resource.isArchived) {
+    return sendError(res, 404, 'Lead non trouvé');
+  }
+
+  await sendLeadTimeline(req, res, req.resource);
+});
+
+/**
+ * @desc    Ajouter une note, un appel ou un message WhatsApp à un lead assigné
+ * @route   POST /api/leads/my-leads/:id/notes
+ * @access  Private (leads:update:assigned, propriétaire)
+ */
+const addMyLeadNote = asyncHandler(async (req, res) => {
+  const { type = ACTIVITY_TYPES.NOTE, content } = req.body;
+
+  if (req.resource.isArchived) {
+    return sendError(res, 404, 'Lead non trouvé');
+  }
+
+  const activity = await req.resource.addActivity(type, content, getActor(req));
+
+  sendSuccess(res, 201, 'Activité ajoutée avec succès', { activity });
+});
+
+/**
+ * @desc    Obtenir les demandes du client connecté par OTP
+ * @route   GET /api/leads/customer
+ * @access  Client (token OTP)
+ */
+const getCustomerLeads = asyncHandler(async (req, res) => {
+  const leads = await Lead.find({ tel: req.customer.tel, isArchived: false })
+    .select('nom tel message items produit status createdAt')
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .populate('produit', 'nom prix images')
+    .populate('items.produit', 'nom prix images');
+
+  sendSuccess(res, 200, 'Vos demandes récupérées avec succès', { leads });
+});
+
+/**
+ * @desc    Importer des leads depuis un fichier CSV (dryRun=true pour prévisualiser)
+ * @route   POST /api/leads/import
+ * @access  Private (leads:import)
+ */
+const importLeadsFromCsv = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === true;
+  let report;
+
+  try {
+    report = await importLeads(req.file.buffer, { dryRun, actor: getActor(req) });
+  } catch (error) {
+    // Fichier illisible, colonnes manquantes, trop de lignes...
+    if (error.statusCode === 400) {
+      return sendError(res, 400, error.message);
+    }
+    throw error;
+  }
+
+  if (dryRun) {
+    return sendSuccess(res, 200, 'Aperçu de l\'import généré', report);
+  }
+
+  console.log(`📥 Import CSV: ${report.created} lead(s) créé(s), ${report.duplicates} doublon(s), ${report.failed} échec(s)`);
+
+  sendSuccess(res, report.created > 0 ? 201 : 200, 'Import terminé', report);
+});
+
+/**
+ * @desc    Exporter les leads en fichier CSV ou XLSX (admin)
+ * @route   GET /api/leads/export
+ * @access  Private (leads:export)
+ */
+const exportLeads = asyncHandler(async (req, res) => {
+  const { format = 'csv', columns } = req.query;
+
+  // Mêmes filtres que la liste, dépassement du SLA compris
+  const cursor = Lead.find(buildLeadQuery(req.query, { settings: await getSlaSettings() }))
+    .sort({ createdAt: -1 })
+    .populate('items.produit', 'nom')
+    .populate('assignedTo', 'name')
+    .cursor({ batchSize: 500 });
+
+  try {
+    await streamLeadsExport(res, cursor, {
+      format,
+      columns: columns ? columns.split(',') : undefined
+    });
+  } catch (error) {
+    if (!res.headersSent) throw error;
+
+    // Le fichier est déjà en cours d'envoi : interrompre le téléchargement
+    console.error('❌ Erreur lors de l\'export des leads:', error.message);
+    res.destroy(error);
+  }
 });
 
 module.exports = {
@@ -399,7 +909,19 @@ module.exports = {
   deleteLead,
   assignLead,
   scheduleFollowUp,
+  getLeadActivity,
+  addLeadNote,
+  mergeLeads,
+  convertLead,
+  getLeadWorkflow,
   getLeadStats,
+  getLeadAttributionStats,
   getMyLeads,
+  getMyLeadById,
+  updateMyLead,
+  getMyLeadActivity,
+  addMyLeadNote,
+  getCustomerLeads,
+  importLeadsFromCsv,
   exportLeads
 };
@@ -0,0 +1,106 @@
+const Lead = require('../models/Lead');
+const LeadSource = require('../models/LeadSource');
+const { sendSuccess, sendError, asyncHandler } = require('../utils/response');
+
+/**
+ * @desc    Obtenir les sources de leads (avec le nombre de leads)
+ * @route   GET /api/leads/sources
+ * @access  Private (leads:read ou leads:read:assigned)
+ */
+const getLeadSources = asyncHandler(async (req, res) => {
+  const [sources, counts] = await Promise.all([
+    LeadSource.find().sort({ isSystem: -1, label: 1 }),
+    Lead.aggregate([
+      { $match: { isArchived: false } },
+      { $group: { _id: '$source', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const leadCounts = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+  sendSuccess(res, 200, 'Sources récupérées avec succès', {
+    sources: sources.map(source => ({ ...source.toJSON(), leadCount: leadCounts.get(source.code) || 0 }))
+  });
+});
+
+/**
+ * @desc    Créer une source de leads
+ * @route   POST /api/leads/sources
+ * @access  Private (settings:manage)
+ */
+const createLeadSource = asyncHandler(async (req, res) => {
+  const { code, label, description } = req.body;
+
+  if (await LeadSource.exists({ code })) {
+    return sendError(res, 409, `La source « ${code} » existe déjà`);
+  }
+
+  const source = await LeadSource.create({
+    code,
+    label,
+    description,
+    createdBy: req.user._id
+  });
+
+  sendSuccess(res, 201, 'Source créée avec succès', { source });
+});
+
+/**
+ * @desc    Modifier une source de leads (libellé, description, activation)
+ * @route   PUT /api/leads/sources/:id
+ * @access  Private (settings:manage)
+ */
+const updateLeadSource = asyncHandler(async (req, res) => {
+  const { label, description, isActive } = req.body;
+  const source = await LeadSource.findById(req.params.id);
+
+  if (!source) {
+    return sendError(res, 404, 'Source non trouvée');
+  }
+
+  if (source.isSystem && isActive === false) {
+    return sendError(res, 409, 'Une source système ne peut pas être désactivée');
+  }
+
+  // Le code n'est pas modifiable : il est enregistré dans les leads
+  if (label !== undefined) source.label = label;
+  if (description !== undefined) source.description = description;
+  if (isActive !== undefined) source.isActive = isActive;
+
+  await source.save();
+
+  sendSuccess(res, 200, 'Source mise à jour avec succès', { source });
+});
+
+/**
+ * @desc    Supprimer une source de leads inutilisée
+ * @route   DELETE /api/leads/sources/:id
+ * @access  Private (settings:manage)
+ */
+const deleteLeadSource = asyncHandler(async (req, res) => {
+  const source = await LeadSource.findById(req.params.id);
+
+  if (!source) {
+    return sendError(res, 404, 'Source non trouvée');
+  }
+
+  if (source.isSystem) {
+    return sendError(res, 409, 'Une source système ne peut pas être supprimée');
+  }
+
+  // Les leads existants gardent leur source : elle peut seulement être désactivée
+  if (await Lead.exists({ source: source.code })) {
+    return sendError(res, 409, 'Cette source est utilisée par des leads, désactivez-la plutôt');
+  }
+
+  await source.deleteOne();
+
+  sendSuccess(res, 200, 'Source supprimée avec succès');
+});
+
+module.exports = {
+  getLeadSources,
+  createLeadSource,
+  updateLeadSource,
+  deleteLeadSource
+};
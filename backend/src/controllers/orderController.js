@@ -0,0 +1,213 @@
+const Order = require('../models/Order');
+const { ORDER_STATUSES, ORDER_STATUS_TRANSITIONS, checkOrderTransition } = require('../config/orders');
+const { normalizePhone } = require('../utils/phone');
+const { createOrder, changeOrderStatus } = require('../services/orders');
+const { sendSuccess, sendError, sendPaginatedResponse, asyncHandler } = require('../utils/response');
+
+/**
+ * Auteur d'une action (utilisateur connecté ou clé API)
+ * @param {Object} req - La requête Express
+ * @returns {Object} { user, apiKey }
+ */
+const getActor = (req) => ({
+  user: req.user ? req.user._id : undefined,
+  apiKey: req.apiKey ? req.apiKey._id : undefined
+});
+
+/**
+ * Répond avec une erreur métier (produit introuvable, stock insuffisant...)
+ * Les autres erreurs sont transmises au gestionnaire global
+ * @param {Object} res - La réponse Express
+ * @param {Error} error - Erreur levée par le service des commandes
+ */
+const sendOrderError = (res, error) => {
+  if (error.statusCode && error.statusCode < 500) {
+    return sendError(res, error.statusCode, error.message);
+  }
+  throw error;
+};
+
+/**
+ * Récupère une commande avec ses références peuplées
+ * @param {String} id - ID de la commande
+ * @returns {Promise<Object|null>} Commande
+ */
+const findPopulatedOrder = (id) => {
+  return Order.findById(id)
+    .populate('lead', 'nom tel status')
+    .populate('items.produit', 'nom prix images stock')
+    .populate('createdBy', 'name email')
+    .populate('statusHistory.changedBy', 'name');
+};
+
+/**
+ * @desc    Obtenir toutes les commandes
+ * @route   GET /api/orders
+ * @access  Private (orders:read)
+ */
+const getAllOrders = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, lead, search, dateFrom, dateTo } = req.query;
+
+  const query = { isArchived: false };
+
+  if (status) {
+    query.status = status;
+  }
+
+  if (lead) {
+    query.lead = lead;
+  }
+
+  // Recherche par nom ou téléphone du client
+  if (search) {
+    query.$or = [{ 'customer.nom': { $regex: search, $options: 'i' } }];
+
+    const tel = normalizePhone(search);
+    if (tel) {
+      query.$or.push({ 'customer.tel': tel });
+    }
+  }
+
+  if (dateFrom || dateTo) {
+    query.createdAt = {};
+    if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) query.createdAt.$lte = new Date(dateTo);
+  }
+
+  const orders = await Order.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .populate('lead', 'nom tel status')
+    .populate('items.produit', 'nom prix images');
+
+  const total = await Order.countDocuments(query);
+
+  sendPaginatedResponse(
+    res,
+    orders,
+    parseInt(page),
+    parseInt(limit),
+    total,
+    'Commandes récupérées avec succès'
+  );
+});
+
+/**
+ * @desc    Obtenir une commande par ID
+ * @route   GET /api/orders/:id
+ * @access  Private (orders:read)
+ */
+const getOrderById = asyncHandler(async (req, res) => {
+  const order = await findPopulatedOrder(req.params.id);
+
+  if (!order || order.isArchived) {
+    return sendError(res, 404, 'Commande non trouvée');
+  }
+
+  sendSuccess(res, 200, 'Commande récupérée avec succès', {
+    order,
+    allowedStatuses: ORDER_STATUS_TRANSITIONS[order.status]
+  });
+});
+
+/**
+ * @desc    Créer une commande sans lead (vente directe)
+ * @route   POST /api/orders
+ * @access  Private (orders:create)
+ */
+const createDirectOrder = asyncHandler(async (req, res) => {
+  const { customer, items, deliveryAddress, deliveryDate, notes } = req.body;
+  let order;
+
+  try {
+    order = await createOrder({ customer, items, deliveryAddress, deliveryDate, notes }, getActor(req));
+  } catch (error) {
+    return sendOrderError(res, error);
+  }
+
+  sendSuccess(res, 201, 'Commande créée avec succès', { order: await findPopulatedOrder(order._id) });
+});
+
+/**
+ * @desc    Modifier les informations de livraison d'une commande
+ * @route   PUT /api/orders/:id
+ * @access  Private (orders:update)
+ */
+const updateOrder = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order || order.isArchived) {
+    return sendError(res, 404, 'Commande non trouvée');
+  }
+
+  // Les articles et le montant sont figés à la création
+  ['deliveryAddress', 'deliveryDate', 'notes'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      order[field] = req.body[field];
+    }
+  });
+
+  await order.save();
+
+  sendSuccess(res, 200, 'Commande mise à jour avec succès', { order: await findPopulatedOrder(order._id) });
+});
+
+/**
+ * @desc    Changer le statut d'une commande (livraison, annulation)
+ * @route   PATCH /api/orders/:id/status
+ * @access  Private (orders:update)
+ */
+const updateOrderStatus = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+  const order = await Order.findById(req.params.id);
+
+  if (!order || order.isArchived) {
+    return sendError(res, 404, 'Commande non trouvée');
+  }
+
+  const transitionError = checkOrderTransition(order.status, status);
+  if (transitionError) {
+    return sendError(res, transitionError.statusCode, transitionError.message, { allowed: transitionError.allowed });
+  }
+
+  try {
+    await changeOrderStatus(order, status, note, getActor(req));
+  } catch (error) {
+    return sendOrderError(res, error);
+  }
+
+  sendSuccess(res, 200, 'Statut de la commande mis à jour', { order: await findPopulatedOrder(order._id) });
+});
+
+/**
+ * @desc    Archiver une commande annulée
+ * @route   DELETE /api/orders/:id
+ * @access  Private (orders:delete)
+ */
+const deleteOrder = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order || order.isArchived) {
+    return sendError(res, 404, 'Commande non trouvée');
+  }
+
+  // Une commande en cours doit d'abord être annulée pour restituer le stock
+  if (order.status !== ORDER_STATUSES.CANCELLED) {
+    return sendError(res, 409, 'Seule une commande annulée peut être supprimée');
+  }
+
+  order.isArchived = true;
+  await order.save();
+
+  sendSuccess(res, 200, 'Commande archivée avec succès');
+});
+
+module.exports = {
+  getAllOrders,
+  getOrderById,
+  createDirectOrder,
+  updateOrder,
+  updateOrderStatus,
+  deleteOrder
+};
@@ -0,0 +1,65 @@
+const OtpCode = require('../models/OtpCode');
+const { generateCustomerToken } = require('../utils/jwt');
+const { sendSms } = require('../services/sms');
+const { sendSuccess, sendError, asyncHandler } = require('../utils/response');
+
+/**
+ * @desc    Envoyer un code de connexion à 6 chiffres par SMS
+ * @route   POST /api/auth/otp/request
+ * @access  Public
+ */
+const requestOtp = asyncHandler(async (req, res) => {
+  const { tel } = req.body;
+
+  const retryAfter = await OtpCode.getThrottleDelay(tel);
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    return sendError(res, 429, `Veuillez patienter ${retryAfter} secondes avant de demander un nouveau code`);
+  }
+
+  const code = await OtpCode.issue(tel, req.ip);
+  const expiresInMinutes = parseInt(process.env.OTP_EXPIRES_MINUTES) || 5;
+
+  try {
+    await sendSms({
+      to: tel,
+      text: `Mireb Commercial : votre code de connexion est ${code}. Il expire dans ${expiresInMinutes} minutes. Ne le partagez avec personne.`
+    });
+  } catch (error) {
+    console.error('❌ Erreur d\'envoi du SMS:', error.message);
+    return sendError(res, 502, 'Impossible d\'envoyer le SMS. Veuillez réessayer plus tard.');
+  }
+
+  sendSuccess(res, 200, 'Code envoyé par SMS', { expiresInMinutes });
+});
+
+/**
+ * @desc    Vérifier un code OTP et obtenir un token client
+ * @route   POST /api/auth/otp/verify
+ * @access  Public
+ */
+const verifyOtp = asyncHandler(async (req, res) => {
+  const { tel, code } = req.body;
+
+  const result = await OtpCode.verify(tel, code);
+
+  if (result === 'too_many_attempts') {
+    return sendError(res, 429, 'Trop de tentatives. Veuillez demander un nouveau code.');
+  }
+
+  if (result !== 'valid') {
+    return sendError(res, 401, 'Code invalide ou expiré');
+  }
+
+  const token = generateCustomerToken(tel);
+
+  sendSuccess(res, 200, 'Connexion réussie', {
+    token,
+    customer: { tel }
+  });
+});
+
+module.exports = {
+  requestOtp,
+  verifyOtp
+};
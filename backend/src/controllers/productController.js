@@ -97,7 +97,7 @@ const getProductById = asyncHandler(async (req, res) => {
 /**
  * @desc    Créer un nouveau produit
  * @route   POST /api/products
- * @access  Private/Admin
+ * @access  Private (products:create)
  */
 const createProduct = asyncHandler(async (req, res) => {
   const { nom, prix, images, categorie, stock, description, featured } = req.body;
@@ -122,7 +122,7 @@ const createProduct = asyncHandler(async (req, res) => {
 /**
  * @desc    Mettre à jour un produit
  * @route   PUT /api/products/:id
- * @access  Private/Admin
+ * @access  Private (products:update)
  */
 const updateProduct = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -153,7 +153,7 @@ const updateProduct = asyncHandler(async (req, res) => {
 /**
  * @desc    Supprimer un produit (soft delete)
  * @route   DELETE /api/products/:id
- * @access  Private/Admin
+ * @access  Private (products:delete)
  */
 const deleteProduct = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -174,7 +174,7 @@ const deleteProduct = asyncHandler(async (req, res) => {
 /**
  * @desc    Supprimer définitivement un produit
  * @route   DELETE /api/products/:id/permanent
- * @access  Private/Admin
+ * @access  Private (products:delete)
  */
 const permanentDeleteProduct = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -284,7 +284,7 @@ const getFeaturedProducts = asyncHandler(async (req, res) => {
 /**
  * @desc    Mettre à jour le stock d'un produit
  * @route   PATCH /api/products/:id/stock
- * @access  Private/Admin
+ * @access  Private (products:stock:update)
  */
 const updateStock = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -328,7 +328,7 @@ const updateStock = asyncHandler(async (req, res) => {
 /**
  * @desc    Obtenir les statistiques des produits (admin)
  * @route   GET /api/products/admin/stats
- * @access  Private/Admin
+ * @access  Private (products:stats)
  */
 const getProductStats = asyncHandler(async (req, res) => {
   const stats = await Product.aggregate([
@@ -1,14 +1,55 @@
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
-const { verifyToken, extractTokenFromHeader } = require('../utils/jwt');
+const ApiKey = require('../models/ApiKey');
+const Session = require('../models/Session');
+const { verifyToken, verifyCustomerToken, extractTokenFromHeader } = require('../utils/jwt');
 const { sendError, asyncHandler } = require('../utils/response');
 
 /**
- * Middleware d'authentification JWT
- * Vérifie si l'utilisateur est connecté
+ * Limite de requêtes propre à chaque clé API (ApiKey.rateLimit par minute)
+ */
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.apiKey.rateLimit,
+  keyGenerator: (req) => `api-key:${req.apiKey._id}`,
+  message: {
+    success: false,
+    message: 'Limite de requêtes atteinte pour cette clé API. Réessayez dans une minute.',
+    timestamp: new Date().toISOString()
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Authentifie une requête par clé API (header X-API-Key)
+ * La clé est placée dans req.apiKey ; aucun utilisateur n'est associé
+ */
+const authenticateApiKey = async (rawKey, req, res, next) => {
+  const apiKey = await ApiKey.findActiveByKey(rawKey);
+
+  if (!apiKey) {
+    return sendError(res, 401, 'Clé API invalide, expirée ou révoquée');
+  }
+
+  req.apiKey = apiKey;
+  apiKey.touch().catch(error => console.error('Erreur de mise à jour de la clé API:', error.message));
+
+  return apiKeyLimiter(req, res, next);
+};
+
+/**
+ * Middleware d'authentification JWT ou clé API
+ * Vérifie si l'utilisateur est connecté (Bearer) ou si la clé API est valide (X-API-Key)
  */
 const authenticate = asyncHandler(async (req, res, next) => {
   // Extraire le token du header Authorization
   const token = extractTokenFromHeader(req.headers.authorization);
+  const rawApiKey = req.get('x-api-key');
+
+  if (!token && rawApiKey) {
+    return authenticateApiKey(rawApiKey, req, res, next);
+  }
   
   if (!token) {
     return sendError(res, 401, 'Token d\'authentification requis');
@@ -29,9 +70,24 @@ const authenticate = asyncHandler(async (req, res, next) => {
       return sendError(res, 401, 'Compte utilisateur désactivé');
     }
 
-    // Ajouter l'utilisateur à la requête
+    // Vérifier que le token n'a pas été révoqué (logout, changement de mot de passe...)
+    if (decoded.ver !== user.tokenVersion) {
+      return sendError(res, 401, 'Session expirée. Veuillez vous reconnecter.');
+    }
+
+    // Vérifier que la session liée au token (jti) est toujours ouverte
+    const session = await Session.findActiveById(decoded.jti);
+
+    if (!session || !session.user.equals(user._id)) {
+      return sendError(res, 401, 'Session expirée. Veuillez vous reconnecter.');
+    }
+
+    session.touch(req).catch(error => console.error('Erreur de mise à jour de la session:', error.message));
+
+    // Ajouter l'utilisateur et la session à la requête
     req.user = user;
     req.token = token;
+    req.authSession = session;
     
     next();
   } catch (error) {
@@ -41,27 +97,121 @@ const authenticate = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Middleware pour vérifier les rôles
- * @param {...String} roles - Rôles autorisés
+ * Middleware d'authentification des clients (token OTP par téléphone)
+ * Place le numéro vérifié dans req.customer
  */
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
+const authenticateCustomer = (req, res, next) => {
+  const token = extractTokenFromHeader(req.headers.authorization);
+
+  if (!token) {
+    return sendError(res, 401, 'Token d\'authentification requis');
+  }
+
+  try {
+    const decoded = verifyCustomerToken(token);
+    req.customer = { tel: decoded.tel };
+    next();
+  } catch (error) {
+    return sendError(res, 401, 'Token invalide ou expiré');
+  }
+};
+
+/**
+ * Middleware pour restreindre l'accès aux comptes dont l'email est vérifié
+ * À utiliser après authenticate
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  // Les clés API ne sont pas liées à une adresse email
+  if (req.apiKey) {
+    return next();
+  }
+
+  if (!req.user) {
+    return sendError(res, 401, 'Authentification requise');
+  }
+
+  if (req.user.requiresEmailVerification) {
+    return sendError(res, 403, 'Veuillez vérifier votre adresse email pour accéder à cette ressource');
+  }
+
+  next();
+};
+
+/**
+ * Middleware réservant une route aux utilisateurs (profil, sessions, 2FA...)
+ * À utiliser après authenticate : une clé API n'a pas de compte associé
+ */
+const requireUser = (req, res, next) => {
+  if (req.apiKey) {
+    return sendError(res, 403, 'Cette route n\'est pas accessible avec une clé API');
+  }
+
+  if (!req.user) {
+    return sendError(res, 401, 'Authentification requise');
+  }
+
+  next();
+};
+
+/**
+ * Construit un middleware d'autorisation à partir d'un prédicat
+ * Le prédicat reçoit l'utilisateur connecté ou la clé API (req.user || req.apiKey)
+ * Les administrateurs doivent avoir activé la 2FA si la politique l'exige
+ * @param {Function} isAllowed - (principal, req) => Boolean
+ */
+const guard = (isAllowed) => {
+  return asyncHandler(async (req, res, next) => {
+    const principal = req.user || req.apiKey;
+
+    if (!principal) {
       return sendError(res, 401, 'Authentification requise');
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!isAllowed(principal, req)) {
       return sendError(res, 403, 'Accès refusé - Privilèges insuffisants');
     }
 
+    if (req.user && await req.user.isTwoFactorEnrollmentRequired()) {
+      return sendError(res, 403, 'La double authentification est obligatoire pour les administrateurs. Activez-la via /api/auth/2fa/setup');
+    }
+
     next();
-  };
+  });
+};
+
+/**
+ * Middleware pour vérifier les permissions (ou les scopes d'une clé API)
+ * L'appelant doit posséder au moins une des permissions indiquées
+ * @param {...String} permissions - Permissions acceptées (ex: 'leads:read')
+ */
+const authorize = (...permissions) => {
+  return guard(principal => permissions.some(permission => principal.hasPermission(permission)));
+};
+
+/**
+ * Middleware autorisant l'utilisateur ciblé par la route (req.params.id)
+ * ou les détenteurs d'une des permissions indiquées
+ * @param {...String} permissions - Permissions acceptées pour agir sur un autre utilisateur
+ */
+const authorizeSelfOr = (...permissions) => {
+  return guard((principal, req) =>
+    (req.user && req.params.id === req.user._id.toString()) ||
+    permissions.some(permission => principal.hasPermission(permission))
+  );
+};
+
+/**
+ * Middleware pour vérifier les rôles
+ * @param {...String} roles - Rôles autorisés
+ */
+const requireRole = (...roles) => {
+  return guard(principal => roles.includes(principal.role));
 };
 
 /**
  * Middleware pour vérifier si l'utilisateur est admin
  */
-const requireAdmin = authorize('admin');
+const requireAdmin = requireRole('admin');
 
 /**
  * Middleware d'authentification optionnelle
@@ -78,8 +228,11 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
     const decoded = verifyToken(token);
     const user = await User.findById(decoded.id).select('-password');
     
-    if (user && user.isActive) {
+    const session = user && await Session.findActiveById(decoded.jti);
+
+    if (user && user.isActive && decoded.ver === user.tokenVersion && session) {
       req.user = user;
+      req.authSession = session;
       req.token = token;
     }
   } catch (error) {
@@ -91,25 +244,46 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Middleware pour vérifier la propriété d'une ressource
- * L'utilisateur doit être le propriétaire ou admin
+ * Middleware pour charger une ressource par son ID (req.params.id)
+ * La ressource est placée dans req.resource pour requireOwnership
+ * @param {Object} Model - Modèle Mongoose
+ * @param {String} notFoundMessage - Message si la ressource n'existe pas
  */
-const requireOwnership = (resourceField = 'createdBy') => {
+const loadResource = (Model, notFoundMessage = 'Ressource non trouvée') => {
+  return asyncHandler(async (req, res, next) => {
+    const resource = await Model.findById(req.params.id);
+
+    if (!resource) {
+      return sendError(res, 404, notFoundMessage);
+    }
+
+    req.resource = resource;
+    next();
+  });
+};
+
+/**
+ * Middleware pour vérifier la propriété d'une ressource (chargée dans req.resource)
+ * L'utilisateur doit être le propriétaire, admin, ou posséder la permission de contournement
+ * @param {String} resourceField - Champ contenant l'ID du propriétaire
+ * @param {String} bypassPermission - Permission donnant accès à toutes les ressources
+ */
+const requireOwnership = (resourceField = 'createdBy', bypassPermission = null) => {
   return asyncHandler(async (req, res, next) => {
     if (!req.user) {
       return sendError(res, 401, 'Authentification requise');
     }
 
-    // Les admins ont accès à tout
-    if (req.user.role === 'admin') {
+    // Les admins (ou détenteurs de la permission globale) ont accès à tout
+    if (req.user.role === 'admin' || (bypassPermission && req.user.hasPermission(bypassPermission))) {
       return next();
     }
 
-    // Vérifier la propriété (à implémenter selon le contexte)
-    if (req.resource && req.resource[resourceField]) {
-      if (req.resource[resourceField].toString() !== req.user._id.toString()) {
-        return sendError(res, 403, 'Accès refusé - Vous n\'êtes pas propriétaire de cette ressource');
-      }
+    const owner = req.resource && req.resource[resourceField];
+    const ownerId = owner && owner._id ? owner._id : owner;
+
+    if (!ownerId || ownerId.toString() !== req.user._id.toString()) {
+      return sendError(res, 403, 'Accès refusé - Vous n\'êtes pas propriétaire de cette ressource');
     }
 
     next();
@@ -119,7 +293,7 @@ const requireOwnership = (resourceField = 'createdBy') => {
 /**
  * Middleware pour limiter les tentatives de connexion
  */
-const loginLimiter = require('express-rate-limit')({
+const loginLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // 5 tentatives max par IP
   message: {
@@ -132,6 +306,70 @@ const loginLimiter = require('express-rate-limit')({
   skipSuccessfulRequests: true
 });
 
+/**
+ * Middleware pour limiter les demandes de réinitialisation de mot de passe
+ */
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 5, // 5 demandes max par IP
+  message: {
+    success: false,
+    message: 'Trop de demandes de réinitialisation. Réessayez dans une heure.',
+    timestamp: new Date().toISOString()
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Middleware pour limiter les renvois d'email de vérification
+ * (par utilisateur connecté)
+ */
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 3, // 3 renvois max par utilisateur
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    message: 'Trop de demandes d\'email de vérification. Réessayez dans une heure.',
+    timestamp: new Date().toISOString()
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Middleware pour limiter les demandes de code OTP (par IP)
+ * Le nombre d'envois par numéro est limité par OtpCode.getThrottleDelay
+ */
+const otpRequestLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 10, // 10 demandes max par IP
+  message: {
+    success: false,
+    message: 'Trop de demandes de code. Réessayez dans une heure.',
+    timestamp: new Date().toISOString()
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Middleware pour limiter les vérifications de code OTP (par IP)
+ */
+const otpVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 vérifications max par IP
+  message: {
+    success: false,
+    message: 'Trop de tentatives de vérification. Réessayez dans 15 minutes.',
+    timestamp: new Date().toISOString()
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true
+});
+
 /**
  * Middleware pour extraire l'ID utilisateur des paramètres
  * et vérifier qu'il correspond à l'utilisateur connecté (sauf admin)
@@ -158,10 +396,20 @@ const requireSelfOrAdmin = asyncHandler(async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateCustomer,
+  requireVerifiedEmail,
+  requireUser,
   authorize,
+  authorizeSelfOr,
+  requireRole,
   requireAdmin,
   optionalAuth,
+  loadResource,
   requireOwnership,
   requireSelfOrAdmin,
-  loginLimiter
+  loginLimiter,
+  passwordResetLimiter,
+  verificationEmailLimiter,
+  otpRequestLimiter,
+  otpVerifyLimiter
 };
@@ -0,0 +1,49 @@
+const path = require('path');
+const multer = require('multer');
+const { sendError } = require('../utils/response');
+
+const MAX_CSV_SIZE_MB = parseInt(process.env.IMPORT_MAX_FILE_SIZE_MB) || 5;
+
+// Types MIME envoyés pour un CSV selon le navigateur et le système
+const CSV_MIME_TYPES = ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel'];
+
+// Fichier conservé en mémoire : il est analysé puis abandonné
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_CSV_SIZE_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const isCsv = path.extname(file.originalname).toLowerCase() === '.csv' &&
+      CSV_MIME_TYPES.includes(file.mimetype);
+    cb(null, isCsv);
+  }
+});
+
+/**
+ * Middleware pour recevoir un fichier CSV (multipart/form-data)
+ * @param {String} field - Nom du champ contenant le fichier
+ */
+const uploadCsv = (field = 'file') => {
+  return (req, res, next) => {
+    csvUpload.single(field)(req, res, (error) => {
+      if (error) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `Le fichier ne peut pas dépasser ${MAX_CSV_SIZE_MB} Mo`
+          : 'Fichier invalide';
+        return sendError(res, 400, message);
+      }
+
+      if (!req.file) {
+        return sendError(res, 400, `Fichier CSV requis (champ « ${field} »)`);
+      }
+
+      next();
+    });
+  };
+};
+
+module.exports = {
+  uploadCsv
+};
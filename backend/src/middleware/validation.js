@@ -1,5 +1,18 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { sendValidationError } = require('../utils/response');
+const { API_KEY_SCOPES, ROLES } = require('../config/permissions');
+const { ASSIGNMENT_STRATEGIES } = require('../config/settings');
+const { normalizePhone, isValidPhone } = require('../utils/phone');
+const { PRODUCT_CATEGORIES } = require('../config/products');
+const {
+  LEAD_STATUSES,
+  LOSS_REASONS,
+  LEAD_SOURCE_CODE_PATTERN,
+  ACTIVITY_TYPES,
+  MANUAL_ACTIVITY_TYPES
+} = require('../config/leads');
+const { ORDER_STATUSES } = require('../config/orders');
+const { EXPORT_COLUMNS, EXPORT_FORMATS } = require('../services/leadExport');
 
 /**
  * Middleware pour traiter les résultats de validation
@@ -52,6 +65,380 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+const validateRefreshToken = [
+  body('refreshToken')
+    .isJWT()
+    .withMessage('Refresh token invalide'),
+  
+  handleValidationErrors
+];
+
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Veuillez entrer un email valide'),
+  
+  handleValidationErrors
+];
+
+const validateResetPassword = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Token de réinitialisation invalide'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Le mot de passe doit contenir au moins 6 caractères')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Le mot de passe doit contenir au moins une minuscule, une majuscule et un chiffre'),
+  
+  handleValidationErrors
+];
+
+const validateVerificationToken = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Token de vérification invalide'),
+  
+  handleValidationErrors
+];
+
+const validateOtpRequest = [
+  body('tel')
+    .custom(isValidPhone)
+    .withMessage('Veuillez entrer un numéro de téléphone valide')
+    .customSanitizer(normalizePhone),
+  
+  handleValidationErrors
+];
+
+const validateOtpVerify = [
+  body('tel')
+    .custom(isValidPhone)
+    .withMessage('Veuillez entrer un numéro de téléphone valide')
+    .customSanitizer(normalizePhone),
+  
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Le code doit contenir 6 chiffres'),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isJWT()
+    .withMessage('Challenge invalide'),
+  
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('Le code doit contenir 6 chiffres'),
+  
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .matches(/^[a-f0-9]{5}-[a-f0-9]{5}$/i)
+    .withMessage('Code de récupération invalide'),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Le code doit contenir 6 chiffres'),
+  
+  handleValidationErrors
+];
+
+const validateSecuritySettings = [
+  body('requireAdminTwoFactor')
+    .isBoolean()
+    .withMessage('requireAdminTwoFactor doit être un booléen')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+const validateAssignmentSettings = [
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled doit être un booléen')
+    .toBoolean(),
+  
+  body('strategy')
+    .optional()
+    .isIn(Object.values(ASSIGNMENT_STRATEGIES))
+    .withMessage(`Stratégie invalide. Valeurs autorisées : ${Object.values(ASSIGNMENT_STRATEGIES).join(', ')}`),
+  
+  body('roles')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Au moins un rôle est requis'),
+  
+  body('roles.*')
+    .isIn(ROLES)
+    .withMessage('Rôle invalide'),
+  
+  body('timezone')
+    .optional()
+    .custom((value) => {
+      // Lève une RangeError si le fuseau est inconnu
+      new Intl.DateTimeFormat('fr-FR', { timeZone: value });
+      return true;
+    })
+    .withMessage('Fuseau horaire invalide (ex: Africa/Kinshasa)'),
+  
+  handleValidationErrors
+];
+
+const validateScoringSettings = [
+  body(['baseScore', 'messageMinLength', 'repeatContactMaxPoints', 'maxAgePenalty'])
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Valeur entière entre 0 et 100 attendue')
+    .toInt(),
+  
+  body(['inStockPoints', 'outOfStockPoints', 'messageLengthPoints', 'repeatContactPoints', 'agePenaltyPerDay'])
+    .optional()
+    .isInt({ min: -100, max: 100 })
+    .withMessage('Nombre de points entre -100 et 100 attendu')
+    .toInt(),
+  
+  body('priceTiers')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Les paliers de prix doivent être une liste (20 maximum)'),
+  
+  body('priceTiers.*.min')
+    .isFloat({ min: 0 })
+    .withMessage('Le prix minimum d\'un palier doit être positif')
+    .toFloat(),
+  
+  body(['priceTiers.*.points', 'keywords.*.points'])
+    .isInt({ min: -100, max: 100 })
+    .withMessage('Nombre de points entre -100 et 100 attendu')
+    .toInt(),
+  
+  body('keywords')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Les mots-clés doivent être une liste (50 maximum)'),
+  
+  body('keywords.*.word')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Un mot-clé doit contenir entre 2 et 50 caractères'),
+  
+  body('sourcePoints')
+    .optional()
+    .isObject()
+    .custom((value) => Object.entries(value).every(([source, points]) =>
+      LEAD_SOURCE_CODE_PATTERN.test(source) && Number.isInteger(points) && Math.abs(points) <= 100
+    ))
+    .withMessage('Points par source invalides (code de source => points entre -100 et 100)'),
+  
+  handleValidationErrors
+];
+
+const validateSlaSettings = [
+  body('firstContactMinutes')
+    .optional()
+    .isInt({ min: 1, max: 10080 })
+    .withMessage('Le délai de premier contact doit être compris entre 1 et 10080 minutes')
+    .toInt(),
+  
+  body('conversionDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Le délai de conversion doit être compris entre 1 et 365 jours')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+const validateFollowUpSettings = [
+  body(['remindersEnabled', 'digestEnabled'])
+    .optional()
+    .isBoolean()
+    .withMessage('Valeur booléenne attendue')
+    .toBoolean(),
+  
+  body('escalationDelayHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Le délai d\'escalade doit être compris entre 1 et 720 heures')
+    .toInt(),
+  
+  body('digestHour')
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage('L\'heure du récapitulatif doit être comprise entre 0 et 23')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validations pour la gestion des utilisateurs
+ */
+const validateInvitation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Veuillez entrer un email valide'),
+  
+  body('role')
+    .isIn(ROLES)
+    .withMessage('Rôle invalide'),
+  
+  handleValidationErrors
+];
+
+const validateAcceptInvitation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Token d\'invitation invalide'),
+  
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Le nom doit contenir entre 2 et 50 caractères')
+    .matches(/^[a-zA-ZÀ-ÿ\s'-]+$/)
+    .withMessage('Le nom ne peut contenir que des lettres, espaces, apostrophes et tirets'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Le mot de passe doit contenir au moins 6 caractères')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Le mot de passe doit contenir au moins une minuscule, une majuscule et un chiffre'),
+  
+  handleValidationErrors
+];
+
+const validateAvailability = [
+  body('isAvailable')
+    .optional()
+    .isBoolean()
+    .withMessage('isAvailable doit être un booléen')
+    .toBoolean(),
+  
+  body('workingHours.days')
+    .optional()
+    .isArray()
+    .withMessage('Les jours travaillés doivent être une liste'),
+  
+  body('workingHours.days.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Les jours travaillés doivent être compris entre 0 (dimanche) et 6 (samedi)')
+    .toInt(),
+  
+  body(['workingHours.start', 'workingHours.end'])
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Heure invalide (format HH:mm)'),
+  
+  body('leadCategories')
+    .optional()
+    .isArray()
+    .withMessage('Les catégories doivent être une liste'),
+  
+  body('leadCategories.*')
+    .isIn(PRODUCT_CATEGORIES)
+    .withMessage('Catégorie invalide'),
+  
+  handleValidationErrors
+];
+
+const validateRoleUpdate = [
+  body('role')
+    .isIn(ROLES)
+    .withMessage('Rôle invalide'),
+  
+  handleValidationErrors
+];
+
+const validateUserDeletion = [
+  body('reassignTo')
+    .optional()
+    .isMongoId()
+    .withMessage('ID utilisateur invalide'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validations pour les clés API
+ */
+const validateApiKey = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Le nom doit contenir entre 2 et 100 caractères'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Au moins un scope est requis'),
+  
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage('Scope invalide'),
+  
+  body('rateLimit')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('La limite doit être entre 1 et 10000 requêtes par minute')
+    .toInt(),
+  
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Date d\'expiration invalide')
+    .toDate(),
+  
+  handleValidationErrors
+];
+
+const validateApiKeyUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Le nom doit contenir entre 2 et 100 caractères'),
+  
+  body('scopes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Au moins un scope est requis'),
+  
+  body('scopes.*')
+    .optional()
+    .isIn(API_KEY_SCOPES)
+    .withMessage('Scope invalide'),
+  
+  body('rateLimit')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('La limite doit être entre 1 et 10000 requêtes par minute')
+    .toInt(),
+  
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Date d\'expiration invalide')
+    .toDate(),
+  
+  handleValidationErrors
+];
+
 /**
  * Validations pour les produits
  */
@@ -70,7 +457,7 @@ const validateProduct = [
     .withMessage('Le stock doit être un nombre entier positif'),
   
   body('categorie')
-    .isIn(['Électronique', 'Mode', 'Maison & Jardin', 'Automobile', 'Santé & Beauté', 'Sports & Loisirs', 'Industrie & BTP'])
+    .isIn(PRODUCT_CATEGORIES)
     .withMessage('Catégorie invalide'),
   
   body('description')
@@ -108,7 +495,7 @@ const validateProductUpdate = [
   
   body('categorie')
     .optional()
-    .isIn(['Électronique', 'Mode', 'Maison & Jardin', 'Automobile', 'Santé & Beauté', 'Sports & Loisirs', 'Industrie & BTP'])
+    .isIn(PRODUCT_CATEGORIES)
     .withMessage('Catégorie invalide'),
   
   body('description')
@@ -133,7 +520,8 @@ const validateProductUpdate = [
 /**
  * Validations pour les leads
  */
-const validateLead = [
+// Règles d'un lead, partagées par le formulaire public et l'import CSV
+const leadRules = [
   body('nom')
     .trim()
     .isLength({ min: 2, max: 50 })
@@ -143,8 +531,8 @@ const validateLead = [
   
   body('tel')
     .trim()
-    .isMobilePhone('any', { strictMode: false })
-    .withMessage('Veuillez entrer un numéro de téléphone valide'),
+    .custom(isValidPhone)
+    .withMessage('Veuillez entrer un numéro de téléphone mobile valide (ex: 0812345678 ou +243812345678)'),
   
   body('message')
     .optional()
@@ -152,24 +540,79 @@ const validateLead = [
     .isLength({ max: 500 })
     .withMessage('Le message ne peut pas dépasser 500 caractères'),
   
+  // Un seul produit (ancien format) ou une liste d'articles
   body('produit')
+    .if(body('items').not().exists())
     .isMongoId()
     .withMessage('ID produit invalide'),
   
-  handleValidationErrors
+  body('items')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('La demande doit contenir entre 1 et 20 articles'),
+  
+  body('items.*.produit')
+    .isMongoId()
+    .withMessage('ID produit invalide'),
+  
+  body('items.*.quantite')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('La quantité doit être comprise entre 1 et 1000')
+    .toInt(),
+  
+  body('items.*.variante')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La variante ne peut pas dépasser 100 caractères'),
+  
+  // La source est vérifiée parmi les sources actives ; les autres champs
+  // d'attribution sont nettoyés par buildAttribution sans rejeter la demande
+  body('source')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(LEAD_SOURCE_CODE_PATTERN)
+    .withMessage('Source invalide')
 ];
 
+const validateLead = [...leadRules, handleValidationErrors];
+
+/**
+ * Applique les règles de validateLead à des données hors requête (ligne d'import)
+ * @param {Object} data - Champs du lead
+ * @returns {Promise<Object>} { data (nettoyées), errors: [{ field, message }] }
+ */
+const checkLeadData = async (data) => {
+  const req = { body: { ...data } };
+  await Promise.all(leadRules.map((rule) => rule.run(req)));
+
+  const errors = validationResult(req).array().map((error) => ({
+    field: error.path,
+    message: error.msg
+  }));
+
+  return { data: req.body, errors };
+};
+
 const validateLeadUpdate = [
   body('status')
     .optional()
-    .isIn(['nouveau', 'contacte', 'interesse', 'converti', 'perdu'])
+    .isIn(Object.values(LEAD_STATUSES))
     .withMessage('Statut invalide'),
   
+  body('lossReason')
+    .if(body('status').equals(LEAD_STATUSES.LOST))
+    .isIn(Object.keys(LOSS_REASONS))
+    .withMessage(`Motif de perte requis. Valeurs autorisées : ${Object.keys(LOSS_REASONS).join(', ')}`),
+  
   body('notes')
     .optional()
     .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Les notes ne peuvent pas dépasser 1000 caractères'),
+    .isLength({ max: 2000 })
+    .withMessage('Les notes ne peuvent pas dépasser 2000 caractères'),
   
   body('assignedTo')
     .optional()
@@ -184,6 +627,316 @@ const validateLeadUpdate = [
   handleValidationErrors
 ];
 
+const validateMyLeadUpdate = [
+  body('status')
+    .optional()
+    .isIn(Object.values(LEAD_STATUSES))
+    .withMessage('Statut invalide'),
+  
+  body('lossReason')
+    .if(body('status').equals(LEAD_STATUSES.LOST))
+    .isIn(Object.keys(LOSS_REASONS))
+    .withMessage(`Motif de perte requis. Valeurs autorisées : ${Object.keys(LOSS_REASONS).join(', ')}`),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Les notes ne peuvent pas dépasser 2000 caractères'),
+  
+  body('followUpDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de suivi invalide'),
+  
+  body('assignedTo')
+    .not()
+    .exists()
+    .withMessage('Vous ne pouvez pas réassigner ce lead'),
+  
+  handleValidationErrors
+];
+
+const validateLeadNote = [
+  body('type')
+    .optional()
+    .isIn(MANUAL_ACTIVITY_TYPES)
+    .withMessage(`Type invalide. Valeurs autorisées : ${MANUAL_ACTIVITY_TYPES.join(', ')}`),
+  
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Le contenu doit contenir entre 1 et 2000 caractères'),
+  
+  handleValidationErrors
+];
+
+const validateLeadActivityQuery = [
+  query('type')
+    .optional()
+    .isIn(Object.values(ACTIVITY_TYPES))
+    .withMessage('Type d\'activité invalide'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Le numéro de page doit être un entier positif'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('La limite doit être entre 1 et 100'),
+  
+  handleValidationErrors
+];
+
+const validateLeadMerge = [
+  body('targetId')
+    .isMongoId()
+    .withMessage('ID du lead principal invalide'),
+  
+  body('sourceId')
+    .isMongoId()
+    .withMessage('ID du lead à fusionner invalide'),
+  
+  handleValidationErrors
+];
+
+const validateLeadImport = [
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun doit être un booléen')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Filtres de la liste des leads, partagés par la liste et l'export
+const leadFilterRules = [
+  query('status')
+    .optional()
+    .isIn(Object.values(LEAD_STATUSES))
+    .withMessage('Statut invalide'),
+  
+  query(['assignedTo', 'produit'])
+    .optional()
+    .isMongoId()
+    .withMessage('ID invalide'),
+  
+  query(['dateFrom', 'dateTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date invalide'),
+  
+  query(['minScore', 'maxScore'])
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Le score doit être compris entre 0 et 100'),
+  
+  query('slaBreached')
+    .optional()
+    .isBoolean()
+    .withMessage('slaBreached doit être un booléen')
+    .toBoolean()
+];
+
+const validateLeadQuery = [
+  ...leadFilterRules,
+  
+  query('sortBy')
+    .optional()
+    .isIn(['createdAt', 'score'])
+    .withMessage('Le tri doit être createdAt ou score'),
+  
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('L\'ordre de tri doit être asc ou desc'),
+  
+  handleValidationErrors
+];
+
+const validateLeadExport = [
+  ...leadFilterRules,
+  
+  query('format')
+    .optional()
+    .isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`Format invalide (${Object.keys(EXPORT_FORMATS).join(', ')})`),
+  
+  query('columns')
+    .optional()
+    .custom((value) => String(value).split(',').every((key) => EXPORT_COLUMNS[key]))
+    .withMessage(`Colonnes invalides (${Object.keys(EXPORT_COLUMNS).join(', ')})`),
+  
+  handleValidationErrors
+];
+
+const validateAttributionQuery = [
+  query(['dateFrom', 'dateTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date invalide'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validations pour les sources de leads
+ */
+const validateLeadSource = [
+  body('code')
+    .trim()
+    .toLowerCase()
+    .matches(LEAD_SOURCE_CODE_PATTERN)
+    .withMessage('Le code doit contenir 2 à 30 lettres minuscules, chiffres, tirets ou underscores'),
+  
+  body('label')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Le libellé doit contenir entre 2 et 50 caractères'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La description ne peut pas dépasser 200 caractères'),
+  
+  handleValidationErrors
+];
+
+const validateLeadSourceUpdate = [
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Le libellé doit contenir entre 2 et 50 caractères'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La description ne peut pas dépasser 200 caractères'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive doit être un booléen')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validations pour les commandes
+ */
+const orderDeliveryRules = [
+  body('deliveryAddress')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('L\'adresse ne peut pas dépasser 300 caractères'),
+  
+  body('deliveryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de livraison invalide')
+    .toDate(),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Les notes ne peuvent pas dépasser 1000 caractères')
+];
+
+const validateLeadConversion = [...orderDeliveryRules, handleValidationErrors];
+
+const validateOrder = [
+  body('customer.nom')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Le nom du client doit contenir entre 2 et 50 caractères'),
+  
+  body('customer.tel')
+    .trim()
+    .custom(isValidPhone)
+    .withMessage('Veuillez entrer un numéro de téléphone mobile valide (ex: 0812345678 ou +243812345678)'),
+  
+  body('items')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('La commande doit contenir entre 1 et 20 articles'),
+  
+  body('items.*.produit')
+    .isMongoId()
+    .withMessage('ID produit invalide'),
+  
+  body('items.*.quantite')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('La quantité doit être comprise entre 1 et 1000')
+    .toInt(),
+  
+  body('items.*.prixUnitaire')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Le prix unitaire doit être positif')
+    .toFloat(),
+  
+  body('items.*.variante')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La variante ne peut pas dépasser 100 caractères'),
+  
+  ...orderDeliveryRules,
+  
+  handleValidationErrors
+];
+
+const validateOrderUpdate = [...orderDeliveryRules, handleValidationErrors];
+
+const validateOrderStatus = [
+  body('status')
+    .isIn(Object.values(ORDER_STATUSES))
+    .withMessage(`Statut invalide (${Object.values(ORDER_STATUSES).join(', ')})`),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La note ne peut pas dépasser 500 caractères'),
+  
+  handleValidationErrors
+];
+
+const validateOrderQuery = [
+  query('status')
+    .optional()
+    .isIn(Object.values(ORDER_STATUSES))
+    .withMessage('Statut invalide'),
+  
+  query('lead')
+    .optional()
+    .isMongoId()
+    .withMessage('ID lead invalide'),
+  
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('La recherche doit contenir entre 1 et 100 caractères'),
+  
+  query(['dateFrom', 'dateTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date invalide'),
+  
+  handleValidationErrors
+];
+
 /**
  * Validations pour les paramètres
  */
@@ -195,6 +948,14 @@ const validateObjectId = [
   handleValidationErrors
 ];
 
+const validateSessionId = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('ID de session invalide'),
+  
+  handleValidationErrors
+];
+
 const validatePagination = [
   query('page')
     .optional()
@@ -212,7 +973,7 @@ const validatePagination = [
 const validateProductQuery = [
   query('categorie')
     .optional()
-    .isIn(['Électronique', 'Mode', 'Maison & Jardin', 'Automobile', 'Santé & Beauté', 'Sports & Loisirs', 'Industrie & BTP'])
+    .isIn(PRODUCT_CATEGORIES)
     .withMessage('Catégorie invalide'),
   
   query('minPrice')
@@ -254,13 +1015,50 @@ const validateSearch = [
 module.exports = {
   validateRegister,
   validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerificationToken,
+  validateOtpRequest,
+  validateOtpVerify,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateSecuritySettings,
+  validateAssignmentSettings,
+  validateScoringSettings,
+  validateFollowUpSettings,
+  validateSlaSettings,
+  validateAvailability,
+  validateInvitation,
+  validateAcceptInvitation,
+  validateRoleUpdate,
+  validateUserDeletion,
+  validateApiKey,
+  validateApiKeyUpdate,
   validateProduct,
   validateProductUpdate,
   validateLead,
   validateLeadUpdate,
+  validateMyLeadUpdate,
+  validateLeadNote,
+  validateLeadActivityQuery,
+  validateLeadMerge,
+  validateLeadConversion,
+  validateOrder,
+  validateOrderUpdate,
+  validateOrderStatus,
+  validateOrderQuery,
+  validateLeadQuery,
+  validateLeadImport,
+  validateLeadExport,
+  validateAttributionQuery,
+  validateLeadSource,
+  validateLeadSourceUpdate,
   validateObjectId,
+  validateSessionId,
   validatePagination,
   validateProductQuery,
   validateSearch,
+  checkLeadData,
   handleValidationErrors
 };
@@ -0,0 +1,72 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Lead = require('../models/Lead');
+const Product = require('../models/Product');
+
+/**
+ * Migration : convertit le produit unique des leads existants en liste d'articles
+ *
+ * Chaque lead reçoit un article (quantité 1) au prix actuel du produit, le prix
+ * annoncé à l'époque n'étant pas connu. Le champ produit est conservé comme
+ * produit principal. La migration peut être relancée sans effet sur les leads
+ * déjà traités.
+ */
+
+const migrate = async () => {
+  const prices = new Map(
+    (await Product.find().select('prix').lean()).map(product => [product._id.toString(), product.prix])
+  );
+
+  // Lecture directe de la collection pour ne pas déclencher les hooks du modèle
+  const cursor = Lead.collection.find(
+    { produit: { $exists: true }, 'items.0': { $exists: false } },
+    { projection: { produit: 1 } }
+  );
+
+  let migrated = 0;
+  const missingProducts = [];
+
+  for await (const lead of cursor) {
+    const item = { produit: lead.produit, quantite: 1 };
+
+    if (prices.has(lead.produit.toString())) {
+      item.prixUnitaire = prices.get(lead.produit.toString());
+    } else {
+      missingProducts.push({ id: lead._id.toString(), produit: lead.produit.toString() });
+    }
+
+    await Lead.collection.updateOne({ _id: lead._id }, { $set: { items: [item] } });
+    migrated++;
+  }
+
+  return { migrated, missingProducts };
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connecté à MongoDB pour la migration');
+
+    const { migrated, missingProducts } = await migrate();
+    console.log(`✅ Migration terminée : ${migrated} leads convertis en articles`);
+
+    if (missingProducts.length > 0) {
+      console.warn(`⚠️  ${missingProducts.length} leads font référence à un produit supprimé (prix non renseigné) :`);
+      missingProducts.forEach(({ id, produit }) => console.warn(`   - Lead ${id} : produit ${produit}`));
+    }
+  } catch (error) {
+    console.error('❌ Erreur lors de la migration:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Connexion MongoDB fermée');
+  }
+};
+
+// Exécuter la migration si appelée directement
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrate };
@@ -0,0 +1,73 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Lead = require('../models/Lead');
+const LeadActivity = require('../models/LeadActivity');
+const { LEAD_STATUSES, ACTIVITY_TYPES } = require('../config/leads');
+
+/**
+ * Migration : horodate le premier contact et la conversion des leads existants
+ *
+ * Les dates sont reprises de la chronologie (premier changement de statut
+ * « nouveau » → « contacte » et premier passage en « converti »). Les leads
+ * déjà horodatés ne sont pas modifiés : la migration peut être relancée.
+ */
+
+const migrate = async () => {
+  const transitions = await LeadActivity.aggregate([
+    {
+      $match: {
+        type: ACTIVITY_TYPES.STATUS_CHANGE,
+        $or: [
+          { before: LEAD_STATUSES.NEW, after: LEAD_STATUSES.CONTACTED },
+          { after: LEAD_STATUSES.CONVERTED }
+        ]
+      }
+    },
+    {
+      $group: {
+        _id: {
+          lead: '$lead',
+          field: { $cond: [{ $eq: ['$after', LEAD_STATUSES.CONVERTED] }, 'convertedAt', 'firstContactedAt'] }
+        },
+        date: { $min: '$createdAt' }
+      }
+    }
+  ]);
+
+  const updated = { firstContactedAt: 0, convertedAt: 0 };
+
+  // Lecture directe de la collection pour ne pas déclencher les hooks du modèle
+  for (const { _id: { lead, field }, date } of transitions) {
+    const result = await Lead.collection.updateOne(
+      { _id: lead, [field]: { $exists: false } },
+      { $set: { [field]: date } }
+    );
+    updated[field] += result.modifiedCount;
+  }
+
+  return updated;
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connecté à MongoDB pour la migration');
+
+    const { firstContactedAt, convertedAt } = await migrate();
+    console.log(`✅ Migration terminée : ${firstContactedAt} premiers contacts et ${convertedAt} conversions horodatés`);
+  } catch (error) {
+    console.error('❌ Erreur lors de la migration:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Connexion MongoDB fermée');
+  }
+};
+
+// Exécuter la migration si appelée directement
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrate };
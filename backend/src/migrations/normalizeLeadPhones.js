@@ -0,0 +1,69 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Lead = require('../models/Lead');
+const { normalizePhone } = require('../utils/phone');
+
+/**
+ * Migration : convertit les numéros des leads existants au format E.164
+ *
+ * La saisie d'origine est conservée dans telRaw. Les numéros impossibles à
+ * normaliser sont laissés inchangés et listés pour correction manuelle.
+ * La migration peut être relancée sans effet sur les leads déjà traités.
+ */
+
+const migrate = async () => {
+  // Lecture directe de la collection pour ne pas déclencher les hooks du modèle
+  const cursor = Lead.collection.find(
+    { telRaw: { $exists: false } },
+    { projection: { tel: 1 } }
+  );
+
+  let normalized = 0;
+  const invalid = [];
+
+  for await (const lead of cursor) {
+    const tel = normalizePhone(lead.tel);
+
+    if (!tel) {
+      invalid.push({ id: lead._id.toString(), tel: lead.tel });
+      continue;
+    }
+
+    await Lead.collection.updateOne(
+      { _id: lead._id },
+      { $set: { tel, telRaw: lead.tel } }
+    );
+    normalized++;
+  }
+
+  return { normalized, invalid };
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connecté à MongoDB pour la migration');
+
+    const { normalized, invalid } = await migrate();
+    console.log(`✅ Migration terminée : ${normalized} numéros normalisés`);
+
+    if (invalid.length > 0) {
+      console.warn(`⚠️  ${invalid.length} numéros invalides à corriger manuellement :`);
+      invalid.forEach(({ id, tel }) => console.warn(`   - Lead ${id} : ${tel}`));
+    }
+  } catch (error) {
+    console.error('❌ Erreur lors de la migration:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Connexion MongoDB fermée');
+  }
+};
+
+// Exécuter la migration si appelée directement
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrate };
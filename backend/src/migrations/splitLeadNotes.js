@@ -0,0 +1,115 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Lead = require('../models/Lead');
+const LeadActivity = require('../models/LeadActivity');
+const { ACTIVITY_TYPES } = require('../config/leads');
+
+/**
+ * Migration : découpe l'ancien champ texte Lead.notes en entrées LeadActivity
+ *
+ * Les anciennes méthodes du modèle concaténaient les notes sous la forme
+ * « <date ISO>: [Assigné - |Suivi programmé - ]<texte> », séparées par une
+ * ligne vide. Chaque bloc devient une entrée typée ; le champ notes est
+ * ensuite supprimé du lead.
+ *
+ * Les entrées créées sont marquées (details.migratedFrom) et remplacées à
+ * chaque passage : si la migration s'interrompt avant la suppression du champ
+ * notes, la relancer ne crée pas de doublon.
+ */
+
+const MIGRATION_MARKER = 'notes';
+
+const ENTRY_SEPARATOR = /\n\n(?=\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z: )/;
+const TIMESTAMP_PREFIX = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z): ([\s\S]*)$/;
+const TYPE_PREFIXES = [
+  ['Assigné - ', ACTIVITY_TYPES.ASSIGNMENT],
+  ['Suivi programmé - ', ACTIVITY_TYPES.FOLLOW_UP]
+];
+
+/**
+ * Découpe un texte de notes en entrées de chronologie
+ * @param {String} notes - Ancien contenu de Lead.notes
+ * @param {Date} fallbackDate - Date utilisée pour les blocs non horodatés
+ * @returns {Array<Object>} Entrées { type, note, createdAt }
+ */
+const parseNotes = (notes, fallbackDate) => {
+  return notes
+    .split(ENTRY_SEPARATOR)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(block => {
+      const match = block.match(TIMESTAMP_PREFIX);
+      const createdAt = match ? new Date(match[1]) : fallbackDate;
+      let text = match ? match[2] : block;
+      let type = ACTIVITY_TYPES.NOTE;
+
+      for (const [prefix, prefixType] of TYPE_PREFIXES) {
+        if (text.startsWith(prefix)) {
+          text = text.slice(prefix.length);
+          type = prefixType;
+          break;
+        }
+      }
+
+      return { type, note: text.trim().slice(0, 2000), createdAt };
+    });
+};
+
+const migrate = async () => {
+  // Le champ notes n'existe plus dans le schéma : lecture directe de la collection
+  const cursor = Lead.collection.find(
+    { notes: { $exists: true } },
+    { projection: { notes: 1, createdAt: 1 } }
+  );
+
+  let migratedLeads = 0;
+  let createdEntries = 0;
+
+  for await (const lead of cursor) {
+    const entries = typeof lead.notes === 'string'
+      ? parseNotes(lead.notes, lead.createdAt || new Date())
+      : [];
+
+    // Entrées d'un passage interrompu remplacées plutôt que dupliquées
+    await LeadActivity.deleteMany({ lead: lead._id, 'details.migratedFrom': MIGRATION_MARKER });
+
+    if (entries.length > 0) {
+      await LeadActivity.insertMany(entries.map(entry => ({
+        ...entry,
+        lead: lead._id,
+        details: { migratedFrom: MIGRATION_MARKER }
+      })));
+    }
+
+    await Lead.collection.updateOne({ _id: lead._id }, { $unset: { notes: '' } });
+
+    migratedLeads++;
+    createdEntries += entries.length;
+  }
+
+  return { migratedLeads, createdEntries };
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connecté à MongoDB pour la migration');
+
+    const { migratedLeads, createdEntries } = await migrate();
+    console.log(`✅ Migration terminée : ${migratedLeads} leads, ${createdEntries} entrées créées`);
+  } catch (error) {
+    console.error('❌ Erreur lors de la migration:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Connexion MongoDB fermée');
+  }
+};
+
+// Exécuter la migration si appelée directement
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrate, parseNotes };
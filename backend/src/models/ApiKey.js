@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/crypto');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Le nom de la clé est requis'],
+    trim: true,
+    maxlength: [100, 'Le nom ne peut pas dépasser 100 caractères']
+  },
+  // Début de la clé, affiché pour l'identifier (non secret)
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  // Nombre maximum de requêtes par minute
+  rateLimit: {
+    type: Number,
+    min: [1, 'La limite doit être d\'au moins 1 requête par minute'],
+    default: 60
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index pour améliorer les performances
+apiKeySchema.index({ createdBy: 1 });
+
+// Virtual indiquant si la clé est utilisable
+apiKeySchema.virtual('isActive').get(function() {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= Date.now()) return false;
+  return true;
+});
+
+// Méthode pour vérifier une permission (scope)
+apiKeySchema.methods.hasPermission = function(permission) {
+  return this.scopes.includes(permission);
+};
+
+// Méthode pour mettre à jour la date de dernière utilisation (au plus une fois par minute)
+apiKeySchema.methods.touch = function() {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < 60 * 1000) {
+    return Promise.resolve();
+  }
+
+  this.lastUsedAt = new Date();
+  return this.constructor.updateOne({ _id: this._id }, { lastUsedAt: this.lastUsedAt });
+};
+
+// Méthode statique pour générer une nouvelle clé
+// Renvoie le document et la clé en clair (affichée une seule fois)
+apiKeySchema.statics.generate = async function({ name, scopes, rateLimit, expiresAt, createdBy }) {
+  const prefix = generateRandomToken(4);
+  const rawKey = `mk_${prefix}_${generateRandomToken(24)}`;
+
+  const apiKey = await this.create({
+    name,
+    prefix,
+    keyHash: hashToken(rawKey),
+    scopes,
+    rateLimit,
+    expiresAt,
+    createdBy
+  });
+
+  return { apiKey, rawKey };
+};
+
+// Méthode statique pour retrouver une clé active à partir de sa valeur en clair
+apiKeySchema.statics.findActiveByKey = async function(rawKey) {
+  const apiKey = await this.findOne({ keyHash: hashToken(rawKey) });
+
+  if (!apiKey || !apiKey.isActive) {
+    return null;
+  }
+
+  return apiKey;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/crypto');
+const { ROLES } = require('../config/permissions');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'L\'email est requis'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: [true, 'Le rôle est requis']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index pour améliorer les performances
+invitationSchema.index({ email: 1 });
+
+// Virtual pour le statut de l'invitation
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= Date.now()) return 'expired';
+  return 'pending';
+});
+
+// Méthode statique pour créer une invitation (remplace les invitations en attente)
+// Renvoie l'invitation et le token en clair à envoyer
+invitationSchema.statics.createFor = async function({ email, role, invitedBy }) {
+  const ttlHours = parseInt(process.env.INVITATION_EXPIRES_HOURS) || 72;
+  const token = generateRandomToken();
+
+  await this.updateMany(
+    { email, acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  const invitation = await this.create({
+    email,
+    role,
+    invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+  });
+
+  return { invitation, token };
+};
+
+// Méthode statique pour retrouver une invitation valide par token
+invitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
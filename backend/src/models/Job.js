@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+/**
+ * État persistant des tâches planifiées
+ * Le verrou (lockedBy / lockedUntil) garantit qu'une seule instance
+ * de l'API exécute une tâche donnée, même avec plusieurs serveurs
+ */
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  // Le verrou expire si l'instance s'arrête pendant l'exécution
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastStartedAt: {
+    type: Date
+  },
+  lastFinishedAt: {
+    type: Date
+  },
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failure']
+  },
+  lastError: {
+    type: String
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Méthode statique pour enregistrer une tâche (sans modifier une tâche existante)
+jobSchema.statics.ensure = async function(name, nextRunAt) {
+  try {
+    await this.updateOne({ name }, { $setOnInsert: { name, nextRunAt } }, { upsert: true });
+  } catch (error) {
+    // Création concurrente par une autre instance
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Méthode statique pour prendre le verrou d'une tâche arrivée à échéance
+// Renvoie la tâche verrouillée, ou null si elle n'est pas due ou déjà prise
+jobSchema.statics.acquire = function(name, owner, lockMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      name,
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    {
+      $set: {
+        lockedBy: owner,
+        lockedUntil: new Date(now.getTime() + lockMs),
+        lastStartedAt: now
+      }
+    },
+    { new: true }
+  );
+};
+
+// Méthode statique pour libérer le verrou et planifier la prochaine exécution
+jobSchema.statics.complete = function(name, owner, { nextRunAt, result, error }) {
+  return this.updateOne(
+    { name, lockedBy: owner },
+    {
+      $set: {
+        lockedBy: null,
+        lockedUntil: null,
+        nextRunAt,
+        lastFinishedAt: new Date(),
+        lastStatus: error ? 'failure' : 'success',
+        lastError: error ? error.message : null,
+        lastResult: result
+      },
+      $inc: { runCount: 1 }
+    }
+  );
+};
+
+module.exports = mongoose.model('Job', jobSchema);
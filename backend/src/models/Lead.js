@@ -1,4 +1,34 @@
 const mongoose = require('mongoose');
+const LeadActivity = require('./LeadActivity');
+const { normalizePhone, isValidPhone, parsePhone } = require('../utils/phone');
+const { LEAD_STATUSES, CLOSED_STATUSES, LOSS_REASONS, LEAD_SOURCES, ACTIVITY_TYPES } = require('../config/leads');
+
+// Article demandé dans un lead
+const leadItemSchema = new mongoose.Schema({
+  produit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Le produit est requis']
+  },
+  quantite: {
+    type: Number,
+    min: [1, 'La quantité doit être au moins 1'],
+    max: [1000, 'La quantité ne peut pas dépasser 1000'],
+    default: 1
+  },
+  // Prix unitaire annoncé au client (prix du produit à la demande)
+  prixUnitaire: {
+    type: Number,
+    min: [0, 'Le prix ne peut pas être négatif']
+  },
+  variante: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La variante ne peut pas dépasser 100 caractères']
+  }
+}, {
+  _id: false
+});
 
 const leadSchema = new mongoose.Schema({
   nom: {
@@ -7,24 +37,38 @@ const leadSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Le nom ne peut pas dépasser 50 caractères']
   },
+  // Numéro canonique au format E.164 (ex: +243812345678)
   tel: {
     type: String,
     required: [true, 'Le numéro de téléphone est requis'],
     trim: true,
     validate: {
       validator: function(v) {
-        // Validation pour numéros internationaux (format flexible)
-        return /^[\+]?[1-9][\d]{0,15}$/.test(v.replace(/[\s\-\(\)]/g, ''));
+        return /^\+[1-9]\d{7,14}$/.test(v) && isValidPhone(v);
       },
       message: 'Veuillez entrer un numéro de téléphone valide'
     }
   },
+  // Numéro tel que saisi par le client
+  telRaw: {
+    type: String,
+    trim: true,
+    maxlength: 30
+  },
   message: {
     type: String,
     trim: true,
     maxlength: [500, 'Le message ne peut pas dépasser 500 caractères'],
     default: ''
   },
+  items: {
+    type: [leadItemSchema],
+    validate: {
+      validator: (items) => items.length > 0 && items.length <= 20,
+      message: 'Un lead doit contenir entre 1 et 20 articles'
+    }
+  },
+  // Produit principal (premier article), conservé pour les filtres et l'assignation
   produit: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product',
@@ -32,19 +76,45 @@ const leadSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['nouveau', 'contacte', 'interesse', 'converti', 'perdu'],
-    default: 'nouveau'
+    enum: Object.values(LEAD_STATUSES),
+    default: LEAD_STATUSES.NEW
+  },
+  // Motif renseigné lorsque le lead passe en « perdu »
+  lossReason: {
+    type: String,
+    enum: Object.keys(LOSS_REASONS)
   },
+  // Code d'une source gérée par les administrateurs (modèle LeadSource)
   source: {
     type: String,
-    enum: ['website', 'whatsapp', 'direct'],
-    default: 'website'
+    trim: true,
+    lowercase: true,
+    maxlength: 30,
+    default: LEAD_SOURCES.WEBSITE
+  },
+  // Attribution marketing : paramètres UTM, provenance et campagne publicitaire
+  utm: {
+    source: { type: String, trim: true, maxlength: 100 },
+    medium: { type: String, trim: true, maxlength: 100 },
+    campaign: { type: String, trim: true, maxlength: 100 },
+    term: { type: String, trim: true, maxlength: 100 },
+    content: { type: String, trim: true, maxlength: 100 }
   },
-  notes: {
+  referrer: {
     type: String,
     trim: true,
-    maxlength: [1000, 'Les notes ne peuvent pas dépasser 1000 caractères'],
-    default: ''
+    maxlength: 500
+  },
+  landingUrl: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Identifiant de la campagne chez la régie (Facebook Ads, TikTok Ads...)
+  campaignId: {
+    type: String,
+    trim: true,
+    maxlength: 100
   },
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
@@ -53,9 +123,37 @@ const leadSchema = new mongoose.Schema({
   followUpDate: {
     type: Date
   },
+  // Rappel et escalade déjà envoyés pour le suivi programmé
+  followUpReminderSentAt: {
+    type: Date
+  },
+  followUpEscalatedAt: {
+    type: Date
+  },
+  // Priorité d'appel de 0 à 100 (calculée par src/services/scoring.js)
+  score: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  scoredAt: {
+    type: Date
+  },
+  // Premier passage de « nouveau » à « contacte » et première conversion (délais SLA)
+  firstContactedAt: {
+    type: Date
+  },
+  convertedAt: {
+    type: Date
+  },
   isArchived: {
     type: Boolean,
     default: false
+  },
+  // Lead principal dans lequel ce lead a été fusionné (lead alors archivé)
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
   }
 }, {
   timestamps: true,
@@ -67,32 +165,80 @@ const leadSchema = new mongoose.Schema({
 leadSchema.index({ status: 1 });
 leadSchema.index({ createdAt: -1 });
 leadSchema.index({ produit: 1 });
+leadSchema.index({ 'items.produit': 1 });
 leadSchema.index({ assignedTo: 1 });
 leadSchema.index({ tel: 1 });
+leadSchema.index({ followUpDate: 1 });
+leadSchema.index({ score: -1 });
+leadSchema.index({ source: 1, campaignId: 1 });
 
-// Virtual pour formater le numéro de téléphone
-leadSchema.virtual('formattedTel').get(function() {
-  // Supprime tous les caractères non numériques sauf le +
-  const cleaned = this.tel.replace(/[^\d\+]/g, '');
-  
-  // Ajoute + si ce n'est pas déjà présent et que ça commence par un chiffre
-  if (!cleaned.startsWith('+') && /^\d/.test(cleaned)) {
-    return `+${cleaned}`;
+// Normaliser le numéro au format E.164 en conservant la saisie d'origine
+leadSchema.pre('validate', function(next) {
+  if (this.isModified('tel') && this.tel) {
+    this.telRaw = this.tel;
+    // Un numéro invalide est laissé tel quel pour être rejeté par le validateur
+    this.tel = normalizePhone(this.tel) || this.tel;
+  }
+  next();
+});
+
+// Synchroniser le produit principal avec les articles
+leadSchema.pre('validate', function(next) {
+  if (!this.isSelected('items')) {
+    return next();
+  }
+
+  if (this.items.length === 0 && this.produit) {
+    this.items = [{ produit: this.produit }];
+  }
+
+  if (this.items.length > 0) {
+    const first = this.items[0].produit;
+    this.produit = first && first._id ? first._id : first;
   }
-  
-  return cleaned;
+  next();
+});
+
+// Virtual pour le montant total annoncé
+leadSchema.virtual('total').get(function() {
+  return (this.items || []).reduce((sum, item) => sum + (item.prixUnitaire || 0) * item.quantite, 0);
+});
+
+// Virtual pour formater le numéro de téléphone (E.164)
+leadSchema.virtual('formattedTel').get(function() {
+  return this.tel;
+});
+
+// Virtual pour l'opérateur mobile (Vodacom, Orange, Airtel, Africell...)
+leadSchema.virtual('carrier').get(function() {
+  const parsed = parsePhone(this.tel);
+  return parsed ? parsed.carrier : null;
 });
 
 // Virtual pour le lien WhatsApp
 leadSchema.virtual('whatsappLink').get(function() {
-  const phone = this.formattedTel.replace(/[^\d]/g, '');
-  const productName = this.produit && this.produit.nom ? this.produit.nom : 'produit';
+  const phone = (this.tel || '').replace(/[^\d]/g, '');
+  const names = (this.items || [])
+    .map((item) => item.produit && item.produit.nom)
+    .filter(Boolean);
+  const productName = names.length > 0
+    ? names.join(', ')
+    : (this.produit && this.produit.nom) || 'produit';
   const message = encodeURIComponent(
     `Bonjour, je suis intéressé(e) par votre ${productName}. ${this.message || ''}`
   );
   return `https://wa.me/${phone}?text=${message}`;
 });
 
+// Virtuals pour les délais de premier contact et de conversion (en minutes)
+leadSchema.virtual('timeToFirstContact').get(function() {
+  return this.firstContactedAt ? Math.round((this.firstContactedAt - this.createdAt) / (1000 * 60)) : null;
+});
+
+leadSchema.virtual('timeToConversion').get(function() {
+  return this.convertedAt ? Math.round((this.convertedAt - this.createdAt) / (1000 * 60)) : null;
+});
+
 // Virtual pour calculer l'âge du lead
 leadSchema.virtual('ageInDays').get(function() {
   const now = new Date();
@@ -101,30 +247,73 @@ leadSchema.virtual('ageInDays').get(function() {
 });
 
 // Méthode pour mettre à jour le statut
-leadSchema.methods.updateStatus = function(newStatus, notes = '') {
+// actor : { user, apiKey } auteur de l'action, enregistré dans la chronologie
+// Le respect du graphe des transitions est vérifié en amont (checkStatusTransition)
+leadSchema.methods.updateStatus = async function(newStatus, notes = '', actor = {}, { lossReason } = {}) {
+  const before = this.status;
   this.status = newStatus;
-  if (notes) {
-    this.notes = this.notes ? `${this.notes}\n\n${new Date().toISOString()}: ${notes}` : notes;
+  this.lossReason = newStatus === LEAD_STATUSES.LOST ? lossReason : undefined;
+
+  // Seuls le premier contact et la première conversion sont horodatés
+  if (before === LEAD_STATUSES.NEW && newStatus === LEAD_STATUSES.CONTACTED && !this.firstContactedAt) {
+    this.firstContactedAt = new Date();
+  }
+  if (newStatus === LEAD_STATUSES.CONVERTED && !this.convertedAt) {
+    this.convertedAt = new Date();
   }
-  return this.save();
+  await this.save();
+
+  await LeadActivity.record(this, ACTIVITY_TYPES.STATUS_CHANGE, {
+    before,
+    after: newStatus,
+    note: notes,
+    details: this.lossReason ? { lossReason: this.lossReason } : undefined,
+    actor
+  });
+
+  return this;
 };
 
 // Méthode pour assigner à un utilisateur
-leadSchema.methods.assignTo = function(userId, notes = '') {
-  this.assignedTo = userId;
-  if (notes) {
-    this.notes = this.notes ? `${this.notes}\n\n${new Date().toISOString()}: Assigné - ${notes}` : notes;
-  }
-  return this.save();
+// details : informations sur la décision (assignation automatique, stratégie...)
+leadSchema.methods.assignTo = async function(userId, notes = '', actor = {}, details) {
+  const before = this.assignedTo;
+  this.assignedTo = userId || undefined;
+  await this.save();
+
+  await LeadActivity.record(this, ACTIVITY_TYPES.ASSIGNMENT, {
+    before,
+    after: this.assignedTo || null,
+    note: notes,
+    details,
+    actor
+  });
+
+  return this;
 };
 
 // Méthode pour planifier un suivi
-leadSchema.methods.scheduleFollowUp = function(date, notes = '') {
+leadSchema.methods.scheduleFollowUp = async function(date, notes = '', actor = {}) {
+  const before = this.followUpDate;
   this.followUpDate = date;
-  if (notes) {
-    this.notes = this.notes ? `${this.notes}\n\n${new Date().toISOString()}: Suivi programmé - ${notes}` : notes;
-  }
-  return this.save();
+  // Un nouveau suivi déclenchera de nouveaux rappels
+  this.followUpReminderSentAt = undefined;
+  this.followUpEscalatedAt = undefined;
+  await this.save();
+
+  await LeadActivity.record(this, ACTIVITY_TYPES.FOLLOW_UP, {
+    before,
+    after: date,
+    note: notes,
+    actor
+  });
+
+  return this;
+};
+
+// Méthode pour ajouter une entrée libre à la chronologie (note, appel, message WhatsApp...)
+leadSchema.methods.addActivity = function(type, note, actor = {}, details) {
+  return LeadActivity.record(this, type, { note, actor, details });
 };
 
 // Méthode statique pour obtenir les statistiques
@@ -146,12 +335,40 @@ leadSchema.statics.getStats = function() {
   ]);
 };
 
+// Méthode statique pour retrouver un lead ouvert du même numéro dans la fenêtre de dédoublonnage
+leadSchema.statics.findOpenDuplicate = function(tel) {
+  const windowHours = parseInt(process.env.LEAD_DUPLICATE_WINDOW_HOURS) || 72;
+
+  return this.findOne({
+    tel: normalizePhone(tel) || tel,
+    status: { $nin: CLOSED_STATUSES },
+    isArchived: false,
+    createdAt: { $gte: new Date(Date.now() - windowHours * 60 * 60 * 1000) }
+  }).sort({ createdAt: -1 });
+};
+
+// Méthode statique pour la répartition des leads perdus par motif
+leadSchema.statics.getLossReasonStats = async function(match = {}) {
+  const stats = await this.aggregate([
+    { $match: { ...match, status: LEAD_STATUSES.LOST } },
+    { $group: { _id: '$lossReason', count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  // Les leads perdus avant l'introduction des motifs n'en ont pas
+  return stats.map(({ _id, count }) => ({
+    reason: _id || null,
+    label: _id ? LOSS_REASONS[_id] : 'Non renseigné',
+    count
+  }));
+};
+
 // Méthode statique pour les leads nécessitant un suivi
 leadSchema.statics.getNeedingFollowUp = function() {
   const now = new Date();
   return this.find({
     followUpDate: { $lte: now },
-    status: { $nin: ['converti', 'perdu'] },
+    status: { $nin: CLOSED_STATUSES },
     isArchived: false
   }).populate('produit assignedTo');
 };
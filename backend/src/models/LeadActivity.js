@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { ACTIVITY_TYPES } = require('../config/leads');
+
+const leadActivitySchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(ACTIVITY_TYPES),
+    required: [true, 'Le type d\'activité est requis']
+  },
+  // Auteur de l'action (utilisateur ou clé API) ; vide pour les actions système
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  // Valeurs avant/après pour les changements de statut, d'assignation et de suivi
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Informations complémentaires (motif de perte...)
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'La note ne peut pas dépasser 2000 caractères']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+// Index pour améliorer les performances
+leadActivitySchema.index({ lead: 1, createdAt: -1 });
+leadActivitySchema.index({ actor: 1, createdAt: -1 });
+
+// Méthode statique pour enregistrer une activité sur un lead
+// actor : { user, apiKey } décrivant l'auteur de l'action
+leadActivitySchema.statics.record = function(lead, type, { before, after, note, details, actor = {} } = {}) {
+  return this.create({
+    lead: lead._id || lead,
+    type,
+    actor: actor.user,
+    apiKey: actor.apiKey,
+    before,
+    after,
+    details,
+    note: note || undefined
+  });
+};
+
+// Méthode statique pour obtenir la chronologie d'un lead
+leadActivitySchema.statics.getTimeline = function(leadId, { page = 1, limit = 50, type } = {}) {
+  const query = { lead: leadId };
+
+  if (type) {
+    query.type = type;
+  }
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .populate('actor', 'name email')
+    .populate('apiKey', 'name prefix');
+};
+
+module.exports = mongoose.model('LeadActivity', leadActivitySchema);
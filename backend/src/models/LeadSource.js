@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { DEFAULT_LEAD_SOURCES, LEAD_SOURCE_CODE_PATTERN } = require('../config/leads');
+
+// Canal d'arrivée des leads (site web, WhatsApp, publicité Facebook...)
+const leadSourceSchema = new mongoose.Schema({
+  // Valeur enregistrée dans Lead.source, non modifiable après création
+  code: {
+    type: String,
+    required: [true, 'Le code de la source est requis'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    immutable: true,
+    match: [LEAD_SOURCE_CODE_PATTERN, 'Le code doit contenir 2 à 30 lettres minuscules, chiffres, tirets ou underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Le libellé de la source est requis'],
+    trim: true,
+    maxlength: [50, 'Le libellé ne peut pas dépasser 50 caractères']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La description ne peut pas dépasser 200 caractères']
+  },
+  // Une source inactive n'est plus acceptée pour les nouveaux leads
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Source utilisée par défaut (formulaire, import) : ni désactivable ni supprimable
+  isSystem: {
+    type: Boolean,
+    default: false,
+    immutable: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Méthode statique pour créer les sources prédéfinies manquantes
+leadSourceSchema.statics.ensureDefaults = function() {
+  return this.bulkWrite(DEFAULT_LEAD_SOURCES.map((source) => ({
+    updateOne: {
+      filter: { code: source.code },
+      update: { $setOnInsert: source },
+      upsert: true
+    }
+  })));
+};
+
+// Méthode statique pour les codes des sources acceptées pour un nouveau lead
+leadSourceSchema.statics.getActiveCodes = function() {
+  return this.find({ isActive: true }).distinct('code');
+};
+
+module.exports = mongoose.model('LeadSource', leadSourceSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const loginHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure', 'locked', 'challenge'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['unknown_email', 'invalid_password', 'invalid_2fa_code', 'account_disabled', 'account_locked']
+  },
+  // Connexion réussie depuis une adresse IP jamais vue pour ce compte
+  suspicious: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index pour améliorer les performances
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+loginHistorySchema.index({ email: 1, createdAt: -1 });
+// Conservation limitée de l'historique (180 jours)
+loginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+// Méthode statique pour enregistrer une tentative de connexion
+loginHistorySchema.statics.record = async function(req, { user, email, outcome, reason }) {
+  let suspicious = false;
+
+  // Une connexion réussie depuis une IP inconnue est signalée
+  if (user && outcome === 'success') {
+    const knownIp = await this.exists({ user: user._id, outcome: 'success', ip: req.ip });
+    const hasHistory = await this.exists({ user: user._id, outcome: 'success' });
+    suspicious = Boolean(hasHistory && !knownIp);
+  }
+
+  return this.create({
+    user: user ? user._id : undefined,
+    email: user ? user.email : email,
+    ip: req.ip,
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+    outcome,
+    reason,
+    suspicious
+  });
+};
+
+module.exports = mongoose.model('LoginHistory', loginHistorySchema);
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const { normalizePhone } = require('../utils/phone');
+const { ORDER_STATUSES } = require('../config/orders');
+
+// Ligne de commande (nom et prix figés au moment de la commande)
+const orderItemSchema = new mongoose.Schema({
+  produit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Le produit est requis']
+  },
+  nom: {
+    type: String,
+    required: true
+  },
+  quantite: {
+    type: Number,
+    required: true,
+    min: [1, 'La quantité doit être au moins 1']
+  },
+  prixUnitaire: {
+    type: Number,
+    required: true,
+    min: [0, 'Le prix ne peut pas être négatif']
+  },
+  variante: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La variante ne peut pas dépasser 100 caractères']
+  }
+}, {
+  _id: false
+});
+
+const orderSchema = new mongoose.Schema({
+  // Lead d'origine (absent pour une commande saisie directement)
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  customer: {
+    nom: {
+      type: String,
+      required: [true, 'Le nom du client est requis'],
+      trim: true,
+      maxlength: [50, 'Le nom ne peut pas dépasser 50 caractères']
+    },
+    tel: {
+      type: String,
+      required: [true, 'Le téléphone du client est requis'],
+      trim: true
+    }
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: {
+      validator: (items) => items.length > 0 && items.length <= 20,
+      message: 'Une commande doit contenir entre 1 et 20 articles'
+    }
+  },
+  total: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: Object.values(ORDER_STATUSES),
+    default: ORDER_STATUSES.CONFIRMED
+  },
+  deliveryAddress: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'L\'adresse ne peut pas dépasser 300 caractères']
+  },
+  deliveryDate: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Les notes ne peuvent pas dépasser 1000 caractères']
+  },
+  // Historique des statuts (suivi de la livraison)
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: Object.values(ORDER_STATUSES)
+    },
+    note: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  deliveredAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index pour améliorer les performances
+orderSchema.index({ lead: 1 });
+orderSchema.index({ status: 1 });
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ 'customer.tel': 1 });
+
+// Une seule commande non annulée par lead, garanti même pour des conversions simultanées
+orderSchema.index({ lead: 1 }, {
+  name: 'lead_open_order_unique',
+  unique: true,
+  partialFilterExpression: {
+    lead: { $exists: true },
+    status: { $in: [ORDER_STATUSES.CONFIRMED, ORDER_STATUSES.SHIPPING, ORDER_STATUSES.DELIVERED] }
+  }
+});
+
+// Normaliser le téléphone et calculer le montant total
+orderSchema.pre('validate', function(next) {
+  if (this.isModified('customer.tel') && this.customer.tel) {
+    this.customer.tel = normalizePhone(this.customer.tel) || this.customer.tel;
+  }
+
+  if (this.isModified('items')) {
+    this.total = this.items.reduce((sum, item) => sum + item.prixUnitaire * item.quantite, 0);
+  }
+  next();
+});
+
+/**
+ * Champs modifiés par un changement de statut
+ * @param {String} status - Nouveau statut
+ * @param {String} note - Commentaire
+ * @param {Object} actor - Auteur ({ user, apiKey })
+ * @returns {Object} { fields, entry } : champs à mettre à jour et entrée d'historique
+ */
+const buildStatusChange = (status, note = '', actor = {}) => {
+  const now = new Date();
+  const fields = { status };
+
+  if (status === ORDER_STATUSES.DELIVERED) fields.deliveredAt = now;
+  if (status === ORDER_STATUSES.CANCELLED) fields.cancelledAt = now;
+
+  return {
+    fields,
+    entry: { status, note, changedBy: actor.user, apiKey: actor.apiKey, changedAt: now }
+  };
+};
+
+// Méthode pour changer le statut en conservant l'historique
+orderSchema.methods.setStatus = function(status, note = '', actor = {}) {
+  const { fields, entry } = buildStatusChange(status, note, actor);
+
+  this.set(fields);
+  this.statusHistory.push(entry);
+
+  return this;
+};
+
+// Méthode statique pour changer le statut d'une commande de façon atomique
+// La mise à jour n'a lieu que si la commande est toujours dans le statut `from`
+// (renvoie null sinon : une requête simultanée l'a déjà modifiée)
+orderSchema.statics.changeStatus = function(id, from, status, note = '', actor = {}) {
+  const { fields, entry } = buildStatusChange(status, note, actor);
+
+  return this.findOneAndUpdate(
+    { _id: id, status: from },
+    { $set: fields, $push: { statusHistory: entry } },
+    { new: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const { generateNumericCode, hmacToken, safeCompare } = require('../utils/crypto');
+
+const otpCodeSchema = new mongoose.Schema({
+  tel: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: {
+    type: Date
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index pour améliorer les performances
+otpCodeSchema.index({ tel: 1, createdAt: -1 });
+// Suppression automatique une heure après expiration
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Empreinte d'un code, liée au numéro
+ */
+const hashCode = (tel, code) => hmacToken(`${tel}:${code}`);
+
+// Méthode statique pour vérifier si un numéro peut recevoir un nouveau code
+// Renvoie le nombre de secondes à attendre (0 si autorisé)
+otpCodeSchema.statics.getThrottleDelay = async function(tel) {
+  const maxPerWindow = parseInt(process.env.OTP_MAX_PER_WINDOW) || 3;
+  const windowMinutes = parseInt(process.env.OTP_WINDOW_MINUTES) || 15;
+  const resendSeconds = 60;
+  const now = Date.now();
+
+  const recent = await this.find({
+    tel,
+    createdAt: { $gte: new Date(now - windowMinutes * 60 * 1000) }
+  }).sort({ createdAt: -1 });
+
+  // Délai minimum entre deux envois
+  if (recent.length > 0) {
+    const elapsed = (now - recent[0].createdAt) / 1000;
+    if (elapsed < resendSeconds) {
+      return Math.ceil(resendSeconds - elapsed);
+    }
+  }
+
+  // Nombre maximum d'envois sur la fenêtre
+  if (recent.length >= maxPerWindow) {
+    const oldest = recent[recent.length - 1].createdAt;
+    return Math.ceil((oldest.getTime() + windowMinutes * 60 * 1000 - now) / 1000);
+  }
+
+  return 0;
+};
+
+// Méthode statique pour émettre un code (invalide les codes précédents)
+// Renvoie le code en clair à envoyer par SMS
+otpCodeSchema.statics.issue = async function(tel, ip) {
+  const ttlMinutes = parseInt(process.env.OTP_EXPIRES_MINUTES) || 5;
+  const code = generateNumericCode(6);
+
+  await this.updateMany({ tel, consumedAt: null }, { consumedAt: new Date() });
+
+  await this.create({
+    tel,
+    codeHash: hashCode(tel, code),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    ip
+  });
+
+  return code;
+};
+
+// Méthode statique pour vérifier un code
+// Renvoie 'valid', 'invalid', 'expired' ou 'too_many_attempts'
+// Chaque essai est réservé en base avant la comparaison : des essais parallèles
+// ne peuvent pas dépasser MAX_ATTEMPTS et un code n'est consommé qu'une fois
+otpCodeSchema.statics.verify = async function(tel, code) {
+  const now = new Date();
+  const current = await this.findOne({
+    tel,
+    consumedAt: null,
+    expiresAt: { $gt: now }
+  })
+    .sort({ createdAt: -1 })
+    .select('_id');
+
+  if (!current) {
+    return 'expired';
+  }
+
+  const otp = await this.findOneAndUpdate(
+    { _id: current._id, attempts: { $lt: MAX_ATTEMPTS }, consumedAt: null, expiresAt: { $gt: now } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).select('+codeHash');
+
+  if (!otp) {
+    // Essais épuisés, ou code consommé entre-temps par une autre requête
+    if (!await this.exists({ _id: current._id, attempts: { $gte: MAX_ATTEMPTS } })) {
+      return 'expired';
+    }
+
+    await this.updateOne({ _id: current._id, consumedAt: null }, { consumedAt: new Date() });
+    return 'too_many_attempts';
+  }
+
+  if (!safeCompare(otp.codeHash, hashCode(tel, code))) {
+    if (otp.attempts < MAX_ATTEMPTS) {
+      return 'invalid';
+    }
+
+    await this.updateOne({ _id: otp._id, consumedAt: null }, { consumedAt: new Date() });
+    return 'too_many_attempts';
+  }
+
+  const { modifiedCount } = await this.updateOne(
+    { _id: otp._id, consumedAt: null },
+    { consumedAt: new Date() }
+  );
+  return modifiedCount === 1 ? 'valid' : 'expired';
+};
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PRODUCT_CATEGORIES } = require('../config/products');
 
 const productSchema = new mongoose.Schema({
   nom: {
@@ -26,15 +27,7 @@ const productSchema = new mongoose.Schema({
   categorie: {
     type: String,
     required: [true, 'La catégorie est requise'],
-    enum: [
-      'Électronique', 
-      'Mode', 
-      'Maison & Jardin', 
-      'Automobile',
-      'Santé & Beauté', 
-      'Sports & Loisirs', 
-      'Industrie & BTP'
-    ]
+    enum: PRODUCT_CATEGORIES
   },
   stock: {
     type: Number,
@@ -104,10 +97,22 @@ productSchema.methods.incrementViews = function() {
   return this.save({ validateBeforeSave: false });
 };
 
-// Méthode pour mettre à jour le stock
-productSchema.methods.updateStock = function(quantity) {
-  this.stock = Math.max(0, this.stock + quantity);
-  return this.save();
+// Méthode pour mettre à jour le stock de façon atomique (quantité négative pour un retrait)
+// Un retrait supérieur au stock disponible est refusé : renvoie false sans modification
+productSchema.methods.updateStock = async function(quantity) {
+  const filter = { _id: this._id };
+
+  if (quantity < 0) {
+    filter.stock = { $gte: -quantity };
+  }
+
+  const updated = await this.constructor.findOneAndUpdate(
+    filter,
+    { $inc: { stock: quantity } },
+    { new: true, projection: { stock: 1 } }
+  );
+
+  return updated !== null;
 };
 
 // Méthode statique pour rechercher des produits
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { generateRefreshToken, decodeToken, generateTokenId } = require('../utils/jwt');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  replacedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour améliorer les performances
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+// Suppression automatique des tokens expirés
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Méthode statique pour émettre un nouveau refresh token
+refreshTokenSchema.statics.issue = async function(user, family = generateTokenId()) {
+  const jti = generateTokenId();
+  const token = generateRefreshToken(user, { jti, family });
+  const { exp } = decodeToken(token);
+
+  await this.create({
+    user: user._id,
+    jti,
+    family,
+    expiresAt: new Date(exp * 1000)
+  });
+
+  return token;
+};
+
+// Méthode statique pour échanger un refresh token (déjà vérifié) contre un nouveau
+// Chaque token est à usage unique
+refreshTokenSchema.statics.rotate = async function(decoded, user) {
+  if (decoded.id !== user._id.toString()) {
+    throw new Error('Refresh token invalide');
+  }
+
+  // Marquer le token comme utilisé de façon atomique
+  const stored = await this.findOneAndUpdate(
+    { jti: decoded.jti, usedAt: null, revokedAt: null },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!stored) {
+    // Token inconnu, déjà utilisé ou révoqué : réutilisation suspecte
+    await this.revokeFamily(decoded.family);
+    throw new Error('Refresh token déjà utilisé. Toutes les sessions associées ont été révoquées.');
+  }
+
+  const token = await this.issue(user, stored.family);
+  stored.replacedBy = decodeToken(token).jti;
+  await stored.save();
+
+  return token;
+};
+
+// Méthode statique pour révoquer toute une famille de tokens
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Méthode statique pour révoquer tous les tokens d'un utilisateur
+refreshTokenSchema.statics.revokeForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('./RefreshToken');
+
+/**
+ * Décrit l'appareil à partir du user agent (navigateur et système)
+ * @param {String} userAgent - Header User-Agent
+ * @returns {String} Description lisible
+ */
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return userAgent ? 'Appareil inconnu' : 'Client API';
+  }
+
+  return [browser && browser[0], system && system[0]].filter(Boolean).join(' sur ');
+};
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  device: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: {
+    type: String
+  },
+  lastSeen: {
+    type: Date,
+    default: Date.now
+  },
+  // Aligné sur l'expiration du dernier refresh token émis
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index pour améliorer les performances
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Suppression automatique des sessions expirées
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual indiquant si la session est utilisable
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Méthode pour mettre à jour la dernière activité (au plus une fois par minute)
+sessionSchema.methods.touch = function(req) {
+  if (Date.now() - this.lastSeen < 60 * 1000) {
+    return Promise.resolve();
+  }
+
+  this.lastSeen = new Date();
+  this.ip = req.ip;
+  return this.constructor.updateOne({ _id: this._id }, { lastSeen: this.lastSeen, ip: this.ip });
+};
+
+// Méthode pour révoquer la session et ses refresh tokens
+sessionSchema.methods.revoke = async function() {
+  this.revokedAt = new Date();
+  await this.save();
+  await RefreshToken.revokeFamily(this._id.toString());
+  return this;
+};
+
+// Méthode statique pour ouvrir une session lors d'une connexion
+sessionSchema.statics.start = function(req, user) {
+  const userAgent = (req.get('user-agent') || '').slice(0, 500);
+
+  return this.create({
+    user: user._id,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    // Remplacé par l'expiration du refresh token dès son émission
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  });
+};
+
+// Méthode statique pour retrouver une session active par son ID (jti ou famille)
+sessionSchema.statics.findActiveById = function(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    _id: id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Méthode statique pour lister les sessions actives d'un utilisateur
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeen: -1 });
+};
+
+// Méthode statique pour révoquer toutes les sessions d'un utilisateur
+sessionSchema.statics.revokeForUser = async function(userId, { except } = {}) {
+  const query = { user: userId, revokedAt: null };
+
+  if (except) {
+    query._id = { $ne: except };
+  }
+
+  await this.updateMany(query, { revokedAt: new Date() });
+
+  if (except) {
+    await RefreshToken.updateMany(
+      { user: userId, family: { $ne: except.toString() }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  } else {
+    await RefreshToken.revokeForUser(userId);
+  }
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
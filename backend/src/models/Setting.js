@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'La clé du paramètre est requise'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Méthode statique pour lire un paramètre (fusionné avec les valeurs par défaut)
+settingSchema.statics.getValue = async function(key, defaults = {}) {
+  const setting = await this.findOne({ key }).lean();
+  return { ...defaults, ...(setting ? setting.value : {}) };
+};
+
+// Méthode statique pour modifier un paramètre (fusion partielle)
+settingSchema.statics.setValue = async function(key, value, userId) {
+  const current = await this.findOne({ key });
+
+  if (current) {
+    current.value = { ...current.value, ...value };
+    current.updatedBy = userId;
+    current.markModified('value');
+    return current.save();
+  }
+
+  return this.create({ key, value, updatedBy: userId });
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken } = require('../utils/crypto');
+const totp = require('../utils/totp');
+const Setting = require('./Setting');
+const { SECURITY_SETTINGS } = require('../config/settings');
+const { ROLES, ROLE_PERMISSIONS, roleHasPermission } = require('../config/permissions');
+const { PRODUCT_CATEGORIES } = require('../config/products');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -27,19 +35,118 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Pas de valeur par défaut : les comptes antérieurs à la vérification
+  // (champ absent) sont considérés comme vérifiés
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date
   },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Nombre de verrouillages successifs (durée progressive)
+  lockCount: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  // Incrémenté pour révoquer tous les tokens déjà émis
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   profileImage: {
     type: String,
     default: ''
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret en attente de confirmation lors de l'enrôlement
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Empreintes des codes de récupération non utilisés
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Dernier pas de temps TOTP accepté (anti-rejeu)
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Disponibilité pour l'assignation automatique des leads
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  // Horaires de travail (heure locale, voir le paramètre assignment.timezone)
+  workingHours: {
+    // Jours travaillés : 0 = dimanche, 6 = samedi
+    days: {
+      type: [Number],
+      default: [1, 2, 3, 4, 5, 6],
+      validate: {
+        validator: (days) => days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+        message: 'Les jours travaillés doivent être compris entre 0 (dimanche) et 6 (samedi)'
+      }
+    },
+    start: {
+      type: String,
+      default: '08:00',
+      match: [TIME_PATTERN, 'Heure de début invalide (HH:mm)']
+    },
+    end: {
+      type: String,
+      default: '18:00',
+      match: [TIME_PATTERN, 'Heure de fin invalide (HH:mm)']
+    }
+  },
+  // Catégories de produits traitées (routage par catégorie)
+  leadCategories: [{
+    type: String,
+    enum: PRODUCT_CATEGORIES
+  }],
+  lastLeadAssignedAt: {
+    type: Date
   }
 }, {
   timestamps: true,
@@ -59,6 +166,11 @@ userSchema.pre('save', async function(next) {
   try {
     // Hasher le mot de passe avec un salt de 12
     this.password = await bcrypt.hash(this.password, 12);
+
+    // Un changement de mot de passe invalide les sessions existantes
+    if (!this.isNew) {
+      this.tokenVersion += 1;
+    }
     next();
   } catch (error) {
     next(error);
@@ -76,6 +188,229 @@ userSchema.methods.updateLastLogin = function() {
   return this.save({ validateBeforeSave: false });
 };
 
+// Méthode pour révoquer tous les tokens émis (access et refresh)
+userSchema.methods.revokeTokens = function() {
+  this.tokenVersion += 1;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Méthode pour générer un token de réinitialisation du mot de passe
+// Seule l'empreinte est stockée, le token en clair est renvoyé pour l'envoi
+userSchema.methods.createPasswordResetToken = function() {
+  const token = generateRandomToken();
+  const ttlMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  return token;
+};
+
+// Méthode statique pour retrouver un utilisateur par token de réinitialisation valide
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+password +passwordResetToken +passwordResetExpires');
+};
+
+// Méthode pour générer un token de vérification de l'email
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = generateRandomToken();
+  const ttlHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Méthode statique pour retrouver un utilisateur par token de vérification valide
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  }).select('+emailVerificationToken +emailVerificationExpires');
+};
+
+// Méthode pour démarrer l'enrôlement TOTP (secret en attente de confirmation)
+userSchema.methods.startTwoFactorEnrollment = function() {
+  this.twoFactorPendingSecret = totp.generateSecret();
+
+  return {
+    secret: this.twoFactorPendingSecret,
+    otpauthUri: totp.buildOtpauthUri({
+      secret: this.twoFactorPendingSecret,
+      label: this.email
+    })
+  };
+};
+
+// Méthode pour confirmer l'enrôlement TOTP avec un premier code
+// Renvoie les codes de récupération en clair, ou null si le code est invalide
+userSchema.methods.confirmTwoFactorEnrollment = function(code) {
+  if (!this.twoFactorPendingSecret) return null;
+
+  const step = totp.verifyCode(this.twoFactorPendingSecret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = totp.generateRecoveryCodes();
+
+  this.twoFactorEnabled = true;
+  this.twoFactorSecret = this.twoFactorPendingSecret;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorLastUsedStep = step;
+  this.twoFactorRecoveryCodes = recoveryCodes.map(hashToken);
+
+  return recoveryCodes;
+};
+
+// Méthode pour vérifier un code TOTP ou un code de récupération (consommé)
+// Nécessite les champs +twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes
+// La consommation est une mise à jour conditionnelle : deux requêtes simultanées
+// avec le même code ne peuvent pas aboutir toutes les deux
+userSchema.methods.verifyTwoFactor = async function({ code, recoveryCode }) {
+  if (!this.twoFactorEnabled) return false;
+
+  if (recoveryCode) {
+    const hashed = hashToken(String(recoveryCode).trim().toLowerCase());
+    if (!this.twoFactorRecoveryCodes.includes(hashed)) return false;
+
+    const { modifiedCount } = await this.constructor.updateOne(
+      { _id: this._id, twoFactorEnabled: true, twoFactorRecoveryCodes: hashed },
+      { $pull: { twoFactorRecoveryCodes: hashed } }
+    );
+    if (modifiedCount !== 1) return false;
+
+    // Refléter la consommation sans la réécrire lors d'un save() ultérieur
+    this.twoFactorRecoveryCodes = this.twoFactorRecoveryCodes.filter(hash => hash !== hashed);
+    this.unmarkModified('twoFactorRecoveryCodes');
+    return true;
+  }
+
+  const step = totp.verifyCode(this.twoFactorSecret, code, {
+    lastUsedStep: this.twoFactorLastUsedStep ?? -1
+  });
+  if (step === null) return false;
+
+  const { modifiedCount } = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      twoFactorEnabled: true,
+      $or: [{ twoFactorLastUsedStep: { $lt: step } }, { twoFactorLastUsedStep: null }]
+    },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  if (modifiedCount !== 1) return false;
+
+  this.twoFactorLastUsedStep = step;
+  this.unmarkModified('twoFactorLastUsedStep');
+  return true;
+};
+
+// Méthode pour désactiver la double authentification
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorRecoveryCodes = undefined;
+  this.twoFactorLastUsedStep = undefined;
+};
+
+// Méthode indiquant si l'utilisateur doit encore activer la 2FA (politique admin)
+userSchema.methods.isTwoFactorEnrollmentRequired = async function() {
+  if (this.role !== 'admin' || this.twoFactorEnabled) return false;
+
+  const { requireAdminTwoFactor } = await Setting.getValue(SECURITY_SETTINGS.key, SECURITY_SETTINGS.defaults);
+  return requireAdminTwoFactor;
+};
+
+// Méthode pour enregistrer un échec de connexion et verrouiller le compte si nécessaire
+// Les compteurs sont modifiés en base de façon atomique : des tentatives parallèles
+// sont toutes comptées et un seul verrouillage est appliqué au franchissement du seuil
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const baseLockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+  const counters = 'failedLoginAttempts lockCount lockUntil';
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: counters }
+  );
+
+  if (!updated || updated.failedLoginAttempts < maxAttempts) {
+    return updated;
+  }
+
+  // Durée doublée à chaque verrouillage successif, plafonnée à 24h
+  const lockMinutes = Math.min(baseLockMinutes * 2 ** (updated.lockCount || 0), 24 * 60);
+
+  // Le compteur est remis à zéro par la première requête qui verrouille le compte
+  const locked = await this.constructor.findOneAndUpdate(
+    { _id: this._id, failedLoginAttempts: { $gte: maxAttempts } },
+    {
+      $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000) },
+      $inc: { lockCount: 1 }
+    },
+    { new: true, projection: counters }
+  );
+
+  return locked || updated;
+};
+
+// Méthode pour réinitialiser les compteurs après une connexion réussie
+userSchema.methods.resetLoginAttempts = function() {
+  if (!this.failedLoginAttempts && !this.lockCount && !this.lockUntil) {
+    return Promise.resolve(this);
+  }
+
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Méthode pour vérifier une permission
+userSchema.methods.hasPermission = function(permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+// Méthode pour vérifier si l'utilisateur travaille à une heure locale donnée
+// localTime : { day (0 = dimanche), minutes (depuis minuit) }
+userSchema.methods.isWorkingAt = function({ day, minutes }) {
+  const { days, start, end } = this.workingHours || {};
+
+  if (!days || !days.includes(day)) {
+    return false;
+  }
+
+  const toMinutes = (time) => {
+    const [hours, mins] = time.split(':').map(Number);
+    return hours * 60 + mins;
+  };
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+
+  // Horaires de nuit (ex: 22:00 - 06:00)
+  if (endMinutes <= startMinutes) {
+    return minutes >= startMinutes || minutes < endMinutes;
+  }
+
+  return minutes >= startMinutes && minutes < endMinutes;
+};
+
+// Méthode statique pour compter les administrateurs actifs
+userSchema.statics.countActiveAdmins = function(excludeUserId = null) {
+  const query = { role: 'admin', isActive: true };
+
+  if (excludeUserId) {
+    query._id = { $ne: excludeUserId };
+  }
+
+  return this.countDocuments(query);
+};
+
 // Méthode pour obtenir les données publiques de l'utilisateur
 userSchema.methods.getPublicProfile = function() {
   return {
@@ -89,6 +424,21 @@ userSchema.methods.getPublicProfile = function() {
   };
 };
 
+// Virtual indiquant si le compte est temporairement verrouillé
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Virtual indiquant si l'email doit encore être vérifié
+userSchema.virtual('requiresEmailVerification').get(function() {
+  return this.emailVerified === false;
+});
+
+// Virtual pour la liste des permissions du rôle
+userSchema.virtual('permissions').get(function() {
+  return ROLE_PERMISSIONS[this.role] || [];
+});
+
 // Virtual pour le nom complet si nécessaire
 userSchema.virtual('isAdmin').get(function() {
   return this.role === 'admin';
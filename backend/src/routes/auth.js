@@ -4,42 +4,169 @@ const router = express.Router();
 const {
   register,
   login,
+  loginWithTwoFactor,
+  refreshAccessToken,
   getProfile,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  getSecuritySettings,
+  updateSecuritySettings,
+  getAssignmentSettings,
+  updateAssignmentSettings,
+  getFollowUpSettings,
+  updateFollowUpSettings,
+  getScoringSettings,
+  updateScoringSettings,
+  getSlaSettings,
+  updateSlaSettings,
+  getJobs,
   verifyToken,
   logout,
   getAllUsers,
-  toggleUserStatus
+  toggleUserStatus,
+  updateAvailability,
+  getLoginHistory,
+  getRoles,
+  getMySessions,
+  revokeMySession,
+  getUserSessions,
+  revokeUserSession,
+  inviteUser,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  updateUserRole,
+  deleteUser
 } = require('../controllers/authController');
 
+const {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+
+const {
+  requestOtp,
+  verifyOtp
+} = require('../controllers/otpController');
+
 const {
   authenticate,
-  requireAdmin,
-  loginLimiter
+  requireVerifiedEmail,
+  requireUser,
+  authorize,
+  authorizeSelfOr,
+  loginLimiter,
+  passwordResetLimiter,
+  verificationEmailLimiter,
+  otpRequestLimiter,
+  otpVerifyLimiter
 } = require('../middleware/auth');
 
 const {
   validateRegister,
   validateLogin,
-  validateObjectId
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerificationToken,
+  validateOtpRequest,
+  validateOtpVerify,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateSecuritySettings,
+  validateAssignmentSettings,
+  validateFollowUpSettings,
+  validateScoringSettings,
+  validateSlaSettings,
+  validateAvailability,
+  validateApiKey,
+  validateApiKeyUpdate,
+  validateObjectId,
+  validateSessionId,
+  validatePagination,
+  validateInvitation,
+  validateAcceptInvitation,
+  validateRoleUpdate,
+  validateUserDeletion
 } = require('../middleware/validation');
 
+const { PERMISSIONS } = require('../config/permissions');
+
 // Routes publiques
 router.post('/register', validateRegister, register);
 router.post('/login', loginLimiter, validateLogin, login);
+router.post('/login/2fa', loginLimiter, validateTwoFactorLogin, loginWithTwoFactor);
+router.post('/refresh', validateRefreshToken, refreshAccessToken);
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, forgotPassword);
+router.post('/reset-password', passwordResetLimiter, validateResetPassword, resetPassword);
+router.get('/verify-email/:token', validateVerificationToken, verifyEmail);
+router.post('/invitations/accept', passwordResetLimiter, validateAcceptInvitation, acceptInvitation);
+
+// Connexion client par code SMS (OTP)
+router.post('/otp/request', otpRequestLimiter, validateOtpRequest, requestOtp);
+router.post('/otp/verify', otpVerifyLimiter, validateOtpVerify, verifyOtp);
 
 // Routes privées (authentification requise)
 router.use(authenticate); // Toutes les routes suivantes nécessitent une authentification
 
-router.get('/profile', getProfile);
-router.put('/profile', updateProfile);
-router.put('/change-password', changePassword);
-router.get('/verify', verifyToken);
-router.post('/logout', logout);
+// Compte de l'utilisateur connecté (refusé aux clés API)
+router.get('/profile', requireUser, getProfile);
+router.put('/profile', requireUser, updateProfile);
+router.put('/change-password', requireUser, changePassword);
+router.get('/verify', requireUser, verifyToken);
+router.post('/logout', requireUser, logout);
+router.get('/sessions', requireUser, getMySessions);
+router.delete('/sessions/:id', requireUser, validateObjectId, revokeMySession);
+router.post('/resend-verification', requireUser, verificationEmailLimiter, resendVerificationEmail);
+
+// Double authentification (TOTP)
+router.post('/2fa/setup', requireUser, setupTwoFactor);
+router.post('/2fa/confirm', requireUser, validateTwoFactorCode, confirmTwoFactor);
+router.post('/2fa/disable', requireUser, disableTwoFactor);
 
-// Routes admin uniquement
-router.get('/users', requireAdmin, getAllUsers);
-router.put('/users/:id/status', requireAdmin, validateObjectId, toggleUserStatus);
+// Gestion des utilisateurs et paramètres (permissions requises)
+router.get('/roles', requireVerifiedEmail, authorize(PERMISSIONS.USERS_READ), getRoles);
+router.get('/users', requireVerifiedEmail, authorize(PERMISSIONS.USERS_READ), getAllUsers);
+router.post('/users/invite', requireVerifiedEmail, authorize(PERMISSIONS.USERS_MANAGE), validateInvitation, inviteUser);
+router.put('/users/:id/status', requireVerifiedEmail, authorize(PERMISSIONS.USERS_MANAGE), validateObjectId, toggleUserStatus);
+router.put(
+  '/users/:id/availability',
+  requireVerifiedEmail,
+  validateObjectId,
+  authorizeSelfOr(PERMISSIONS.USERS_MANAGE),
+  validateAvailability,
+  updateAvailability
+);
+router.put('/users/:id/role', requireVerifiedEmail, authorize(PERMISSIONS.USERS_MANAGE), validateObjectId, validateRoleUpdate, updateUserRole);
+router.delete('/users/:id', requireVerifiedEmail, authorize(PERMISSIONS.USERS_MANAGE), validateObjectId, validateUserDeletion, deleteUser);
+router.get('/invitations', requireVerifiedEmail, authorize(PERMISSIONS.USERS_READ), getInvitations);
+router.delete('/invitations/:id', requireVerifiedEmail, authorize(PERMISSIONS.USERS_MANAGE), validateObjectId, revokeInvitation);
+router.get('/users/:id/sessions', requireVerifiedEmail, authorize(PERMISSIONS.USERS_READ), validateObjectId, getUserSessions);
+router.delete('/users/:id/sessions/:sessionId', requireVerifiedEmail, authorize(PERMISSIONS.USERS_MANAGE), validateObjectId, validateSessionId, revokeUserSession);
+router.get('/users/:id/login-history', requireVerifiedEmail, authorize(PERMISSIONS.USERS_READ), validateObjectId, validatePagination, getLoginHistory);
+router.get('/api-keys', requireVerifiedEmail, authorize(PERMISSIONS.API_KEYS_MANAGE), getApiKeys);
+router.post('/api-keys', requireVerifiedEmail, authorize(PERMISSIONS.API_KEYS_MANAGE), validateApiKey, createApiKey);
+router.patch('/api-keys/:id', requireVerifiedEmail, authorize(PERMISSIONS.API_KEYS_MANAGE), validateObjectId, validateApiKeyUpdate, updateApiKey);
+router.delete('/api-keys/:id', requireVerifiedEmail, authorize(PERMISSIONS.API_KEYS_MANAGE), validateObjectId, revokeApiKey);
+router.get('/settings/security', requireVerifiedEmail, authorize(PERMISSIONS.SETTINGS_MANAGE), getSecuritySettings);
+router.put('/settings/security', requireVerifiedEmail, authorize(PERMISSIONS.SETTINGS_MANAGE), validateSecuritySettings, updateSecuritySettings);
+router.get('/settings/assignment', requireVerifiedEmail, authorize(PERMISSIONS.SETTINGS_MANAGE), getAssignmentSettings);
+router.put('/settings/assignment', requireVerifiedEmail, authorize(PERMISSIONS.SETTINGS_MANAGE), validateAssignmentSettings, updateAssignmentSettings);
+router.get('/settings/follow-up', requireVerifiedEmail, authorize(PERMISSIONS.SETTINGS_MANAGE), getFollowUpSettings);
+router.put('/settings/follow-up', requireVerifiedEmail, authorize(PERMISSIONS.SETTINGS_MANAGE), validateFollowUpSettings, updateFollowUpSettings);
+router.get('/settings/scoring', requireVerifiedEmail, authorize(PERMISSIONS.SETTINGS_MANAGE), getScoringSettings);
+router.put('/settings/scoring', requireVerifiedEmail, authorize(PERMISSIONS.SETTINGS_MANAGE), validateScoringSettings, updateScoringSettings);
+router.get('/settings/sla', requireVerifiedEmail, authorize(PERMISSIONS.SETTINGS_MANAGE), getSlaSettings);
+router.put('/settings/sla', requireVerifiedEmail, authorize(PERMISSIONS.SETTINGS_MANAGE), validateSlaSettings, updateSlaSettings);
+router.get('/jobs', requireVerifiedEmail, authorize(PERMISSIONS.SETTINGS_MANAGE), getJobs);
 
 module.exports = router;
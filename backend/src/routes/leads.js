@@ -9,19 +9,58 @@ const {
   deleteLead,
   assignLead,
   scheduleFollowUp,
+  getLeadActivity,
+  addLeadNote,
+  mergeLeads,
+  convertLead,
+  getLeadWorkflow,
   getLeadStats,
+  getLeadAttributionStats,
   getMyLeads,
+  getMyLeadById,
+  updateMyLead,
+  getMyLeadActivity,
+  addMyLeadNote,
+  getCustomerLeads,
+  importLeadsFromCsv,
   exportLeads
 } = require('../controllers/leadController');
 
+const {
+  getLeadSources,
+  createLeadSource,
+  updateLeadSource,
+  deleteLeadSource
+} = require('../controllers/leadSourceController');
+
 const {
   authenticate,
-  requireAdmin
+  authenticateCustomer,
+  requireVerifiedEmail,
+  authorize,
+  loadResource,
+  requireOwnership
 } = require('../middleware/auth');
+const { uploadCsv } = require('../middleware/upload');
+
+const Lead = require('../models/Lead');
+
+const { PERMISSIONS } = require('../config/permissions');
 
 const {
   validateLead,
   validateLeadUpdate,
+  validateMyLeadUpdate,
+  validateLeadNote,
+  validateLeadActivityQuery,
+  validateLeadMerge,
+  validateLeadConversion,
+  validateLeadQuery,
+  validateLeadImport,
+  validateLeadExport,
+  validateAttributionQuery,
+  validateLeadSource,
+  validateLeadSourceUpdate,
   validateObjectId,
   validatePagination
 } = require('../middleware/validation');
@@ -29,20 +68,85 @@ const {
 // Route publique pour créer un lead
 router.post('/', validateLead, createLead);
 
-// Routes privées (authentification requise)
-router.use(authenticate);
-
-// Routes pour tous les utilisateurs connectés
-router.get('/my-leads', validatePagination, getMyLeads);
-
-// Routes admin uniquement
-router.get('/', requireAdmin, validatePagination, getAllLeads);
-router.get('/stats', requireAdmin, getLeadStats);
-router.get('/export', requireAdmin, exportLeads);
-router.get('/:id', requireAdmin, validateObjectId, getLeadById);
-router.put('/:id', requireAdmin, validateObjectId, validateLeadUpdate, updateLead);
-router.delete('/:id', requireAdmin, validateObjectId, deleteLead);
-router.patch('/:id/assign', requireAdmin, validateObjectId, assignLead);
-router.patch('/:id/follow-up', requireAdmin, validateObjectId, scheduleFollowUp);
+// Demandes du client connecté par code SMS (token client)
+router.get('/customer', authenticateCustomer, getCustomerLeads);
+
+// Routes privées (authentification et email vérifié requis)
+router.use(authenticate, requireVerifiedEmail);
+
+// Cycle de vie des leads (statuts, transitions, motifs de perte)
+router.get('/workflow', authorize(PERMISSIONS.LEADS_READ, PERMISSIONS.LEADS_READ_ASSIGNED), getLeadWorkflow);
+
+// Sources des leads (liste gérée par les administrateurs)
+router.get('/sources', authorize(PERMISSIONS.LEADS_READ, PERMISSIONS.LEADS_READ_ASSIGNED), getLeadSources);
+router.post('/sources', authorize(PERMISSIONS.SETTINGS_MANAGE), validateLeadSource, createLeadSource);
+router.put(
+  '/sources/:id',
+  authorize(PERMISSIONS.SETTINGS_MANAGE),
+  validateObjectId,
+  validateLeadSourceUpdate,
+  updateLeadSource
+);
+router.delete('/sources/:id', authorize(PERMISSIONS.SETTINGS_MANAGE), validateObjectId, deleteLeadSource);
+
+// Leads assignés à l'utilisateur connecté
+router.get('/my-leads', authorize(PERMISSIONS.LEADS_READ_ASSIGNED), validatePagination, validateLeadQuery, getMyLeads);
+router.get(
+  '/my-leads/:id',
+  authorize(PERMISSIONS.LEADS_READ_ASSIGNED),
+  validateObjectId,
+  loadResource(Lead, 'Lead non trouvé'),
+  requireOwnership('assignedTo', PERMISSIONS.LEADS_READ),
+  getMyLeadById
+);
+router.patch(
+  '/my-leads/:id',
+  authorize(PERMISSIONS.LEADS_UPDATE_ASSIGNED),
+  validateObjectId,
+  validateMyLeadUpdate,
+  loadResource(Lead, 'Lead non trouvé'),
+  requireOwnership('assignedTo', PERMISSIONS.LEADS_UPDATE),
+  updateMyLead
+);
+router.get(
+  '/my-leads/:id/activity',
+  authorize(PERMISSIONS.LEADS_READ_ASSIGNED),
+  validateObjectId,
+  validateLeadActivityQuery,
+  loadResource(Lead, 'Lead non trouvé'),
+  requireOwnership('assignedTo', PERMISSIONS.LEADS_READ),
+  getMyLeadActivity
+);
+router.post(
+  '/my-leads/:id/notes',
+  authorize(PERMISSIONS.LEADS_UPDATE_ASSIGNED),
+  validateObjectId,
+  validateLeadNote,
+  loadResource(Lead, 'Lead non trouvé'),
+  requireOwnership('assignedTo', PERMISSIONS.LEADS_UPDATE),
+  addMyLeadNote
+);
+
+// Gestion de l'ensemble des leads
+router.get('/', authorize(PERMISSIONS.LEADS_READ), validatePagination, validateLeadQuery, getAllLeads);
+router.get('/stats', authorize(PERMISSIONS.LEADS_STATS), getLeadStats);
+router.get('/stats/attribution', authorize(PERMISSIONS.LEADS_STATS), validateAttributionQuery, getLeadAttributionStats);
+router.get('/export', authorize(PERMISSIONS.LEADS_EXPORT), validateLeadExport, exportLeads);
+router.post(
+  '/import',
+  authorize(PERMISSIONS.LEADS_IMPORT),
+  validateLeadImport,
+  uploadCsv('file'),
+  importLeadsFromCsv
+);
+router.post('/merge', authorize(PERMISSIONS.LEADS_MERGE), validateLeadMerge, mergeLeads);
+router.get('/:id', authorize(PERMISSIONS.LEADS_READ), validateObjectId, getLeadById);
+router.put('/:id', authorize(PERMISSIONS.LEADS_UPDATE), validateObjectId, validateLeadUpdate, updateLead);
+router.delete('/:id', authorize(PERMISSIONS.LEADS_DELETE), validateObjectId, deleteLead);
+router.patch('/:id/assign', authorize(PERMISSIONS.LEADS_ASSIGN), validateObjectId, assignLead);
+router.patch('/:id/follow-up', authorize(PERMISSIONS.LEADS_UPDATE), validateObjectId, scheduleFollowUp);
+router.get('/:id/activity', authorize(PERMISSIONS.LEADS_READ), validateObjectId, validateLeadActivityQuery, getLeadActivity);
+router.post('/:id/notes', authorize(PERMISSIONS.LEADS_UPDATE), validateObjectId, validateLeadNote, addLeadNote);
+router.post('/:id/convert', authorize(PERMISSIONS.ORDERS_CREATE), validateObjectId, validateLeadConversion, convertLead);
 
 module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getAllOrders,
+  getOrderById,
+  createDirectOrder,
+  updateOrder,
+  updateOrderStatus,
+  deleteOrder
+} = require('../controllers/orderController');
+
+const {
+  authenticate,
+  requireVerifiedEmail,
+  authorize
+} = require('../middleware/auth');
+
+const { PERMISSIONS } = require('../config/permissions');
+
+const {
+  validateOrder,
+  validateOrderUpdate,
+  validateOrderStatus,
+  validateOrderQuery,
+  validateObjectId,
+  validatePagination
+} = require('../middleware/validation');
+
+// Toutes les routes nécessitent une authentification et un email vérifié
+router.use(authenticate, requireVerifiedEmail);
+
+router.get('/', authorize(PERMISSIONS.ORDERS_READ), validatePagination, validateOrderQuery, getAllOrders);
+router.post('/', authorize(PERMISSIONS.ORDERS_CREATE), validateOrder, createDirectOrder);
+router.get('/:id', authorize(PERMISSIONS.ORDERS_READ), validateObjectId, getOrderById);
+router.put('/:id', authorize(PERMISSIONS.ORDERS_UPDATE), validateObjectId, validateOrderUpdate, updateOrder);
+router.patch('/:id/status', authorize(PERMISSIONS.ORDERS_UPDATE), validateObjectId, validateOrderStatus, updateOrderStatus);
+router.delete('/:id', authorize(PERMISSIONS.ORDERS_DELETE), validateObjectId, deleteOrder);
+
+module.exports = router;
@@ -18,10 +18,13 @@ const {
 
 const {
   authenticate,
-  requireAdmin,
+  requireVerifiedEmail,
+  authorize,
   optionalAuth
 } = require('../middleware/auth');
 
+const { PERMISSIONS } = require('../config/permissions');
+
 const {
   validateProduct,
   validateProductUpdate,
@@ -39,12 +42,12 @@ router.get('/featured', getFeaturedProducts);
 router.get('/categories/stats', getCategoriesStats);
 router.get('/:id', validateObjectId, getProductById);
 
-// Routes admin uniquement
-router.post('/', authenticate, requireAdmin, validateProduct, createProduct);
-router.put('/:id', authenticate, requireAdmin, validateObjectId, validateProductUpdate, updateProduct);
-router.delete('/:id', authenticate, requireAdmin, validateObjectId, deleteProduct);
-router.delete('/:id/permanent', authenticate, requireAdmin, validateObjectId, permanentDeleteProduct);
-router.patch('/:id/stock', authenticate, requireAdmin, validateObjectId, updateStock);
-router.get('/admin/stats', authenticate, requireAdmin, getProductStats);
+// Routes de gestion (permissions requises)
+router.post('/', authenticate, requireVerifiedEmail, authorize(PERMISSIONS.PRODUCTS_CREATE), validateProduct, createProduct);
+router.put('/:id', authenticate, requireVerifiedEmail, authorize(PERMISSIONS.PRODUCTS_UPDATE), validateObjectId, validateProductUpdate, updateProduct);
+router.delete('/:id', authenticate, requireVerifiedEmail, authorize(PERMISSIONS.PRODUCTS_DELETE), validateObjectId, deleteProduct);
+router.delete('/:id/permanent', authenticate, requireVerifiedEmail, authorize(PERMISSIONS.PRODUCTS_DELETE), validateObjectId, permanentDeleteProduct);
+router.patch('/:id/stock', authenticate, requireVerifiedEmail, authorize(PERMISSIONS.PRODUCTS_STOCK_UPDATE), validateObjectId, updateStock);
+router.get('/admin/stats', authenticate, requireVerifiedEmail, authorize(PERMISSIONS.PRODUCTS_STATS), getProductStats);
 
 module.exports = router;
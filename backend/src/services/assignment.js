@@ -0,0 +1,183 @@
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Setting = require('../models/Setting');
+const { ASSIGNMENT_SETTINGS, ASSIGNMENT_STRATEGIES } = require('../config/settings');
+const { CLOSED_STATUSES } = require('../config/leads');
+const { getLocalTime } = require('../utils/time');
+
+/**
+ * Moteur d'assignation automatique des leads
+ *
+ * La stratégie et les rôles éligibles sont définis par le paramètre
+ * « assignment » (modèle Setting). Seuls les agents actifs, disponibles
+ * et dans leurs horaires de travail peuvent recevoir un lead. Chaque
+ * décision est enregistrée dans la chronologie du lead.
+ */
+
+/**
+ * Agents pouvant recevoir un lead maintenant
+ * @param {Object} settings - Paramètres d'assignation
+ * @param {Array} exclude - IDs des utilisateurs à exclure
+ * @returns {Promise<Array>} Utilisateurs éligibles
+ */
+const getAvailableAgents = async (settings, exclude = []) => {
+  const agents = await User.find({
+    _id: { $nin: exclude },
+    role: { $in: settings.roles },
+    isActive: true,
+    isAvailable: { $ne: false }
+  });
+
+  const localTime = getLocalTime(new Date(), settings.timezone);
+
+  return agents.filter(agent => agent.isWorkingAt(localTime));
+};
+
+/**
+ * Nombre de leads ouverts par agent
+ * @param {Array} agents - Utilisateurs
+ * @returns {Promise<Map>} ID agent -> nombre de leads ouverts
+ */
+const countOpenLeads = async (agents) => {
+  const counts = await Lead.aggregate([
+    {
+      $match: {
+        assignedTo: { $in: agents.map(agent => agent._id) },
+        status: { $nin: CLOSED_STATUSES },
+        isArchived: false
+      }
+    },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+/**
+ * Trie les agents par ancienneté de leur dernière assignation
+ * @param {Array} agents - Utilisateurs
+ * @returns {Array} Agents, le moins récemment servi en premier
+ */
+const byLastAssignment = (agents) => {
+  return [...agents].sort((a, b) => (a.lastLeadAssignedAt || 0) - (b.lastLeadAssignedAt || 0));
+};
+
+/**
+ * Choisit l'agent ayant le moins de leads ouverts
+ * (à égalité, le moins récemment servi)
+ * @param {Array} agents - Utilisateurs
+ * @returns {Promise<Object>} Agent choisi
+ */
+const pickLeastOpenLeads = async (agents) => {
+  const counts = await countOpenLeads(agents);
+
+  return byLastAssignment(agents)
+    .sort((a, b) => (counts.get(a._id.toString()) || 0) - (counts.get(b._id.toString()) || 0))[0];
+};
+
+/**
+ * Choisit un agent pour un lead selon la stratégie configurée
+ * @param {Object} lead - Le document Lead
+ * @param {Object} settings - Paramètres d'assignation
+ * @param {Array} exclude - IDs des utilisateurs à exclure
+ * @returns {Promise<Object|null>} Agent choisi ou null si aucun n'est disponible
+ */
+const chooseAgent = async (lead, settings, exclude = []) => {
+  const agents = await getAvailableAgents(settings, exclude);
+
+  if (agents.length === 0) {
+    return null;
+  }
+
+  switch (settings.strategy) {
+    case ASSIGNMENT_STRATEGIES.LEAST_OPEN_LEADS:
+      return pickLeastOpenLeads(agents);
+
+    case ASSIGNMENT_STRATEGIES.PRODUCT_CATEGORY: {
+      const product = await Product.findById(lead.produit).select('categorie');
+      const specialists = product
+        ? agents.filter(agent => (agent.leadCategories || []).includes(product.categorie))
+        : [];
+
+      // Aucun spécialiste disponible : tous les agents disponibles
+      return pickLeastOpenLeads(specialists.length > 0 ? specialists : agents);
+    }
+
+    case ASSIGNMENT_STRATEGIES.ROUND_ROBIN:
+    default:
+      return byLastAssignment(agents)[0];
+  }
+};
+
+/**
+ * Assigne automatiquement un lead et enregistre la décision
+ * @param {Object} lead - Le document Lead
+ * @param {Object} options - Options
+ * @param {Object} options.actor - Auteur de l'action ({ user, apiKey })
+ * @param {Array} options.exclude - IDs des utilisateurs à exclure
+ * @param {String} options.reason - Motif (new_lead, agent_deactivated...)
+ * @param {Boolean} options.force - Assigner même si l'assignation automatique est désactivée
+ * @returns {Promise<Object|null>} Agent assigné, null sinon
+ */
+const autoAssignLead = async (lead, { actor = {}, exclude = [], reason = 'new_lead', force = false } = {}) => {
+  const settings = await Setting.getValue(ASSIGNMENT_SETTINGS.key, ASSIGNMENT_SETTINGS.defaults);
+
+  if (!settings.enabled && !force) {
+    return null;
+  }
+
+  const agent = await chooseAgent(lead, settings, exclude);
+  const details = {
+    automatic: true,
+    strategy: settings.strategy,
+    reason
+  };
+
+  if (!agent) {
+    await lead.assignTo(null, 'Aucun agent disponible', actor, { ...details, outcome: 'no_available_agent' });
+    return null;
+  }
+
+  await lead.assignTo(agent._id, '', actor, { ...details, outcome: 'assigned' });
+  await User.updateOne({ _id: agent._id }, { lastLeadAssignedAt: new Date() });
+
+  return agent;
+};
+
+/**
+ * Redistribue les leads ouverts d'un agent (ex: compte désactivé)
+ * @param {String} userId - ID de l'agent
+ * @param {Object} actor - Auteur de l'action
+ * @returns {Promise<Object>} { reassigned, unassigned }
+ */
+const redistributeLeads = async (userId, actor = {}) => {
+  const leads = await Lead.find({
+    assignedTo: userId,
+    status: { $nin: CLOSED_STATUSES },
+    isArchived: false
+  });
+
+  let reassigned = 0;
+
+  // Séquentiel pour que chaque choix tienne compte des assignations précédentes
+  for (const lead of leads) {
+    const agent = await autoAssignLead(lead, {
+      actor,
+      exclude: [userId],
+      reason: 'agent_deactivated',
+      force: true
+    });
+
+    if (agent) {
+      reassigned++;
+    }
+  }
+
+  return { reassigned, unassigned: leads.length - reassigned };
+};
+
+module.exports = {
+  autoAssignLead,
+  redistributeLeads
+};
@@ -0,0 +1,160 @@
+const Lead = require('../models/Lead');
+const LeadSource = require('../models/LeadSource');
+const { LEAD_STATUSES } = require('../config/leads');
+
+/**
+ * Attribution marketing des leads (source, paramètres UTM, campagne)
+ *
+ * Les paramètres UTM envoyés avec la demande sont complétés par ceux de la
+ * page d'arrivée (landingUrl), le paramètre utm_id servant d'identifiant de
+ * campagne à défaut de campaignId. Ces métadonnées sont facultatives : une
+ * valeur invalide est ignorée ou tronquée, jamais une cause de rejet du lead.
+ */
+
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+const MAX_PARAM_LENGTH = 100;
+const MAX_URL_LENGTH = 500;
+
+/**
+ * Nettoie un paramètre de campagne
+ * @param {*} value - Valeur reçue
+ * @returns {String|undefined} Texte tronqué, undefined si vide ou non textuel
+ */
+const cleanParam = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return undefined;
+  }
+  return String(value).trim().slice(0, MAX_PARAM_LENGTH) || undefined;
+};
+
+/**
+ * Nettoie une URL (referrer, page d'arrivée)
+ * Tout schéma est accepté (android-app://, http://localhost...)
+ * @param {*} value - Valeur reçue
+ * @returns {URL|undefined} URL analysée, undefined si illisible
+ */
+const parseUrl = (value) => {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+
+  try {
+    return new URL(value.trim());
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * Construit l'attribution d'un lead à partir des données de la demande
+ * @param {Object} data - { utm, referrer, landingUrl, campaignId }
+ * @returns {Object} { utm, referrer, landingUrl, campaignId } (champs vides omis)
+ */
+const buildAttribution = ({ utm, referrer, landingUrl, campaignId } = {}) => {
+  const utmParams = utm && typeof utm === 'object' ? utm : {};
+  const landing = parseUrl(landingUrl);
+  const referrerUrl = parseUrl(referrer);
+  // URL illisible : seuls les paramètres envoyés explicitement sont conservés
+  const params = landing ? landing.searchParams : new URLSearchParams();
+
+  const attribution = { utm: {} };
+
+  UTM_FIELDS.forEach((field) => {
+    const value = cleanParam(utmParams[field]) || cleanParam(params.get(`utm_${field}`));
+    if (value) {
+      attribution.utm[field] = value;
+    }
+  });
+
+  const campaign = cleanParam(campaignId) || cleanParam(params.get('utm_id'));
+
+  if (campaign) attribution.campaignId = campaign;
+  if (referrerUrl) attribution.referrer = referrerUrl.href.slice(0, MAX_URL_LENGTH);
+  if (landing) attribution.landingUrl = landing.href.slice(0, MAX_URL_LENGTH);
+
+  return attribution;
+};
+
+/**
+ * Calcule le taux de conversion d'une ligne du rapport
+ * @param {Object} row - { leads, conversions }
+ * @returns {Object} Ligne complétée du taux (ex: « 12.50% »)
+ */
+const withRate = (row) => ({
+  ...row,
+  rate: `${row.leads > 0 ? (row.conversions / row.leads * 100).toFixed(2) : 0}%`
+});
+
+/**
+ * Leads, conversions et taux de conversion par source et par campagne
+ * @param {Object} filters - { dateFrom, dateTo } sur la date de création des leads
+ * @returns {Promise<Object>} { totals, bySource, byCampaign }
+ */
+const getAttributionStats = async ({ dateFrom, dateTo } = {}) => {
+  const match = { isArchived: false };
+
+  if (dateFrom || dateTo) {
+    match.createdAt = {};
+    if (dateFrom) match.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) match.createdAt.$lte = new Date(dateTo);
+  }
+
+  const campaigns = await Lead.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          source: '$source',
+          campaignId: { $ifNull: ['$campaignId', null] },
+          campaign: { $ifNull: ['$utm.campaign', null] }
+        },
+        leads: { $sum: 1 },
+        // Un lead converti puis rouvert reste compté comme conversion
+        conversions: {
+          $sum: {
+            $cond: [
+              { $or: [{ $eq: ['$status', LEAD_STATUSES.CONVERTED] }, { $gt: ['$convertedAt', null] }] },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    },
+    { $sort: { leads: -1 } }
+  ]);
+
+  // Libellés des sources (une source supprimée est affichée par son code)
+  const labels = new Map(
+    (await LeadSource.find({ code: { $in: campaigns.map(({ _id }) => _id.source) } }).select('code label').lean())
+      .map(({ code, label }) => [code, label])
+  );
+
+  const sources = new Map();
+  const totals = { leads: 0, conversions: 0 };
+
+  const byCampaign = campaigns.map(({ _id: { source, campaignId, campaign }, leads, conversions }) => {
+    if (!sources.has(source)) {
+      sources.set(source, { source, label: labels.get(source) || source, leads: 0, conversions: 0 });
+    }
+
+    const sourceRow = sources.get(source);
+    sourceRow.leads += leads;
+    sourceRow.conversions += conversions;
+    totals.leads += leads;
+    totals.conversions += conversions;
+
+    return withRate({ source, label: sourceRow.label, campaignId, campaign, leads, conversions });
+  });
+
+  return {
+    totals: withRate(totals),
+    bySource: [...sources.values()].map(withRate).sort((a, b) => b.leads - a.leads),
+    byCampaign
+  };
+};
+
+module.exports = {
+  buildAttribution,
+  getAttributionStats
+};
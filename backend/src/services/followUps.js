@@ -0,0 +1,233 @@
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Setting = require('../models/Setting');
+const { defineJob } = require('./scheduler');
+const { sendNotification, buildFrontendUrl } = require('./notifications');
+const { FOLLOW_UP_SETTINGS, ASSIGNMENT_SETTINGS } = require('../config/settings');
+const { CLOSED_STATUSES } = require('../config/leads');
+const { ROLES, PERMISSIONS, roleHasPermission } = require('../config/permissions');
+const { getNextLocalTime, getEndOfLocalDay } = require('../utils/time');
+
+/**
+ * Rappels de suivi des leads : rappel à l'échéance, escalade des suivis
+ * en retard et récapitulatif quotidien, exécutés par le planificateur
+ */
+
+// Nombre maximum de leads traités par exécution
+const BATCH_SIZE = 200;
+
+/**
+ * Responsables à prévenir pour les leads non assignés ou en retard
+ * (comptes actifs pouvant assigner des leads)
+ * @returns {Promise<Array>} Utilisateurs
+ */
+const getSupervisors = () => {
+  const roles = ROLES.filter(role => roleHasPermission(role, PERMISSIONS.LEADS_ASSIGN));
+  return User.find({ role: { $in: roles }, isActive: true });
+};
+
+/**
+ * Filtre des leads ouverts ayant un suivi programmé
+ */
+const openFollowUpQuery = (extra) => ({
+  status: { $nin: CLOSED_STATUSES },
+  isArchived: false,
+  ...extra
+});
+
+/**
+ * Résumé d'un lead pour les notifications
+ * @param {Object} lead - Lead avec produit peuplé
+ * @returns {String} Ligne descriptive
+ */
+const describeLead = (lead) => {
+  const productName = lead.produit && lead.produit.nom ? lead.produit.nom : 'produit';
+  return `${lead.nom} (${lead.tel}) - ${productName} - suivi prévu le ${lead.followUpDate.toISOString()}\n${buildFrontendUrl(`/admin/leads/${lead._id}`)}`;
+};
+
+/**
+ * Envoie un email à plusieurs destinataires sans interrompre le traitement
+ */
+const notifyAll = (recipients, subject, text) => {
+  return Promise.all(recipients.map(recipient => sendNotification({
+    to: recipient.email,
+    subject,
+    text: `Bonjour ${recipient.name},\n\n${text}`
+  }).catch(error => console.error('❌ Erreur d\'envoi de la notification:', error.message))));
+};
+
+/**
+ * Rappel des suivis arrivés à échéance
+ * @returns {Promise<Object>} { reminded }
+ */
+const sendFollowUpReminders = async () => {
+  const settings = await Setting.getValue(FOLLOW_UP_SETTINGS.key, FOLLOW_UP_SETTINGS.defaults);
+  if (!settings.remindersEnabled) {
+    return { reminded: 0 };
+  }
+
+  const leads = await Lead.find(openFollowUpQuery({
+    followUpDate: { $lte: new Date() },
+    followUpReminderSentAt: null
+  }))
+    .limit(BATCH_SIZE)
+    .populate('produit', 'nom')
+    .populate('assignedTo', 'name email isActive');
+
+  let supervisors = null;
+
+  for (const lead of leads) {
+    let recipients;
+
+    if (lead.assignedTo && lead.assignedTo.isActive) {
+      recipients = [lead.assignedTo];
+    } else {
+      supervisors = supervisors || await getSupervisors();
+      recipients = supervisors;
+    }
+
+    await notifyAll(
+      recipients,
+      'Rappel : suivi de lead à effectuer',
+      `Un suivi est prévu maintenant pour le lead suivant${lead.assignedTo ? '' : ' (non assigné)'} :\n${describeLead(lead)}`
+    );
+
+    await Lead.updateOne({ _id: lead._id }, { followUpReminderSentAt: new Date() });
+  }
+
+  return { reminded: leads.length };
+};
+
+/**
+ * Escalade des suivis non traités après le délai configuré
+ * @returns {Promise<Object>} { escalated }
+ */
+const escalateOverdueFollowUps = async () => {
+  const settings = await Setting.getValue(FOLLOW_UP_SETTINGS.key, FOLLOW_UP_SETTINGS.defaults);
+  const limit = new Date(Date.now() - settings.escalationDelayHours * 60 * 60 * 1000);
+
+  const leads = await Lead.find(openFollowUpQuery({
+    followUpDate: { $lte: limit },
+    followUpEscalatedAt: null
+  }))
+    .limit(BATCH_SIZE)
+    .populate('produit', 'nom')
+    .populate('assignedTo', 'name email');
+
+  if (leads.length === 0) {
+    return { escalated: 0 };
+  }
+
+  const supervisors = await getSupervisors();
+
+  await notifyAll(
+    supervisors,
+    `${leads.length} suivi(s) de lead en retard`,
+    `Les suivis suivants ont plus de ${settings.escalationDelayHours} heures de retard :\n\n${leads.map(lead =>
+      `- ${describeLead(lead)}\n  Assigné à : ${lead.assignedTo ? lead.assignedTo.name : 'personne'}`
+    ).join('\n')}`
+  );
+
+  await Lead.updateMany(
+    { _id: { $in: leads.map(lead => lead._id) } },
+    { followUpEscalatedAt: new Date() }
+  );
+
+  return { escalated: leads.length };
+};
+
+/**
+ * Récapitulatif quotidien des suivis du jour (et en retard) de chaque agent
+ * @returns {Promise<Object>} { agents, leads }
+ */
+const sendDailyDigests = async () => {
+  const settings = await Setting.getValue(FOLLOW_UP_SETTINGS.key, FOLLOW_UP_SETTINGS.defaults);
+  if (!settings.digestEnabled) {
+    return { agents: 0, leads: 0 };
+  }
+
+  const { timezone } = await Setting.getValue(ASSIGNMENT_SETTINGS.key, ASSIGNMENT_SETTINGS.defaults);
+
+  const leads = await Lead.find(openFollowUpQuery({
+    followUpDate: { $lt: getEndOfLocalDay(new Date(), timezone) },
+    assignedTo: { $ne: null }
+  }))
+    .sort({ followUpDate: 1 })
+    .populate('produit', 'nom')
+    .populate('assignedTo', 'name email isActive');
+
+  // Regrouper par agent
+  const byAgent = new Map();
+  leads
+    .filter(lead => lead.assignedTo && lead.assignedTo.isActive)
+    .forEach(lead => {
+      const key = lead.assignedTo._id.toString();
+      if (!byAgent.has(key)) {
+        byAgent.set(key, { agent: lead.assignedTo, leads: [] });
+      }
+      byAgent.get(key).leads.push(lead);
+    });
+
+  for (const { agent, leads: agentLeads } of byAgent.values()) {
+    await notifyAll(
+      [agent],
+      `Vos suivis du jour (${agentLeads.length})`,
+      `Voici les leads à rappeler aujourd'hui :\n\n${agentLeads.map(lead => `- ${describeLead(lead)}`).join('\n')}`
+    );
+  }
+
+  return { agents: byAgent.size, leads: leads.length };
+};
+
+const DIGEST_JOB = 'follow-up-digest';
+
+/**
+ * Prochaine heure d'envoi du récapitulatif quotidien
+ * @param {Date} now - Date de référence
+ * @returns {Promise<Date>} Date du prochain envoi
+ */
+const getNextDigestAt = async (now) => {
+  const { digestHour } = await Setting.getValue(FOLLOW_UP_SETTINGS.key, FOLLOW_UP_SETTINGS.defaults);
+  const { timezone } = await Setting.getValue(ASSIGNMENT_SETTINGS.key, ASSIGNMENT_SETTINGS.defaults);
+  return getNextLocalTime(now, digestHour, timezone);
+};
+
+/**
+ * Replanifie le récapitulatif après un changement d'heure ou de fuseau
+ */
+const rescheduleDigest = async () => {
+  await Job.updateOne({ name: DIGEST_JOB }, { nextRunAt: await getNextDigestAt(new Date()) });
+};
+
+/**
+ * Déclare les tâches de suivi auprès du planificateur
+ */
+const registerFollowUpJobs = () => {
+  defineJob({
+    name: 'follow-up-reminders',
+    run: sendFollowUpReminders,
+    getNextRunAt: async (now) => new Date(now.getTime() + 5 * 60 * 1000)
+  });
+
+  defineJob({
+    name: 'follow-up-escalations',
+    run: escalateOverdueFollowUps,
+    getNextRunAt: async (now) => new Date(now.getTime() + 15 * 60 * 1000)
+  });
+
+  defineJob({
+    name: DIGEST_JOB,
+    run: sendDailyDigests,
+    runOnStart: false,
+    getNextRunAt: getNextDigestAt
+  });
+};
+
+module.exports = {
+  sendFollowUpReminders,
+  escalateOverdueFollowUps,
+  sendDailyDigests,
+  rescheduleDigest,
+  registerFollowUpJobs
+};
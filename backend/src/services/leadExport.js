@@ -0,0 +1,191 @@
+const ExcelJS = require('exceljs');
+const { LOSS_REASONS } = require('../config/leads');
+
+/**
+ * Export des leads en CSV ou XLSX, écrit au fil de l'eau à partir d'un curseur
+ * pour ne jamais charger l'ensemble des leads en mémoire
+ */
+
+/**
+ * Résume les articles d'un lead (« Casque (noir) x2, Téléphone »)
+ * @param {Array} items - Articles avec produit peuplé
+ * @returns {String} Liste lisible
+ */
+const formatItems = (items = []) => {
+  if (items.length === 0) return 'N/A';
+
+  return items.map(({ produit, variante, quantite }) => {
+    const name = (produit && produit.nom) || 'Produit supprimé';
+    return `${name}${variante ? ` (${variante})` : ''}${quantite > 1 ? ` x${quantite}` : ''}`;
+  }).join(', ');
+};
+
+// Colonnes exportables (clé demandée dans `columns` -> en-tête français et valeur)
+const EXPORT_COLUMNS = {
+  date: { header: 'Date', width: 12, value: (lead) => lead.createdAt },
+  nom: { header: 'Nom', width: 25, value: (lead) => lead.nom },
+  tel: { header: 'Téléphone', width: 16, value: (lead) => lead.tel },
+  telRaw: { header: 'Téléphone saisi', width: 16, value: (lead) => lead.telRaw },
+  operateur: { header: 'Opérateur', width: 12, value: (lead) => lead.carrier },
+  produit: { header: 'Produits', width: 35, value: (lead) => formatItems(lead.items) },
+  prix: { header: 'Montant', width: 10, value: (lead) => lead.total },
+  score: { header: 'Score', width: 8, value: (lead) => lead.score },
+  status: { header: 'Statut', width: 12, value: (lead) => lead.status },
+  lossReason: { header: 'Motif de perte', width: 25, value: (lead) => LOSS_REASONS[lead.lossReason] },
+  source: { header: 'Source', width: 12, value: (lead) => lead.source },
+  campaign: { header: 'Campagne', width: 25, value: (lead) => lead.campaignId || lead.utm?.campaign },
+  message: { header: 'Message', width: 50, value: (lead) => lead.message },
+  assignedTo: { header: 'Assigné à', width: 20, value: (lead) => lead.assignedTo?.name || 'Non assigné' },
+  followUpDate: { header: 'Date de suivi', width: 12, value: (lead) => lead.followUpDate },
+  age: { header: 'Âge (jours)', width: 10, value: (lead) => lead.ageInDays }
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+  'date', 'nom', 'tel', 'produit', 'prix', 'status', 'message', 'assignedTo', 'age'
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+// Séparateur attendu par Excel en configuration française
+const CSV_DELIMITER = ';';
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Attend que la réponse puisse de nouveau être écrite (ou que le client parte)
+ * @param {Object} res - Réponse Express
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Convertit une valeur en champ CSV échappé (RFC 4180)
+ * Les textes commençant par un caractère de formule sont neutralisés pour
+ * éviter leur exécution à l'ouverture dans un tableur
+ * @param {*} value - Valeur brute
+ * @returns {String} Champ CSV
+ */
+const toCsvField = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString().split('T')[0] : String(value);
+
+  if (typeof value === 'string' && /^([=@\t\r]|[+-](?![\d\s]+$))/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (text.includes(CSV_DELIMITER) || /[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Écrit les leads au format CSV (UTF-8 avec BOM) en respectant la contre-pression
+ * @param {Object} cursor - Curseur Mongoose sur les leads
+ * @param {Array<String>} columns - Clés des colonnes à exporter
+ * @param {Object} res - Réponse Express
+ * @returns {Promise<Number>} Nombre de leads écrits
+ */
+const writeCsv = async (cursor, columns, res) => {
+  const toLine = (fields) => fields.map(toCsvField).join(CSV_DELIMITER) + '\r\n';
+  let count = 0;
+
+  res.write(UTF8_BOM + toLine(columns.map((key) => EXPORT_COLUMNS[key].header)));
+
+  for await (const lead of cursor) {
+    if (res.destroyed) break;
+
+    count++;
+    if (!res.write(toLine(columns.map((key) => EXPORT_COLUMNS[key].value(lead))))) {
+      await waitForDrain(res);
+    }
+  }
+
+  res.end();
+  return count;
+};
+
+/**
+ * Écrit les leads dans un classeur XLSX en streaming
+ * @param {Object} cursor - Curseur Mongoose sur les leads
+ * @param {Array<String>} columns - Clés des colonnes à exporter
+ * @param {Object} res - Réponse Express
+ * @returns {Promise<Number>} Nombre de leads écrits
+ */
+const writeXlsx = async (cursor, columns, res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Leads', { views: [{ state: 'frozen', ySplit: 1 }] });
+  let count = 0;
+
+  sheet.columns = columns.map((key) => ({
+    key,
+    header: EXPORT_COLUMNS[key].header,
+    width: EXPORT_COLUMNS[key].width
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const lead of cursor) {
+    if (res.destroyed) break;
+
+    count++;
+    const row = sheet.addRow(columns.map((key) => EXPORT_COLUMNS[key].value(lead)));
+    row.eachCell((cell) => {
+      if (cell.value instanceof Date) cell.numFmt = 'dd/mm/yyyy';
+    });
+    row.commit();
+  }
+
+  await sheet.commit();
+  await workbook.commit();
+  return count;
+};
+
+/**
+ * Envoie l'export en pièce jointe
+ * @param {Object} res - Réponse Express
+ * @param {Object} cursor - Curseur Mongoose sur les leads (items.produit et assignedTo peuplés)
+ * @param {Object} options - Options
+ * @param {String} options.format - Format (`csv` ou `xlsx`)
+ * @param {Array<String>} options.columns - Clés des colonnes à exporter
+ * @returns {Promise<Number>} Nombre de leads exportés
+ */
+const streamLeadsExport = async (res, cursor, { format = 'csv', columns = DEFAULT_EXPORT_COLUMNS } = {}) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const filename = `leads-${new Date().toISOString().split('T')[0]}.${extension}`;
+
+  res.status(200);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  // Arrêter la lecture si le client abandonne le téléchargement
+  res.on('close', () => cursor.close().catch(() => {}));
+
+  return format === 'xlsx'
+    ? writeXlsx(cursor, columns, res)
+    : writeCsv(cursor, columns, res);
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  toCsvField,
+  streamLeadsExport
+};
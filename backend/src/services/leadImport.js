@@ -0,0 +1,357 @@
+const mongoose = require('mongoose');
+const { parse } = require('csv-parse/sync');
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const LeadSource = require('../models/LeadSource');
+const { LEAD_SOURCES } = require('../config/leads');
+const { normalizePhone } = require('../utils/phone');
+const { PERMISSIONS, roleHasPermission } = require('../config/permissions');
+const { checkLeadData } = require('../middleware/validation');
+const { autoAssignLead } = require('./assignment');
+const { getScoringRules, refreshLeadScore } = require('./scoring');
+
+/**
+ * Import de leads depuis un fichier CSV (salons, formulaires Facebook...)
+ *
+ * Chaque ligne est validée avec les mêmes règles que le formulaire public,
+ * puis les leads valides sont créés par lots. Un numéro ayant déjà un lead
+ * ouvert (ou apparaissant plus haut dans le fichier) est ignoré comme doublon.
+ */
+
+const MAX_IMPORT_ROWS = parseInt(process.env.LEAD_IMPORT_MAX_ROWS) || 2000;
+const IMPORT_BATCH_SIZE = 100;
+
+// En-têtes reconnus pour chaque champ (comparés sans accents ni casse)
+const COLUMN_ALIASES = {
+  nom: ['nom', 'name', 'full_name', 'nom_complet', 'client'],
+  tel: ['tel', 'telephone', 'phone', 'phone_number', 'numero', 'mobile'],
+  message: ['message', 'commentaire', 'comment', 'note'],
+  produit: ['produit', 'product', 'produit_id', 'product_id'],
+  source: ['source', 'canal'],
+  assignedTo: ['assignedto', 'assigned_to', 'assigne', 'assigne_a', 'agent', 'commercial']
+};
+
+/**
+ * Normalise un en-tête de colonne (« Téléphone » -> « telephone »)
+ * @param {String} header - En-tête brut
+ * @returns {String} En-tête normalisé
+ */
+const normalizeHeader = (header) => String(header)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_|_$/g, '');
+
+/**
+ * Crée une erreur d'import renvoyée telle quelle au client
+ * @param {String} message - Message d'erreur
+ * @returns {Error} Erreur avec statusCode 400
+ */
+const importError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Lit le fichier CSV et associe ses colonnes aux champs d'un lead
+ * @param {Buffer} buffer - Contenu du fichier
+ * @returns {Object} { rows: [{ line, values }], columns, ignoredColumns }
+ */
+const parseLeadsCsv = (buffer) => {
+  let records;
+
+  try {
+    records = parse(buffer, {
+      bom: true,
+      delimiter: [';', ',', '\t'],
+      skip_empty_lines: true,
+      relax_column_count: true,
+      trim: true
+    });
+  } catch (error) {
+    throw importError(`Fichier CSV illisible : ${error.message}`);
+  }
+
+  const [headers = [], ...lines] = records;
+  const columns = {};
+  const ignoredColumns = [];
+
+  headers.forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(COLUMN_ALIASES).find((key) => COLUMN_ALIASES[key].includes(normalized));
+
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+    } else {
+      ignoredColumns.push(header);
+    }
+  });
+
+  const missing = ['nom', 'tel', 'produit'].filter((field) => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw importError(`Colonnes obligatoires manquantes : ${missing.join(', ')}`);
+  }
+
+  if (lines.length === 0) {
+    throw importError('Le fichier ne contient aucune ligne');
+  }
+
+  if (lines.length > MAX_IMPORT_ROWS) {
+    throw importError(`Le fichier ne peut pas dépasser ${MAX_IMPORT_ROWS} lignes`);
+  }
+
+  const rows = lines.map((line, index) => {
+    const values = {};
+    Object.entries(columns).forEach(([field, column]) => {
+      values[field] = line[column] || '';
+    });
+
+    // Ligne 1 : en-têtes
+    return { line: index + 2, values };
+  });
+
+  return { rows, columns: Object.keys(columns), ignoredColumns };
+};
+
+// Échappe une valeur pour une recherche exacte par expression régulière
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Charge en une fois les produits et utilisateurs cités dans le fichier
+ * ainsi que les sources actives
+ * @param {Array} rows - Lignes analysées
+ * @returns {Promise<Object>} { products: Map, users: Map } indexés par ID, nom ou email, sources: codes
+ */
+const loadReferences = async (rows) => {
+  const distinct = (field) => [...new Set(rows.map((row) => row.values[field]).filter(Boolean))];
+  const productValues = distinct('produit');
+  const userValues = distinct('assignedTo');
+  const isId = (value) => mongoose.isValidObjectId(value);
+
+  const [products, users, sources] = await Promise.all([
+    Product.find({
+      $or: [
+        { _id: { $in: productValues.filter(isId) } },
+        { nom: { $in: productValues.map((value) => new RegExp(`^${escapeRegex(value)}$`, 'i')) } }
+      ]
+    }).select('nom prix isActive'),
+    userValues.length === 0 ? [] : User.find({
+      $or: [
+        { _id: { $in: userValues.filter(isId) } },
+        { email: { $in: userValues.map((value) => value.toLowerCase()) } }
+      ]
+    }).select('name email role isActive'),
+    LeadSource.getActiveCodes()
+  ]);
+
+  const productMap = new Map();
+  products.forEach((product) => {
+    productMap.set(product._id.toString(), product);
+    productMap.set(product.nom.toLowerCase(), product);
+  });
+
+  const userMap = new Map();
+  users.forEach((user) => {
+    userMap.set(user._id.toString(), user);
+    userMap.set(user.email, user);
+  });
+
+  return { products: productMap, users: userMap, sources };
+};
+
+/**
+ * Valide une ligne et résout ses références
+ * @param {Object} row - { line, values }
+ * @param {Object} references - Produits et utilisateurs chargés
+ * @returns {Promise<Object>} { line, data, errors }
+ */
+const checkRow = async ({ line, values }, references) => {
+  const errors = [];
+  const product = references.products.get(values.produit.toLowerCase());
+
+  const { data, errors: fieldErrors } = await checkLeadData({
+    nom: values.nom,
+    tel: values.tel,
+    message: values.message,
+    produit: product ? product._id.toString() : values.produit
+  });
+
+  // Un nom de produit inconnu est signalé comme tel plutôt que comme ID invalide
+  errors.push(...fieldErrors.filter((error) => product || error.field !== 'produit'));
+
+  if (!product) {
+    errors.push({ field: 'produit', message: `Produit « ${values.produit} » introuvable` });
+  } else if (!product.isActive) {
+    errors.push({ field: 'produit', message: `Le produit « ${product.nom} » n'est plus disponible` });
+  }
+
+  const source = values.source ? values.source.toLowerCase() : LEAD_SOURCES.IMPORT;
+  if (!references.sources.includes(source)) {
+    errors.push({
+      field: 'source',
+      message: `Source invalide. Valeurs autorisées : ${references.sources.join(', ')}`
+    });
+  }
+
+  let assignedTo;
+  if (values.assignedTo) {
+    const user = references.users.get(values.assignedTo.toLowerCase());
+
+    if (!user || !user.isActive || !roleHasPermission(user.role, PERMISSIONS.LEADS_READ_ASSIGNED)) {
+      errors.push({ field: 'assignedTo', message: `Utilisateur « ${values.assignedTo} » introuvable ou non autorisé` });
+    } else {
+      assignedTo = user._id;
+    }
+  }
+
+  // Un article par ligne, au prix du catalogue
+  const items = product ? [{ produit: product._id, quantite: 1, prixUnitaire: product.prix }] : [];
+
+  return {
+    line,
+    data: { ...data, items, source, assignedTo },
+    errors
+  };
+};
+
+/**
+ * Marque une ligne du rapport en échec
+ * @param {Object} entry - Entrée du rapport
+ * @param {Error} error - Cause de l'échec
+ */
+const markFailed = (entry, error) => {
+  entry.status = 'failed';
+  entry.errors = [{ field: null, message: error.message }];
+};
+
+/**
+ * Crée un lot de leads importés en une insertion, calcule leur score puis les
+ * assigne (colonne assignedTo ou assignation automatique)
+ * @param {Array} batch - [{ entry, data }] entrées du rapport et données validées
+ * @param {Object} rules - Règles de score
+ * @param {Object} actor - Auteur de l'import ({ user, apiKey })
+ */
+const createImportedBatch = async (batch, rules, actor) => {
+  const pending = [];
+
+  for (const { entry, data: { assignedTo, ...data } } of batch) {
+    const lead = new Lead(data);
+
+    try {
+      await lead.validate();
+      pending.push({ entry, lead, assignedTo });
+    } catch (error) {
+      markFailed(entry, error);
+    }
+  }
+
+  // Insertion non ordonnée : une erreur d'écriture n'écarte que les leads concernés
+  let inserted;
+  try {
+    inserted = new Set(await Lead.insertMany(pending.map(({ lead }) => lead), { ordered: false }));
+  } catch (error) {
+    inserted = new Set(error.insertedDocs || []);
+    pending
+      .filter(({ lead }) => !inserted.has(lead))
+      .forEach(({ entry }) => markFailed(entry, error));
+  }
+
+  const created = pending.filter(({ lead }) => inserted.has(lead));
+  created.forEach(({ entry, lead }) => {
+    entry.lead = lead._id;
+  });
+
+  await Promise.all(created.map(({ lead }) => refreshLeadScore(lead, rules).catch((error) => {
+    console.error('❌ Erreur de calcul du score d\'un lead importé:', error.message);
+  })));
+
+  // Assignation séquentielle : l'assignation automatique (tourniquet, charge
+  // des agents) doit voir l'assignation précédente pour répartir les leads.
+  // Son échec ne doit pas faire perdre le lead, déjà enregistré
+  for (const { lead, assignedTo } of created) {
+    try {
+      if (assignedTo) {
+        await lead.assignTo(assignedTo, 'Import CSV', actor);
+      } else {
+        await autoAssignLead(lead, { actor });
+      }
+    } catch (error) {
+      console.error('❌ Erreur d\'assignation d\'un lead importé:', error.message);
+    }
+  }
+};
+
+/**
+ * Importe (ou prévisualise) les leads d'un fichier CSV
+ * @param {Buffer} buffer - Contenu du fichier
+ * @param {Object} options - Options
+ * @param {Boolean} options.dryRun - Valider sans rien enregistrer
+ * @param {Object} options.actor - Auteur de l'import ({ user, apiKey })
+ * @returns {Promise<Object>} Rapport { total, created, duplicates, failed, rows, ... }
+ */
+const importLeads = async (buffer, { dryRun = false, actor = {} } = {}) => {
+  const { rows, columns, ignoredColumns } = parseLeadsCsv(buffer);
+  const references = await loadReferences(rows);
+  const seenTels = new Map();
+  const report = [];
+  const toCreate = [];
+
+  for (const row of rows) {
+    const { line, data, errors } = await checkRow(row, references);
+
+    if (errors.length > 0) {
+      report.push({ line, status: 'failed', errors });
+      continue;
+    }
+
+    const tel = normalizePhone(data.tel);
+
+    if (seenTels.has(tel)) {
+      report.push({ line, status: 'duplicate', duplicateOfLine: seenTels.get(tel) });
+      continue;
+    }
+    seenTels.set(tel, line);
+
+    const existingLead = await Lead.findOpenDuplicate(tel);
+    if (existingLead) {
+      report.push({ line, status: 'duplicate', duplicateOf: existingLead._id });
+      continue;
+    }
+
+    const entry = { line, status: dryRun ? 'valid' : 'created' };
+    report.push(entry);
+    toCreate.push({ entry, data });
+  }
+
+  if (!dryRun && toCreate.length > 0) {
+    const rules = await getScoringRules();
+
+    for (let i = 0; i < toCreate.length; i += IMPORT_BATCH_SIZE) {
+      await createImportedBatch(toCreate.slice(i, i + IMPORT_BATCH_SIZE), rules, actor);
+    }
+  }
+
+  const count = (status) => report.filter((entry) => entry.status === status).length;
+
+  return {
+    dryRun,
+    columns,
+    ignoredColumns,
+    total: rows.length,
+    valid: count('valid'),
+    created: count('created'),
+    duplicates: count('duplicate'),
+    failed: count('failed'),
+    rows: report
+  };
+};
+
+module.exports = {
+  COLUMN_ALIASES,
+  MAX_IMPORT_ROWS,
+  parseLeadsCsv,
+  importLeads
+};
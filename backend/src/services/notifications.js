@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Service d'envoi de notifications (emails transactionnels)
+ *
+ * Le transport est interchangeable : en développement, les messages sont
+ * affichés dans la console ou écrits dans un fichier. Un transport SMTP ou
+ * API peut être enregistré avec registerTransport().
+ */
+
+/**
+ * Transport console : affiche le message
+ */
+const consoleTransport = {
+  send: async (message) => {
+    console.log(`
+📧 Notification pour ${message.to}
+Sujet: ${message.subject}
+${message.text}
+    `);
+  }
+};
+
+/**
+ * Transport fichier : ajoute le message au fichier de log (une ligne JSON par message)
+ */
+const fileTransport = {
+  send: async (message) => {
+    const filePath = process.env.NOTIFICATION_LOG_FILE || path.join(process.cwd(), 'logs', 'notifications.log');
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n'
+    );
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+/**
+ * Enregistre un transport personnalisé
+ * @param {String} name - Nom du transport (valeur de NOTIFICATION_TRANSPORT)
+ * @param {Object} transport - Objet exposant send(message): Promise
+ */
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Transport de notification invalide: ${name}`);
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Retourne le transport configuré
+ * @returns {Object} Transport
+ */
+const getTransport = () => {
+  const name = process.env.NOTIFICATION_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Transport de notification inconnu: ${name}`);
+  }
+
+  return transport;
+};
+
+/**
+ * Vérifie au démarrage que le transport configuré existe
+ * @throws {Error} Si NOTIFICATION_TRANSPORT désigne un transport inconnu
+ */
+const checkTransport = () => {
+  getTransport();
+};
+
+/**
+ * Envoie une notification
+ * Toute erreur (y compris un transport inconnu) est renvoyée sous forme de
+ * promesse rejetée, jamais levée de façon synchrone
+ * @param {Object} message - Le message
+ * @param {String} message.to - Destinataire (email)
+ * @param {String} message.subject - Sujet
+ * @param {String} message.text - Contenu texte
+ * @returns {Promise}
+ */
+const sendNotification = async (message) => {
+  return getTransport().send(message);
+};
+
+/**
+ * Construit un lien vers le frontend
+ * @param {String} pathname - Chemin de la page
+ * @param {Object} params - Paramètres de requête
+ * @returns {String} URL complète
+ */
+const buildFrontendUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  registerTransport,
+  checkTransport,
+  sendNotification,
+  buildFrontendUrl
+};
@@ -0,0 +1,208 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { ORDER_STATUSES, ACTIVE_ORDER_STATUSES } = require('../config/orders');
+
+/**
+ * Création des commandes et mouvements de stock associés
+ *
+ * Le stock est réservé par décrément conditionnel avant l'enregistrement
+ * d'une commande (pas de survente entre commandes simultanées), restitué si
+ * l'enregistrement échoue et lors de l'annulation.
+ */
+
+/**
+ * Crée une erreur métier renvoyée telle quelle au client
+ * @param {Number} statusCode - Code HTTP
+ * @param {String} message - Message d'erreur
+ * @returns {Error} Erreur avec statusCode
+ */
+const orderError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Vérifie les produits puis construit les lignes de commande
+ * @param {Array} items - [{ produit, quantite, prixUnitaire, variante }]
+ * @returns {Promise<Object>} { lines, requested: [[produit, quantité totale]] }
+ */
+const buildOrderLines = async (items) => {
+  const products = new Map(
+    (await Product.find({ _id: { $in: items.map(item => item.produit) } }))
+      .map(product => [product._id.toString(), product])
+  );
+
+  // Quantité totale demandée par produit (plusieurs variantes possibles)
+  const requested = new Map();
+  items.forEach(({ produit, quantite = 1 }) => {
+    const id = produit.toString();
+    requested.set(id, (requested.get(id) || 0) + quantite);
+  });
+
+  if ([...requested.keys()].some(id => !products.has(id))) {
+    throw orderError(404, 'Produit non trouvé');
+  }
+
+  const lines = items.map(({ produit, quantite = 1, prixUnitaire, variante }) => {
+    const product = products.get(produit.toString());
+
+    return {
+      produit: product._id,
+      nom: product.nom,
+      quantite,
+      // Prix annoncé au client, sinon prix du catalogue
+      prixUnitaire: prixUnitaire !== undefined && prixUnitaire !== null ? prixUnitaire : product.prix,
+      variante
+    };
+  });
+
+  return {
+    lines,
+    requested: [...requested].map(([id, quantite]) => [products.get(id), quantite])
+  };
+};
+
+/**
+ * Restitue des quantités réservées
+ * @param {Array} reserved - [[produit, quantité]]
+ * @returns {Promise}
+ */
+const releaseStock = (reserved) => {
+  return Promise.all(reserved.map(([product, quantite]) => product.updateStock(quantite)));
+};
+
+/**
+ * Réserve le stock de chaque produit (tout ou rien)
+ * @param {Array} requested - [[produit, quantité]]
+ * @returns {Promise<Array>} Réservations [[produit, quantité]]
+ */
+const reserveStock = async (requested) => {
+  const reserved = [];
+
+  for (const [product, quantite] of requested) {
+    if (!await product.updateStock(-quantite)) {
+      await releaseStock(reserved);
+
+      const current = await Product.findById(product._id).select('nom stock');
+      if (!current) {
+        throw orderError(404, 'Produit non trouvé');
+      }
+      throw orderError(409, `Stock insuffisant pour « ${current.nom} » (disponible : ${current.stock})`);
+    }
+
+    reserved.push([product, quantite]);
+  }
+
+  return reserved;
+};
+
+/**
+ * Crée une commande confirmée et décrémente le stock
+ * @param {Object} data - { lead, customer, items, deliveryAddress, deliveryDate, notes }
+ * @param {Object} actor - Auteur ({ user, apiKey })
+ * @returns {Promise<Object>} Commande créée
+ */
+const createOrder = async ({ lead, customer, items, deliveryAddress, deliveryDate, notes }, actor = {}) => {
+  const { lines, requested } = await buildOrderLines(items);
+
+  const order = new Order({
+    lead,
+    customer,
+    items: lines,
+    deliveryAddress,
+    deliveryDate,
+    notes,
+    createdBy: actor.user
+  });
+  order.setStatus(ORDER_STATUSES.CONFIRMED, lead ? 'Conversion du lead' : '', actor);
+
+  // Valider avant de toucher au stock
+  await order.validate();
+  const reserved = await reserveStock(requested);
+
+  try {
+    await order.save();
+  } catch (error) {
+    await releaseStock(reserved);
+
+    // Index unique : une autre conversion du même lead vient d'aboutir
+    if (error.code === 11000) {
+      throw orderError(409, 'Ce lead a déjà une commande');
+    }
+    throw error;
+  }
+
+  return order;
+};
+
+/**
+ * Crée la commande d'un lead à partir de ses articles et des prix annoncés
+ * @param {Object} lead - Le document Lead
+ * @param {Object} delivery - { deliveryAddress, deliveryDate, notes }
+ * @param {Object} actor - Auteur ({ user, apiKey })
+ * @returns {Promise<Object>} Commande créée
+ */
+const createOrderFromLead = async (lead, delivery, actor) => {
+  // Vérification anticipée pour un message précis ; l'index unique couvre les conversions simultanées
+  const existing = await Order.findOne({ lead: lead._id, status: { $ne: ORDER_STATUSES.CANCELLED } });
+
+  if (existing) {
+    throw orderError(409, `Ce lead a déjà une commande (${existing._id})`);
+  }
+
+  return createOrder({
+    ...delivery,
+    lead: lead._id,
+    customer: { nom: lead.nom, tel: lead.tel },
+    items: lead.items.map(({ produit, quantite, prixUnitaire, variante }) => ({
+      produit,
+      quantite,
+      prixUnitaire,
+      variante
+    }))
+  }, actor);
+};
+
+/**
+ * Change le statut d'une commande (restitue le stock en cas d'annulation)
+ * La transition doit avoir été vérifiée avec checkOrderTransition ; la mise à
+ * jour est conditionnée au statut vérifié, si bien que deux annulations
+ * simultanées ne restituent le stock qu'une fois
+ * @param {Object} order - Le document Order (statut actuel)
+ * @param {String} status - Nouveau statut
+ * @param {String} note - Commentaire (motif d'annulation, livreur...)
+ * @param {Object} actor - Auteur ({ user, apiKey })
+ * @returns {Promise<Object>} Commande mise à jour
+ */
+const changeOrderStatus = async (order, status, note, actor) => {
+  if (!ACTIVE_ORDER_STATUSES.includes(order.status)) {
+    throw orderError(409, 'Cette commande ne peut plus changer de statut');
+  }
+
+  const updated = await Order.changeStatus(order._id, order.status, status, note, actor);
+
+  if (!updated) {
+    throw orderError(409, 'La commande a été modifiée entre-temps, veuillez réessayer');
+  }
+
+  // Un produit supprimé depuis la commande n'est pas modifié (aucun document trouvé)
+  if (status === ORDER_STATUSES.CANCELLED) {
+    const products = new Map(
+      (await Product.find({ _id: { $in: updated.items.map(line => line.produit) } }).select('_id'))
+        .map(product => [product._id.toString(), product])
+    );
+
+    await releaseStock(updated.items
+      .filter(line => products.has(line.produit.toString()))
+      .map(line => [products.get(line.produit.toString()), line.quantite]));
+  }
+
+  return updated;
+};
+
+module.exports = {
+  createOrder,
+  createOrderFromLead,
+  changeOrderStatus
+};
@@ -0,0 +1,111 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+
+/**
+ * Planificateur de tâches en mémoire avec état persistant (modèle Job)
+ *
+ * Chaque instance vérifie périodiquement les tâches arrivées à échéance.
+ * Une tâche n'est exécutée que par l'instance qui obtient son verrou en base,
+ * ce qui permet de lancer plusieurs serveurs sans doublon d'exécution.
+ */
+
+// Identifiant unique de cette instance (visible dans Job.lockedBy)
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const jobs = [];
+let timer = null;
+let ticking = false;
+
+/**
+ * Déclare une tâche planifiée
+ * @param {Object} job - Définition de la tâche
+ * @param {String} job.name - Nom unique
+ * @param {Function} job.run - async () => résultat (enregistré dans Job.lastResult)
+ * @param {Function} job.getNextRunAt - async (now) => Date de la prochaine exécution
+ * @param {Number} job.lockMs - Durée maximale d'exécution avant expiration du verrou
+ * @param {Boolean} job.runOnStart - Exécuter dès la première mise en service (sinon à getNextRunAt)
+ */
+const defineJob = ({ name, run, getNextRunAt, lockMs = 10 * 60 * 1000, runOnStart = true }) => {
+  if (jobs.some(job => job.name === name)) {
+    throw new Error(`Tâche déjà déclarée: ${name}`);
+  }
+  jobs.push({ name, run, getNextRunAt, lockMs, runOnStart });
+};
+
+/**
+ * Exécute une tâche si elle est due et si cette instance obtient le verrou
+ * @param {Object} job - Définition de la tâche
+ */
+const runIfDue = async (job) => {
+  const locked = await Job.acquire(job.name, INSTANCE_ID, job.lockMs);
+  if (!locked) return;
+
+  let result;
+  let error;
+
+  try {
+    result = await job.run();
+  } catch (err) {
+    error = err;
+    console.error(`❌ Erreur de la tâche ${job.name}:`, err.message);
+  }
+
+  const nextRunAt = await job.getNextRunAt(new Date());
+  await Job.complete(job.name, INSTANCE_ID, { nextRunAt, result, error });
+};
+
+/**
+ * Vérifie toutes les tâches (une seule vérification à la fois par instance)
+ */
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    for (const job of jobs) {
+      await runIfDue(job).catch(error => console.error(`❌ Planificateur (${job.name}):`, error.message));
+    }
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Démarre le planificateur (désactivable avec SCHEDULER_ENABLED=false)
+ */
+const startScheduler = async () => {
+  if (timer || process.env.SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+
+  // Enregistrer l'état initial des nouvelles tâches
+  const now = new Date();
+  for (const job of jobs) {
+    await Job.ensure(job.name, job.runOnStart ? now : await job.getNextRunAt(now));
+  }
+
+  const intervalSeconds = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS) || 60;
+  timer = setInterval(tick, intervalSeconds * 1000);
+  // Ne pas empêcher l'arrêt du processus
+  timer.unref();
+
+  console.log(`⏰ Planificateur démarré (${jobs.length} tâches, instance ${INSTANCE_ID})`);
+  tick();
+};
+
+/**
+ * Arrête le planificateur
+ */
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  defineJob,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,225 @@
+const Lead = require('../models/Lead');
+const LeadActivity = require('../models/LeadActivity');
+const Product = require('../models/Product');
+const Setting = require('../models/Setting');
+const Job = require('../models/Job');
+const { SCORING_SETTINGS } = require('../config/settings');
+const { CLOSED_STATUSES, ACTIVITY_TYPES } = require('../config/leads');
+const { defineJob } = require('./scheduler');
+
+/**
+ * Score des leads (0 à 100) pour prioriser les appels
+ *
+ * Les règles sont définies par le paramètre « scoring » (modèle Setting).
+ * Le score est calculé à la création et à la modification d'un lead, puis
+ * recalculé chaque heure pour les leads ouverts (ancienneté, stock, prix).
+ */
+
+const SCORES_JOB = 'lead-scores';
+const MIN_SCORE = 0;
+const MAX_SCORE = 100;
+
+/**
+ * Règles de score complétées par les valeurs par défaut
+ * @returns {Promise<Object>} Règles
+ */
+const getScoringRules = async () => {
+  const rules = await Setting.getValue(SCORING_SETTINGS.key, SCORING_SETTINGS.defaults);
+
+  return {
+    ...rules,
+    sourcePoints: { ...SCORING_SETTINGS.defaults.sourcePoints, ...rules.sourcePoints }
+  };
+};
+
+/**
+ * Retire les accents et la casse pour la recherche de mots-clés
+ * @param {String} text - Texte brut
+ * @returns {String} Texte normalisé
+ */
+const normalizeText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+/**
+ * Montant demandé et disponibilité des articles d'un lead
+ * @param {Array} items - Articles du lead ({ produit, quantite, prixUnitaire })
+ * @param {Array} products - Produits demandés ({ _id, prix, stock })
+ * @returns {Object|null} { total, inStock }, null si aucun produit n'est connu
+ */
+const summarizeItems = (items = [], products = []) => {
+  const catalog = new Map(products.filter(Boolean).map((product) => [product._id.toString(), product]));
+
+  const lines = items
+    .map(({ produit, quantite = 1, prixUnitaire }) => ({
+      product: produit ? catalog.get((produit._id || produit).toString()) : undefined,
+      quantite,
+      prixUnitaire
+    }))
+    .filter(({ product }) => product);
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  return {
+    // Prix annoncé au client, sinon prix du catalogue
+    total: lines.reduce((sum, { product, quantite, prixUnitaire }) =>
+      sum + quantite * (prixUnitaire ?? product.prix), 0),
+    inStock: lines.every(({ product }) => product.stock > 0)
+  };
+};
+
+/**
+ * Calcule le score d'un lead
+ * @param {Object} lead - Le lead (items, message, source, createdAt)
+ * @param {Object} rules - Règles de score
+ * @param {Object} context - Données externes au lead
+ * @param {Array} context.products - Produits demandés ({ _id, prix, stock })
+ * @param {Number} context.repeatContacts - Nombre de demandes précédentes du même numéro
+ * @param {Date} context.now - Date de référence
+ * @returns {Number} Score entre 0 et 100
+ */
+const computeLeadScore = (lead, rules, { products = [], repeatContacts = 0, now = new Date() } = {}) => {
+  let score = rules.baseScore;
+  const order = summarizeItems(lead.items, products);
+
+  // Palier selon le montant total demandé ; disponibilité de tous les articles
+  if (order) {
+    const tier = [...rules.priceTiers]
+      .sort((a, b) => b.min - a.min)
+      .find(({ min }) => order.total >= min);
+
+    score += tier ? tier.points : 0;
+    score += order.inStock ? rules.inStockPoints : rules.outOfStockPoints;
+  }
+
+  const message = normalizeText(lead.message);
+
+  if (message.trim().length >= rules.messageMinLength) {
+    score += rules.messageLengthPoints;
+  }
+
+  rules.keywords.forEach(({ word, points }) => {
+    if (message.includes(normalizeText(word))) {
+      score += points;
+    }
+  });
+
+  score += Math.min(repeatContacts * rules.repeatContactPoints, rules.repeatContactMaxPoints);
+  score += rules.sourcePoints[lead.source] || 0;
+
+  const ageInDays = Math.floor((now - lead.createdAt) / (1000 * 60 * 60 * 24));
+  score -= Math.min(Math.max(ageInDays, 0) * rules.agePenaltyPerDay, rules.maxAgePenalty);
+
+  return Math.round(Math.min(Math.max(score, MIN_SCORE), MAX_SCORE));
+};
+
+/**
+ * Compte les demandes précédentes du même numéro
+ * @param {Object} lead - Le lead
+ * @returns {Promise<Number>} Leads antérieurs + doublons rattachés
+ */
+const countRepeatContacts = async (lead) => {
+  const [previousLeads, duplicates] = await Promise.all([
+    Lead.countDocuments({ tel: lead.tel, _id: { $ne: lead._id }, createdAt: { $lt: lead.createdAt } }),
+    LeadActivity.countDocuments({ lead: lead._id, type: ACTIVITY_TYPES.DUPLICATE_SUBMISSION })
+  ]);
+
+  return previousLeads + duplicates;
+};
+
+/**
+ * Recalcule et enregistre le score d'un lead
+ * @param {Object} lead - Le document Lead (articles peuplés ou non)
+ * @param {Object} rules - Règles (chargées si absentes)
+ * @returns {Promise<Number>} Nouveau score
+ */
+const refreshLeadScore = async (lead, rules) => {
+  const productIds = lead.items.map(({ produit }) => (produit && produit._id ? produit._id : produit));
+
+  const [scoringRules, products, repeatContacts] = await Promise.all([
+    rules || getScoringRules(),
+    Product.find({ _id: { $in: productIds } }).select('prix stock').lean(),
+    countRepeatContacts(lead)
+  ]);
+
+  const score = computeLeadScore(lead, scoringRules, { products, repeatContacts });
+
+  // Mise à jour directe : le score n'entre pas dans la chronologie du lead
+  await Lead.updateOne({ _id: lead._id }, { score, scoredAt: new Date() });
+  lead.score = score;
+
+  return score;
+};
+
+/**
+ * Recalcule le score de tous les leads ouverts
+ * @returns {Promise<Object>} { leads, updated }
+ */
+const refreshOpenLeadScores = async () => {
+  const rules = await getScoringRules();
+  const cursor = Lead.find({ status: { $nin: CLOSED_STATUSES }, isArchived: false })
+    .select('tel message source items score createdAt')
+    .populate('items.produit', 'prix stock')
+    .cursor({ batchSize: 200 });
+
+  let leads = 0;
+  let updates = [];
+  let updated = 0;
+
+  for await (const lead of cursor) {
+    leads++;
+
+    const score = computeLeadScore(lead, rules, {
+      products: lead.items.map(({ produit }) => produit),
+      repeatContacts: await countRepeatContacts(lead)
+    });
+
+    if (score !== lead.score) {
+      updates.push({ updateOne: { filter: { _id: lead._id }, update: { score, scoredAt: new Date() } } });
+    }
+
+    if (updates.length >= 200) {
+      updated += updates.length;
+      await Lead.bulkWrite(updates);
+      updates = [];
+    }
+  }
+
+  if (updates.length > 0) {
+    updated += updates.length;
+    await Lead.bulkWrite(updates);
+  }
+
+  return { leads, updated };
+};
+
+/**
+ * Demande un recalcul complet au prochain passage du planificateur
+ * (après une modification des règles)
+ */
+const scheduleScoreRefresh = async () => {
+  await Job.updateOne({ name: SCORES_JOB }, { nextRunAt: new Date() });
+};
+
+/**
+ * Déclare la tâche de recalcul des scores auprès du planificateur
+ */
+const registerScoringJobs = () => {
+  defineJob({
+    name: SCORES_JOB,
+    run: refreshOpenLeadScores,
+    getNextRunAt: async (now) => new Date(now.getTime() + 60 * 60 * 1000)
+  });
+};
+
+module.exports = {
+  getScoringRules,
+  computeLeadScore,
+  refreshLeadScore,
+  refreshOpenLeadScores,
+  scheduleScoreRefresh,
+  registerScoringJobs
+};
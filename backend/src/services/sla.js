@@ -0,0 +1,226 @@
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const { SLA_SETTINGS, ASSIGNMENT_SETTINGS } = require('../config/settings');
+const { LEAD_STATUSES, CLOSED_STATUSES } = require('../config/leads');
+
+/**
+ * Délais de traitement des leads (SLA)
+ *
+ * Le premier contact (« nouveau » → « contacte ») et la première conversion
+ * sont horodatés par Lead.updateStatus. Un lead dépasse le SLA lorsque l'un de
+ * ces délais excède le seuil du paramètre « sla », ou lorsqu'il attend encore
+ * au-delà de ce seuil.
+ */
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Seuils SLA complétés par les valeurs par défaut
+ * @returns {Promise<Object>} { firstContactMinutes, conversionDays }
+ */
+const getSlaSettings = () => Setting.getValue(SLA_SETTINGS.key, SLA_SETTINGS.defaults);
+
+/**
+ * Délais et dépassements SLA d'un lead
+ * @param {Object} lead - Le lead (status, createdAt, firstContactedAt, convertedAt)
+ * @param {Object} settings - Seuils SLA
+ * @param {Date} now - Date de référence
+ * @returns {Object} { firstContactMinutes, conversionMinutes, firstContactBreached, conversionBreached, breached }
+ */
+const getLeadSla = (lead, settings, now = new Date()) => {
+  const minutesSince = (date) => Math.round((date - lead.createdAt) / MINUTE);
+  const waitingMinutes = minutesSince(now);
+  const conversionLimit = settings.conversionDays * 24 * 60;
+
+  const firstContactMinutes = lead.firstContactedAt ? minutesSince(lead.firstContactedAt) : null;
+  const conversionMinutes = lead.convertedAt ? minutesSince(lead.convertedAt) : null;
+
+  // Sans horodatage, seul un lead encore en attente peut dépasser le délai
+  const firstContactBreached = firstContactMinutes !== null
+    ? firstContactMinutes > settings.firstContactMinutes
+    : lead.status === LEAD_STATUSES.NEW && waitingMinutes > settings.firstContactMinutes;
+
+  const conversionBreached = conversionMinutes !== null
+    ? conversionMinutes > conversionLimit
+    : !CLOSED_STATUSES.includes(lead.status) && waitingMinutes > conversionLimit;
+
+  return {
+    firstContactMinutes,
+    conversionMinutes,
+    firstContactBreached,
+    conversionBreached,
+    breached: firstContactBreached || conversionBreached
+  };
+};
+
+/**
+ * Requête des leads dépassant le SLA (mêmes règles que getLeadSla)
+ * @param {Object} settings - Seuils SLA
+ * @param {Date} now - Date de référence
+ * @returns {Object} Condition Mongoose
+ */
+const buildSlaBreachQuery = (settings, now = new Date()) => {
+  const firstContactLimit = settings.firstContactMinutes * MINUTE;
+  const conversionLimit = settings.conversionDays * 24 * 60 * MINUTE;
+  const exceeds = (field, limit) => ({ $expr: { $gt: [{ $subtract: [`$${field}`, '$createdAt'] }, limit] } });
+
+  return {
+    $or: [
+      {
+        status: LEAD_STATUSES.NEW,
+        firstContactedAt: { $exists: false },
+        createdAt: { $lt: new Date(now.getTime() - firstContactLimit) }
+      },
+      exceeds('firstContactedAt', firstContactLimit),
+      {
+        status: { $nin: CLOSED_STATUSES },
+        convertedAt: { $exists: false },
+        createdAt: { $lt: new Date(now.getTime() - conversionLimit) }
+      },
+      exceeds('convertedAt', conversionLimit)
+    ]
+  };
+};
+
+/**
+ * Percentile par interpolation linéaire
+ * @param {Array<Number>} sorted - Valeurs triées par ordre croissant
+ * @param {Number} p - Percentile entre 0 et 1
+ * @returns {Number|null} Valeur arrondie, null sans valeurs
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) {
+    return null;
+  }
+
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+
+  return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower));
+};
+
+/**
+ * Médiane, p90 et dépassements d'une série de délais
+ * @param {Array<Number>} durations - Délais en minutes
+ * @param {Number} limit - Seuil SLA en minutes
+ * @returns {Object} { count, median, p90, breached }
+ */
+const summarize = (durations, limit) => {
+  const sorted = [...durations].sort((a, b) => a - b);
+
+  return {
+    count: sorted.length,
+    median: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+    breached: sorted.filter((duration) => duration > limit).length
+  };
+};
+
+/**
+ * Regroupe les délais par clé puis les résume
+ * @param {Array} leads - Leads projetés
+ * @param {String} metric - Délai à résumer (firstContact ou conversion)
+ * @param {String} key - Clé de regroupement (agent ou day)
+ * @param {Number} limit - Seuil SLA en minutes
+ * @returns {Array} [{ key, count, median, p90, breached }]
+ */
+const summarizeBy = (leads, metric, key, limit) => {
+  const groups = new Map();
+
+  leads
+    .filter((lead) => lead[metric] !== null)
+    .forEach((lead) => {
+      const group = lead[key] ? lead[key].toString() : null;
+      if (!groups.has(group)) {
+        groups.set(group, []);
+      }
+      groups.get(group).push(lead[metric]);
+    });
+
+  return [...groups].map(([group, durations]) => ({ key: group, ...summarize(durations, limit) }));
+};
+
+/**
+ * Délais de premier contact et de conversion (médiane et p90, en minutes)
+ * par agent assigné et par jour de création des leads
+ * @param {Object} options - Options
+ * @param {Date} options.since - Début de la période (date de création des leads)
+ * @returns {Promise<Object>} { since, thresholds, firstContact, conversion }
+ */
+const getResponseTimeStats = async ({ since }) => {
+  const [settings, { timezone }] = await Promise.all([
+    getSlaSettings(),
+    Setting.getValue(ASSIGNMENT_SETTINGS.key, ASSIGNMENT_SETTINGS.defaults)
+  ]);
+
+  const minutesTo = (field) => ({
+    $cond: [
+      { $ifNull: [`$${field}`, false] },
+      { $round: [{ $divide: [{ $subtract: [`$${field}`, '$createdAt'] }, MINUTE] }] },
+      null
+    ]
+  });
+
+  const leads = await Lead.aggregate([
+    {
+      $match: {
+        isArchived: false,
+        createdAt: { $gte: since },
+        $or: [{ firstContactedAt: { $exists: true } }, { convertedAt: { $exists: true } }]
+      }
+    },
+    {
+      $project: {
+        agent: '$assignedTo',
+        // Jour local de création (fuseau des horaires des agents)
+        day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone } },
+        firstContact: minutesTo('firstContactedAt'),
+        conversion: minutesTo('convertedAt')
+      }
+    }
+  ]);
+
+  const agentIds = [...new Set(leads.filter((lead) => lead.agent).map((lead) => lead.agent.toString()))];
+  const agents = new Map(
+    (await User.find({ _id: { $in: agentIds } }).select('name email').lean())
+      .map((user) => [user._id.toString(), user])
+  );
+
+  const limits = {
+    firstContact: settings.firstContactMinutes,
+    conversion: settings.conversionDays * 24 * 60
+  };
+
+  const report = (metric) => {
+    const limit = limits[metric];
+
+    return {
+      overall: summarize(leads.map((lead) => lead[metric]).filter((value) => value !== null), limit),
+      // Leads non assignés regroupés sous agent: null
+      byAgent: summarizeBy(leads, metric, 'agent', limit)
+        .map(({ key, ...stats }) => ({ agent: key ? agents.get(key) || { _id: key } : null, ...stats }))
+        .sort((a, b) => b.count - a.count),
+      byDay: summarizeBy(leads, metric, 'day', limit)
+        .map(({ key, ...stats }) => ({ date: key, ...stats }))
+        .sort((a, b) => a.date.localeCompare(b.date))
+    };
+  };
+
+  return {
+    since,
+    unit: 'minutes',
+    thresholds: settings,
+    firstContact: report('firstContact'),
+    conversion: report('conversion')
+  };
+};
+
+module.exports = {
+  getSlaSettings,
+  getLeadSla,
+  buildSlaBreachQuery,
+  percentile,
+  getResponseTimeStats
+};
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Service d'envoi de SMS
+ *
+ * Le fournisseur est interchangeable : en développement, le fournisseur
+ * « log » se contente d'afficher et de journaliser les messages. Un
+ * fournisseur réel (agrégateur SMS, Twilio...) peut être enregistré avec
+ * registerProvider().
+ */
+
+/**
+ * Fournisseur « log » : affiche le SMS et l'ajoute au fichier de log
+ */
+const logProvider = {
+  send: async (message) => {
+    console.log(`📱 SMS pour ${message.to}: ${message.text}`);
+
+    const filePath = process.env.SMS_LOG_FILE || path.join(process.cwd(), 'logs', 'sms.log');
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n'
+    );
+  }
+};
+
+const providers = {
+  log: logProvider
+};
+
+/**
+ * Enregistre un fournisseur SMS personnalisé
+ * @param {String} name - Nom du fournisseur (valeur de SMS_PROVIDER)
+ * @param {Object} provider - Objet exposant send(message): Promise
+ */
+const registerProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`Fournisseur SMS invalide: ${name}`);
+  }
+  providers[name] = provider;
+};
+
+/**
+ * Retourne le fournisseur configuré
+ * @returns {Object} Fournisseur
+ */
+const getProvider = () => {
+  const name = process.env.SMS_PROVIDER || 'log';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Fournisseur SMS inconnu: ${name}`);
+  }
+
+  return provider;
+};
+
+/**
+ * Envoie un SMS
+ * @param {Object} message - Le message
+ * @param {String} message.to - Numéro du destinataire
+ * @param {String} message.text - Contenu du SMS
+ * @returns {Promise}
+ */
+const sendSms = (message) => {
+  return getProvider().send(message);
+};
+
+module.exports = {
+  registerProvider,
+  sendSms
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+/**
+ * Génère un token aléatoire (à transmettre à l'utilisateur)
+ * @param {Number} bytes - Nombre d'octets aléatoires
+ * @returns {String} Token hexadécimal
+ */
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hache un token avant stockage en base
+ * @param {String} token - Le token en clair
+ * @returns {String} Empreinte SHA-256 hexadécimale
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Calcule une empreinte HMAC d'une valeur à faible entropie (code OTP...)
+ * La clé secrète empêche de retrouver la valeur par force brute depuis la base
+ * @param {String} value - La valeur en clair
+ * @returns {String} Empreinte HMAC-SHA256 hexadécimale
+ */
+const hmacToken = (value) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(String(value)).digest('hex');
+};
+
+/**
+ * Génère un code numérique aléatoire
+ * @param {Number} digits - Nombre de chiffres
+ * @returns {String} Code
+ */
+const generateNumericCode = (digits = 6) => {
+  return String(crypto.randomInt(0, 10 ** digits)).padStart(digits, '0');
+};
+
+/**
+ * Compare deux chaînes en temps constant
+ * @param {String} a - Première chaîne
+ * @param {String} b - Seconde chaîne
+ * @returns {Boolean} True si identiques
+ */
+const safeCompare = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken,
+  hmacToken,
+  generateNumericCode,
+  safeCompare
+};
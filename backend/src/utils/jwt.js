@@ -1,24 +1,34 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
+/**
+ * Secret utilisé pour signer les refresh tokens
+ * @returns {String} Secret
+ */
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET + '_refresh';
+
 /**
  * Génère un token JWT pour un utilisateur
  * @param {Object} user - L'objet utilisateur
+ * @param {String} sessionId - ID de la session (jti du token)
  * @returns {String} Token JWT
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
   const payload = {
     id: user._id,
     email: user.email,
-    role: user.role
+    role: user.role,
+    ver: user.tokenVersion
   };
 
   return jwt.sign(
     payload,
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
       issuer: 'mireb-api',
-      audience: 'mireb-app'
+      audience: 'mireb-app',
+      jwtid: sessionId.toString()
     }
   );
 };
@@ -80,32 +90,154 @@ const extractTokenFromHeader = (authHeader) => {
 };
 
 /**
- * Génère un token de refresh (pour une implémentation future)
+ * Génère un token de refresh
  * @param {Object} user - L'objet utilisateur
+ * @param {Object} options - Identifiants du token
+ * @param {String} options.jti - Identifiant unique du token (stocké côté serveur)
+ * @param {String} options.family - Famille de rotation du token
  * @returns {String} Refresh token
  */
-const generateRefreshToken = (user) => {
+const generateRefreshToken = (user, { jti, family }) => {
   const payload = {
     id: user._id,
-    type: 'refresh'
+    type: 'refresh',
+    ver: user.tokenVersion,
+    family
   };
 
   return jwt.sign(
     payload,
-    process.env.JWT_SECRET + '_refresh',
+    getRefreshSecret(),
     {
-      expiresIn: '30d',
+      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
+      issuer: 'mireb-api',
+      audience: 'mireb-app',
+      jwtid: jti
+    }
+  );
+};
+
+/**
+ * Vérifie et décode un refresh token
+ * @param {String} token - Le refresh token à vérifier
+ * @returns {Object} Payload décodé
+ */
+const verifyRefreshToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getRefreshSecret(), {
       issuer: 'mireb-api',
       audience: 'mireb-app'
+    });
+  } catch (error) {
+    throw new Error('Refresh token invalide');
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.jti) {
+    throw new Error('Refresh token invalide');
+  }
+
+  return decoded;
+};
+
+/**
+ * Génère un token de challenge pour la seconde étape de connexion (2FA)
+ * @param {Object} user - L'objet utilisateur
+ * @returns {String} Challenge token (courte durée)
+ */
+const generateTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { id: user._id, type: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: '5m',
+      issuer: 'mireb-api',
+      audience: 'mireb-2fa'
     }
   );
 };
 
+/**
+ * Vérifie un token de challenge 2FA
+ * @param {String} token - Le challenge token
+ * @returns {Object} Payload décodé
+ */
+const verifyTwoFactorChallenge = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: 'mireb-api',
+      audience: 'mireb-2fa'
+    });
+  } catch (error) {
+    throw new Error('Challenge invalide ou expiré');
+  }
+
+  if (decoded.type !== '2fa_challenge') {
+    throw new Error('Challenge invalide ou expiré');
+  }
+
+  return decoded;
+};
+
+/**
+ * Génère un token JWT pour un client identifié par son téléphone (OTP)
+ * L'audience distincte empêche son utilisation sur les routes du back-office
+ * @param {String} tel - Numéro de téléphone vérifié
+ * @returns {String} Token JWT client
+ */
+const generateCustomerToken = (tel) => {
+  return jwt.sign(
+    { tel, type: 'customer' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.CUSTOMER_JWT_EXPIRES_IN || '7d',
+      issuer: 'mireb-api',
+      audience: 'mireb-customer'
+    }
+  );
+};
+
+/**
+ * Vérifie un token JWT client
+ * @param {String} token - Le token client
+ * @returns {Object} Payload décodé
+ */
+const verifyCustomerToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: 'mireb-api',
+      audience: 'mireb-customer'
+    });
+  } catch (error) {
+    throw new Error('Token invalide');
+  }
+
+  if (decoded.type !== 'customer' || !decoded.tel) {
+    throw new Error('Token invalide');
+  }
+
+  return decoded;
+};
+
+/**
+ * Génère un identifiant aléatoire pour les tokens (jti, famille)
+ * @returns {String} Identifiant hexadécimal
+ */
+const generateTokenId = () => crypto.randomBytes(16).toString('hex');
+
 module.exports = {
   generateToken,
   verifyToken,
   decodeToken,
   isTokenExpired,
   extractTokenFromHeader,
-  generateRefreshToken
+  generateRefreshToken,
+  verifyRefreshToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  generateCustomerToken,
+  verifyCustomerToken,
+  generateTokenId
 };
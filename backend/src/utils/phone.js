@@ -0,0 +1,160 @@
+/**
+ * Normalisation des numéros de téléphone au format E.164
+ *
+ * Les numéros locaux (commençant par 0) sont interprétés dans le pays par
+ * défaut (PHONE_DEFAULT_COUNTRY, RD Congo par défaut). Pour les pays connus,
+ * la longueur et le préfixe opérateur sont vérifiés ; les autres numéros
+ * internationaux sont acceptés s'ils respectent le format E.164.
+ */
+
+const COUNTRIES = {
+  CD: {
+    name: 'RD Congo',
+    callingCode: '243',
+    trunkPrefix: '0',
+    nationalLength: 9,
+    carriers: {
+      Vodacom: ['81', '82', '83'],
+      Orange: ['80', '84', '85', '89'],
+      Airtel: ['97', '98', '99'],
+      Africell: ['90', '91']
+    }
+  }
+};
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Pays utilisé pour les numéros saisis sans indicatif
+ * @returns {String} Code pays ISO (ex: CD)
+ */
+const getDefaultCountry = () => {
+  const code = (process.env.PHONE_DEFAULT_COUNTRY || 'CD').toUpperCase();
+  return COUNTRIES[code] ? code : 'CD';
+};
+
+/**
+ * Retourne l'opérateur correspondant au numéro national
+ * @param {Object} country - Configuration du pays
+ * @param {String} national - Numéro national (sans indicatif ni 0)
+ * @returns {String|null} Nom de l'opérateur
+ */
+const findCarrier = (country, national) => {
+  const entry = Object.entries(country.carriers)
+    .find(([, prefixes]) => prefixes.some(prefix => national.startsWith(prefix)));
+
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Analyse un numéro de téléphone
+ * @param {String} value - Numéro saisi (tous formats)
+ * @param {Object} options - Options
+ * @param {String} options.defaultCountry - Code pays pour les numéros locaux
+ * @returns {Object|null} { e164, country, carrier } ou null si invalide
+ */
+const parsePhone = (value, { defaultCountry = getDefaultCountry() } = {}) => {
+  let cleaned = String(value || '').trim().replace(/[\s\-\(\)\.\/]/g, '');
+
+  if (cleaned.startsWith('00')) {
+    cleaned = `+${cleaned.slice(2)}`;
+  }
+
+  if (!/^\+?\d+$/.test(cleaned)) {
+    return null;
+  }
+
+  let countryCode = null;
+  let national = null;
+
+  if (cleaned.startsWith('+')) {
+    const digits = cleaned.slice(1);
+    countryCode = Object.keys(COUNTRIES)
+      .find(code => digits.startsWith(COUNTRIES[code].callingCode)) || null;
+
+    if (!countryCode) {
+      // Pays non configuré : seul le format E.164 est vérifié
+      return E164_PATTERN.test(cleaned) ? { e164: cleaned, country: null, carrier: null } : null;
+    }
+
+    national = digits.slice(COUNTRIES[countryCode].callingCode.length);
+  } else {
+    const country = COUNTRIES[defaultCountry];
+    countryCode = defaultCountry;
+
+    if (cleaned.startsWith(country.trunkPrefix) && cleaned.length === country.nationalLength + 1) {
+      // Format local : 0812345678
+      national = cleaned.slice(country.trunkPrefix.length);
+    } else if (cleaned.startsWith(country.callingCode) &&
+      cleaned.length === country.callingCode.length + country.nationalLength) {
+      // Indicatif sans + : 243812345678
+      national = cleaned.slice(country.callingCode.length);
+    } else {
+      // Numéro national sans 0 : 812345678
+      national = cleaned;
+    }
+  }
+
+  const country = COUNTRIES[countryCode];
+
+  // Le 0 national est parfois conservé après l'indicatif : +2430812345678
+  if (national.length === country.nationalLength + 1 && national.startsWith(country.trunkPrefix)) {
+    national = national.slice(country.trunkPrefix.length);
+  }
+
+  if (national.length !== country.nationalLength) {
+    return null;
+  }
+
+  const carrier = findCarrier(country, national);
+  if (!carrier) {
+    return null;
+  }
+
+  return {
+    e164: `+${country.callingCode}${national}`,
+    country: countryCode,
+    carrier
+  };
+};
+
+/**
+ * Normalise un numéro au format E.164
+ * @param {String} value - Numéro saisi
+ * @returns {String|null} Numéro E.164 (ex: +243812345678) ou null si invalide
+ */
+const normalizePhone = (value) => {
+  const parsed = parsePhone(value);
+  return parsed ? parsed.e164 : null;
+};
+
+/**
+ * Vérifie qu'un numéro est valide
+ * @param {String} value - Numéro saisi
+ * @returns {Boolean} True si le numéro peut être normalisé
+ */
+const isValidPhone = (value) => parsePhone(value) !== null;
+
+/**
+ * Prépare une recherche partielle par numéro (chiffres sans 0 initial)
+ * @param {String} value - Terme de recherche
+ * @returns {String|null} Chiffres à rechercher, ou null si ce n'est pas un numéro
+ */
+const toPhoneSearchDigits = (value) => {
+  const input = String(value || '').trim();
+
+  if (!/^[\d\s\-\(\)\.\+]+$/.test(input)) {
+    return null;
+  }
+
+  const digits = input.replace(/\D/g, '').replace(/^0+/, '');
+  return digits.length >= 3 ? digits : null;
+};
+
+module.exports = {
+  COUNTRIES,
+  parsePhone,
+  normalizePhone,
+  isValidPhone,
+  toPhoneSearchDigits
+};
@@ -163,6 +163,18 @@ const asyncHandler = (fn) => {
 const sanitizeUser = (user) => {
   const userObj = user.toObject ? user.toObject() : user;
   delete userObj.password;
+  delete userObj.tokenVersion;
+  delete userObj.failedLoginAttempts;
+  delete userObj.lockCount;
+  delete userObj.lockUntil;
+  delete userObj.twoFactorSecret;
+  delete userObj.twoFactorPendingSecret;
+  delete userObj.twoFactorRecoveryCodes;
+  delete userObj.twoFactorLastUsedStep;
+  delete userObj.passwordResetToken;
+  delete userObj.passwordResetExpires;
+  delete userObj.emailVerificationToken;
+  delete userObj.emailVerificationExpires;
   delete userObj.__v;
   return userObj;
 };
@@ -33,7 +33,8 @@ const seedAdmin = async () => {
       email: 'mirebcommercial@gmail.com',
       password: 'Fiacre-19',
       role: 'admin',
-      isActive: true
+      isActive: true,
+      emailVerified: true
     });
 
     console.log('✅ Administrateur créé:', admin.email);
@@ -0,0 +1,63 @@
+/**
+ * Utilitaires de dates dans un fuseau horaire donné
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Heure locale dans un fuseau horaire
+ * @param {Date} date - Date de référence
+ * @param {String} timezone - Fuseau IANA (ex: Africa/Kinshasa)
+ * @returns {Object} { day (0 = dimanche), minutes (depuis minuit) }
+ */
+const getLocalTime = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+
+  return {
+    day: WEEKDAYS.indexOf(get('weekday')),
+    minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+  };
+};
+
+/**
+ * Prochaine occurrence d'une heure locale (ex: tous les jours à 7h)
+ * @param {Date} from - Date de référence
+ * @param {Number} hour - Heure locale (0-23)
+ * @param {String} timezone - Fuseau IANA
+ * @returns {Date} Prochaine occurrence, strictement après from
+ */
+const getNextLocalTime = (from, hour, timezone) => {
+  const { minutes } = getLocalTime(from, timezone);
+  let delta = hour * 60 - minutes;
+
+  if (delta <= 0) {
+    delta += MINUTES_PER_DAY;
+  }
+
+  const next = new Date(from.getTime() + delta * 60 * 1000);
+  next.setSeconds(0, 0);
+  return next;
+};
+
+/**
+ * Fin de la journée locale en cours
+ * @param {Date} from - Date de référence
+ * @param {String} timezone - Fuseau IANA
+ * @returns {Date} Minuit local suivant
+ */
+const getEndOfLocalDay = (from, timezone) => getNextLocalTime(from, 0, timezone);
+
+module.exports = {
+  getLocalTime,
+  getNextLocalTime,
+  getEndOfLocalDay
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+
+/**
+ * Utilitaires TOTP (RFC 6238) pour la double authentification
+ * Compatible avec Google Authenticator, Authy, Microsoft Authenticator...
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // secondes
+
+/**
+ * Encode un buffer en base32 (RFC 4648, sans padding)
+ * @param {Buffer} buffer - Données à encoder
+ * @returns {String} Chaîne base32
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Décode une chaîne base32 en buffer
+ * @param {String} input - Chaîne base32
+ * @returns {Buffer} Données décodées
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secret base32 invalide');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Génère un secret TOTP aléatoire (160 bits)
+ * @returns {String} Secret encodé en base32
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Calcule le code TOTP pour un pas de temps donné (HOTP, RFC 4226)
+ * @param {String} secret - Secret base32
+ * @param {Number} step - Compteur (pas de temps)
+ * @returns {String} Code à 6 chiffres
+ */
+const generateCodeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Retourne le pas de temps courant
+ * @param {Number} timestamp - Horodatage en millisecondes
+ * @returns {Number} Pas de temps
+ */
+const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+};
+
+/**
+ * Vérifie un code TOTP avec une tolérance de décalage d'horloge
+ * @param {String} secret - Secret base32
+ * @param {String} code - Code saisi par l'utilisateur
+ * @param {Object} options - Options
+ * @param {Number} options.window - Nombre de pas tolérés avant/après
+ * @param {Number} options.lastUsedStep - Dernier pas accepté (anti-rejeu)
+ * @returns {Number|null} Pas de temps accepté, ou null si invalide
+ */
+const verifyCode = (secret, code, { window = 1, lastUsedStep = -1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getTimeStep();
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    if (step <= lastUsedStep) continue;
+
+    const expected = generateCodeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Construit l'URI otpauth:// à encoder en QR code
+ * @param {Object} params - Paramètres
+ * @param {String} params.secret - Secret base32
+ * @param {String} params.label - Identifiant du compte (email)
+ * @param {String} params.issuer - Émetteur affiché dans l'application
+ * @returns {String} URI otpauth
+ */
+const buildOtpauthUri = ({ secret, label, issuer = 'Mireb Commercial' }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(label)}?${params.toString()}`;
+};
+
+/**
+ * Génère des codes de récupération à usage unique
+ * @param {Number} count - Nombre de codes
+ * @returns {Array<String>} Codes au format xxxxx-xxxxx
+ */
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCodeForStep,
+  getTimeStep,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes
+};
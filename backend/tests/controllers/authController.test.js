@@ -0,0 +1,131 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const RefreshToken = require('../../src/models/RefreshToken');
+const LoginHistory = require('../../src/models/LoginHistory');
+const { hashToken } = require('../../src/utils/crypto');
+const { generateTwoFactorChallenge } = require('../../src/utils/jwt');
+const { forgotPassword, loginWithTwoFactor, disableTwoFactor } = require('../../src/controllers/authController');
+const { callHandler } = require('../helpers/express');
+
+// Requête Mongoose simulée : chaînable (select) et awaitable
+const query = (value) => ({
+  select: () => query(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+describe('controllers/auth', () => {
+  const originalTransport = process.env.NOTIFICATION_TRANSPORT;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (originalTransport === undefined) {
+      delete process.env.NOTIFICATION_TRANSPORT;
+    } else {
+      process.env.NOTIFICATION_TRANSPORT = originalTransport;
+    }
+  });
+
+  describe('forgotPassword', () => {
+    const user = new User({ name: 'Agent', email: 'agent@mireb.com', password: 'secret123' });
+
+    beforeEach(() => {
+      jest.spyOn(user, 'save').mockResolvedValue(user);
+    });
+
+    it('répond de la même façon que le compte existe ou non, même si l\'envoi échoue', async () => {
+      process.env.NOTIFICATION_TRANSPORT = 'inconnu';
+
+      jest.spyOn(User, 'findOne').mockResolvedValueOnce(user).mockResolvedValueOnce(null);
+
+      const existing = await callHandler(forgotPassword, { body: { email: 'agent@mireb.com' } });
+      const unknown = await callHandler(forgotPassword, { body: { email: 'inconnu@mireb.com' } });
+
+      // Seul l'horodatage de la réponse peut différer
+      const withoutTimestamp = ({ statusCode, body: { timestamp, ...body } }) => ({ statusCode, body });
+      expect(withoutTimestamp(existing)).toEqual(withoutTimestamp(unknown));
+      expect(existing.statusCode).toBe(200);
+      expect(user.passwordResetToken).toBeDefined();
+    });
+  });
+
+  describe('double authentification', () => {
+    // Codes de récupération enregistrés, modifiés uniquement via User.updateOne
+    let storedCodes;
+    const userId = new mongoose.Types.ObjectId();
+
+    // Chaque requête charge son propre document
+    const loadUser = () => User.hydrate({
+      _id: userId,
+      name: 'Agent',
+      email: 'agent@mireb.com',
+      password: 'hash',
+      role: 'agent',
+      isActive: true,
+      twoFactorEnabled: true,
+      twoFactorSecret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ',
+      twoFactorLastUsedStep: 0,
+      twoFactorRecoveryCodes: [...storedCodes]
+    });
+
+    beforeEach(() => {
+      storedCodes = [hashToken('aaaaa-11111'), hashToken('bbbbb-22222')];
+
+      jest.spyOn(User, 'findById').mockImplementation(() => query(loadUser()));
+      jest.spyOn(User, 'updateOne').mockImplementation(async (filter, { $pull }) => {
+        await new Promise(setImmediate);
+
+        const hashed = $pull.twoFactorRecoveryCodes;
+        if (!storedCodes.includes(hashed)) return { modifiedCount: 0 };
+        storedCodes = storedCodes.filter((hash) => hash !== hashed);
+        return { modifiedCount: 1 };
+      });
+      jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(User.prototype, 'registerFailedLogin').mockResolvedValue(null);
+      jest.spyOn(User.prototype, 'comparePassword').mockResolvedValue(true);
+      jest.spyOn(Session, 'start').mockImplementation(async () => ({
+        _id: new mongoose.Types.ObjectId(),
+        save: jest.fn().mockResolvedValue()
+      }));
+      jest.spyOn(RefreshToken, 'issue').mockResolvedValue(jwt.sign({}, 'refresh', { expiresIn: '1d' }));
+      jest.spyOn(LoginHistory, 'record').mockResolvedValue({ suspicious: false });
+    });
+
+    it('n\'ouvre qu\'une session pour un code de récupération envoyé deux fois simultanément', async () => {
+      const body = { challengeToken: generateTwoFactorChallenge({ _id: userId }), recoveryCode: 'aaaaa-11111' };
+
+      const responses = await Promise.all([
+        callHandler(loginWithTwoFactor, { body }),
+        callHandler(loginWithTwoFactor, { body })
+      ]);
+
+      expect(responses.map(({ statusCode }) => statusCode).sort()).toEqual([200, 401]);
+      expect(responses.find(({ statusCode }) => statusCode === 200).body.data.remainingRecoveryCodes).toBe(1);
+      expect(Session.start).toHaveBeenCalledTimes(1);
+      expect(User.prototype.registerFailedLogin).toHaveBeenCalledTimes(1);
+      expect(storedCodes).toEqual([hashToken('bbbbb-22222')]);
+    });
+
+    it('refuse de désactiver la 2FA avec un code de récupération déjà consommé', async () => {
+      const body = { password: 'secret123', recoveryCode: 'aaaaa-11111' };
+      const req = { body, user: { _id: userId } };
+
+      const responses = await Promise.all([
+        callHandler(disableTwoFactor, req),
+        callHandler(disableTwoFactor, req)
+      ]);
+
+      expect(responses.map(({ statusCode }) => statusCode).sort()).toEqual([200, 400]);
+      expect(User.prototype.save).toHaveBeenCalledTimes(1);
+    });
+  });
+});
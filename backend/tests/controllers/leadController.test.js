@@ -0,0 +1,148 @@
+jest.mock('../../src/services/leadExport', () => ({
+  ...jest.requireActual('../../src/services/leadExport'),
+  streamLeadsExport: jest.fn(async (res) => {
+    res.end();
+    return 0;
+  })
+}));
+
+jest.mock('../../src/services/scoring');
+
+const mongoose = require('mongoose');
+const Lead = require('../../src/models/Lead');
+const LeadActivity = require('../../src/models/LeadActivity');
+const Setting = require('../../src/models/Setting');
+const { SLA_SETTINGS } = require('../../src/config/settings');
+const { getAllLeads, exportLeads, mergeLeads } = require('../../src/controllers/leadController');
+const { validateLeadQuery, validateLeadExport } = require('../../src/middleware/validation');
+const { callHandler } = require('../helpers/express');
+
+// Requête Mongoose simulée : chaînable et awaitable
+const chain = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  ['sort', 'limit', 'skip', 'populate', 'select'].forEach((method) => {
+    query[method] = () => query;
+  });
+  query.cursor = () => value;
+  return query;
+};
+
+/**
+ * Applique une chaîne de validation puis le contrôleur
+ * @param {Array} validators - Middlewares express-validator (dernier : handleValidationErrors)
+ * @param {Function} handler - Contrôleur
+ * @param {Object} req - Requête simulée
+ */
+const callWithValidation = async (validators, handler, req) => {
+  const request = { body: {}, params: {}, headers: {}, ...req };
+  await Promise.all(validators.slice(0, -1).map((validator) => validator.run(request)));
+  return callHandler(handler, request);
+};
+
+describe('controllers/lead', () => {
+  beforeEach(() => {
+    jest.spyOn(Setting, 'getValue').mockResolvedValue(SLA_SETTINGS.defaults);
+    jest.spyOn(Lead, 'find').mockReturnValue(chain([]));
+    jest.spyOn(Lead, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('filtre slaBreached', () => {
+    beforeEach(() => {
+      // Même date de référence pour la liste et l'export
+      jest.useFakeTimers({ now: new Date('2026-03-10T12:00:00Z') });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it.each(['true', 'false'])('applique slaBreached=%s à la liste et à l\'export', async (value) => {
+      const filters = { slaBreached: value, search: 'Jean' };
+
+      await callWithValidation(validateLeadQuery, getAllLeads, { query: { ...filters } });
+      await callWithValidation(validateLeadExport, exportLeads, { query: { ...filters } });
+
+      const [[listQuery], [exportQuery]] = Lead.find.mock.calls;
+      const [condition] = listQuery.$and;
+
+      expect(value === 'true' ? condition.$or : condition.$nor).toBeDefined();
+      // La recherche ($or) n'est pas écrasée par le filtre SLA
+      expect(listQuery.$or).toBeDefined();
+      expect(exportQuery).toEqual(listQuery);
+    });
+
+    it('ignore le filtre lorsqu\'il est absent', async () => {
+      await callWithValidation(validateLeadExport, exportLeads, { query: {} });
+
+      expect(Lead.find.mock.calls[0][0]).toEqual({ isArchived: false });
+    });
+  });
+
+  describe('mergeLeads', () => {
+    const productId = new mongoose.Types.ObjectId();
+    const followUpDate = new Date('2026-03-12T09:00:00Z');
+
+    const buildLead = (fields) => Lead.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      nom: 'Jean Mukendi',
+      tel: '+243812345678',
+      status: 'nouveau',
+      isArchived: false,
+      items: [{ produit: productId, quantite: 1 }],
+      createdAt: new Date('2026-03-01T09:00:00Z'),
+      ...fields
+    });
+
+    const merge = async (target, source) => {
+      jest.spyOn(Lead, 'findOne')
+        .mockResolvedValueOnce(target)
+        .mockResolvedValueOnce(source);
+      jest.spyOn(Lead, 'findById').mockReturnValue(chain(target));
+      jest.spyOn(Lead.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(LeadActivity, 'updateMany').mockResolvedValue({});
+      jest.spyOn(LeadActivity, 'record').mockResolvedValue({});
+
+      return callHandler(mergeLeads, {
+        body: { targetId: target._id.toString(), sourceId: source._id.toString() },
+        user: { _id: new mongoose.Types.ObjectId() }
+      });
+    };
+
+    it('réarme les rappels lorsque la date de suivi est reprise du lead fusionné', async () => {
+      // Rappel et escalade d'un ancien suivi du lead principal, déjà terminé
+      const target = buildLead({
+        followUpReminderSentAt: new Date('2026-03-05T09:00:00Z'),
+        followUpEscalatedAt: new Date('2026-03-06T09:00:00Z')
+      });
+      const source = buildLead({ followUpDate, followUpReminderSentAt: new Date('2026-03-11T09:00:00Z') });
+
+      const { statusCode } = await merge(target, source);
+
+      expect(statusCode).toBe(200);
+      expect(target.followUpDate).toEqual(followUpDate);
+      expect(target.followUpReminderSentAt).toBeUndefined();
+      expect(target.followUpEscalatedAt).toBeUndefined();
+      expect(source.mergedInto).toEqual(target._id);
+    });
+
+    it('conserve le suivi du lead principal et ses rappels', async () => {
+      const reminderSentAt = new Date('2026-03-09T09:00:00Z');
+      const target = buildLead({ followUpDate: new Date('2026-03-10T09:00:00Z'), followUpReminderSentAt: reminderSentAt });
+      const source = buildLead({ followUpDate });
+
+      await merge(target, source);
+
+      expect(target.followUpDate).toEqual(new Date('2026-03-10T09:00:00Z'));
+      expect(target.followUpReminderSentAt).toEqual(reminderSentAt);
+    });
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Appelle un contrôleur Express avec une requête simulée
+ * @param {Function} handler - Contrôleur (enveloppé par asyncHandler)
+ * @param {Object} req - Requête simulée ({ body, params, query, user... })
+ * @returns {Promise<Object>} { statusCode, body } (body absent pour une réponse terminée par end)
+ * ou { error } si next(error) est appelé
+ */
+const callHandler = (handler, req = {}) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body });
+      return this;
+    },
+    end() {
+      resolve({ statusCode: this.statusCode });
+      return this;
+    }
+  };
+
+  handler({ body: {}, params: {}, query: {}, headers: {}, ...req }, res, (error) => resolve({ error }));
+});
+
+module.exports = { callHandler };
@@ -0,0 +1,96 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const OtpCode = require('../../src/models/OtpCode');
+const { hmacToken } = require('../../src/utils/crypto');
+
+describe('models/OtpCode', () => {
+  describe('verify', () => {
+    const tel = '+243812345678';
+    const code = '123456';
+    // Code enregistré simulé, modifié uniquement via les mises à jour conditionnelles
+    let stored;
+
+    const isOpen = () => !stored.consumedAt && stored.expiresAt > new Date();
+
+    beforeEach(() => {
+      stored = {
+        _id: new mongoose.Types.ObjectId(),
+        codeHash: hmacToken(`${tel}:${code}`),
+        attempts: 0,
+        consumedAt: null,
+        expiresAt: new Date(Date.now() + 5 * 60 * 1000)
+      };
+
+      jest.spyOn(OtpCode, 'findOne').mockImplementation(() => ({
+        sort: () => ({ select: async () => (isOpen() ? { _id: stored._id } : null) })
+      }));
+
+      jest.spyOn(OtpCode, 'findOneAndUpdate').mockImplementation((filter) => ({
+        select: async () => {
+          await new Promise(setImmediate);
+
+          if (!isOpen() || stored.attempts >= filter.attempts.$lt) return null;
+          stored.attempts++;
+          return { ...stored };
+        }
+      }));
+
+      jest.spyOn(OtpCode, 'exists').mockImplementation(async (filter) => (
+        stored.attempts >= filter.attempts.$gte ? { _id: stored._id } : null
+      ));
+
+      jest.spyOn(OtpCode, 'updateOne').mockImplementation(async (filter, update) => {
+        await new Promise(setImmediate);
+
+        if (stored.consumedAt) return { modifiedCount: 0 };
+        stored.consumedAt = update.consumedAt;
+        return { modifiedCount: 1 };
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('accepte le bon code une seule fois', async () => {
+      await expect(OtpCode.verify(tel, code)).resolves.toBe('valid');
+      await expect(OtpCode.verify(tel, code)).resolves.toBe('expired');
+    });
+
+    it('ne valide qu\'une des vérifications parallèles du même code', async () => {
+      const results = await Promise.all([OtpCode.verify(tel, code), OtpCode.verify(tel, code)]);
+
+      expect(results.sort()).toEqual(['expired', 'valid']);
+    });
+
+    it('refuse un code expiré', async () => {
+      stored.expiresAt = new Date(Date.now() - 1000);
+
+      await expect(OtpCode.verify(tel, code)).resolves.toBe('expired');
+      expect(OtpCode.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('consomme le code au dernier essai autorisé', async () => {
+      for (let i = 0; i < 4; i++) {
+        await expect(OtpCode.verify(tel, '000000')).resolves.toBe('invalid');
+      }
+
+      await expect(OtpCode.verify(tel, '000000')).resolves.toBe('too_many_attempts');
+      // Le bon code n'est plus accepté une fois les essais épuisés
+      await expect(OtpCode.verify(tel, code)).resolves.toBe('expired');
+      expect(stored.consumedAt).toBeInstanceOf(Date);
+    });
+
+    it('ne dépasse pas le nombre d\'essais avec des essais parallèles', async () => {
+      const results = await Promise.all(
+        Array.from({ length: 8 }, () => OtpCode.verify(tel, '000000'))
+      );
+
+      expect(stored.attempts).toBe(5);
+      expect(results.filter((result) => result === 'invalid')).toHaveLength(4);
+      expect(results.filter((result) => result === 'too_many_attempts')).toHaveLength(4);
+      await expect(OtpCode.verify(tel, code)).resolves.toBe('expired');
+    });
+  });
+});
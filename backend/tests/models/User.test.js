@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const totp = require('../../src/utils/totp');
+const { hashToken } = require('../../src/utils/crypto');
+
+describe('models/User', () => {
+  describe('verifyTwoFactor', () => {
+    const secret = totp.generateSecret();
+    const recoveryCodes = ['aaaaa-11111', 'bbbbb-22222'];
+    const now = 1234567890 * 1000;
+    const step = totp.getTimeStep(now);
+    // État enregistré simulé, modifié uniquement via User.updateOne
+    let stored;
+
+    // Chaque requête charge son propre document, comme findById
+    const loadUser = () => User.hydrate({
+      _id: stored._id,
+      name: 'Agent',
+      email: 'agent@mireb.com',
+      twoFactorEnabled: true,
+      twoFactorSecret: secret,
+      twoFactorLastUsedStep: stored.lastUsedStep,
+      twoFactorRecoveryCodes: [...stored.recoveryCodes]
+    });
+
+    beforeEach(() => {
+      stored = {
+        _id: new mongoose.Types.ObjectId(),
+        lastUsedStep: step - 5,
+        recoveryCodes: recoveryCodes.map(hashToken)
+      };
+
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+        await new Promise(setImmediate);
+
+        if (update.$pull) {
+          const hashed = update.$pull.twoFactorRecoveryCodes;
+          if (!stored.recoveryCodes.includes(hashed)) return { modifiedCount: 0 };
+          stored.recoveryCodes = stored.recoveryCodes.filter((hash) => hash !== hashed);
+          return { modifiedCount: 1 };
+        }
+
+        const { $lt: lastAllowed } = filter.$or[0].twoFactorLastUsedStep;
+        if (stored.lastUsedStep !== null && stored.lastUsedStep >= lastAllowed) return { modifiedCount: 0 };
+        stored.lastUsedStep = update.$set.twoFactorLastUsedStep;
+        return { modifiedCount: 1 };
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('accepte un code TOTP et enregistre son pas de temps', async () => {
+      const user = loadUser();
+
+      await expect(user.verifyTwoFactor({ code: totp.generateCodeForStep(secret, step) })).resolves.toBe(true);
+      expect(stored.lastUsedStep).toBe(step);
+      expect(user.isModified('twoFactorLastUsedStep')).toBe(false);
+    });
+
+    it('n\'accepte qu\'une fois le même code TOTP envoyé par deux requêtes simultanées', async () => {
+      const code = totp.generateCodeForStep(secret, step);
+
+      const results = await Promise.all([
+        loadUser().verifyTwoFactor({ code }),
+        loadUser().verifyTwoFactor({ code })
+      ]);
+
+      expect(results.sort()).toEqual([false, true]);
+    });
+
+    it('refuse un code TOTP déjà utilisé', async () => {
+      const code = totp.generateCodeForStep(secret, step);
+      await loadUser().verifyTwoFactor({ code });
+
+      await expect(loadUser().verifyTwoFactor({ code })).resolves.toBe(false);
+    });
+
+    it('consomme un code de récupération', async () => {
+      const user = loadUser();
+
+      await expect(user.verifyTwoFactor({ recoveryCode: ' AAAAA-11111 ' })).resolves.toBe(true);
+      expect(stored.recoveryCodes).toEqual([hashToken('bbbbb-22222')]);
+      expect(user.twoFactorRecoveryCodes).toHaveLength(1);
+      expect(user.isModified('twoFactorRecoveryCodes')).toBe(false);
+    });
+
+    it('n\'accepte qu\'une fois le même code de récupération envoyé par deux requêtes simultanées', async () => {
+      const results = await Promise.all([
+        loadUser().verifyTwoFactor({ recoveryCode: 'aaaaa-11111' }),
+        loadUser().verifyTwoFactor({ recoveryCode: 'aaaaa-11111' })
+      ]);
+
+      expect(results.sort()).toEqual([false, true]);
+      expect(stored.recoveryCodes).toHaveLength(1);
+    });
+
+    it('refuse un code inconnu sans écrire en base', async () => {
+      const user = loadUser();
+
+      await expect(user.verifyTwoFactor({ recoveryCode: 'zzzzz-99999' })).resolves.toBe(false);
+      await expect(user.verifyTwoFactor({ code: '000000' })).resolves.toBe(false);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('refuse tout code si la 2FA n\'est pas activée', async () => {
+      const user = loadUser();
+      user.twoFactorEnabled = false;
+
+      await expect(user.verifyTwoFactor({ recoveryCode: 'aaaaa-11111' })).resolves.toBe(false);
+    });
+  });
+});
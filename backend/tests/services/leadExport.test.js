@@ -0,0 +1,45 @@
+const { toCsvField } = require('../../src/services/leadExport');
+
+describe('toCsvField', () => {
+  it('écrit les valeurs absentes comme des champs vides', () => {
+    expect(toCsvField(undefined)).toBe('');
+    expect(toCsvField(null)).toBe('');
+  });
+
+  it('écrit les nombres et les dates (jour seul) tels quels', () => {
+    expect(toCsvField(0)).toBe('0');
+    expect(toCsvField(-12.5)).toBe('-12.5');
+    expect(toCsvField(new Date('2026-03-10T23:30:00Z'))).toBe('2026-03-10');
+  });
+
+  it('laisse intact un texte ordinaire', () => {
+    expect(toCsvField('Jean Mukendi')).toBe('Jean Mukendi');
+  });
+
+  it.each([
+    ['=HYPERLINK("http://x")', '"\'=HYPERLINK(""http://x"")"'],
+    ['@SUM(A1)', '\'@SUM(A1)'],
+    ['+cmd|calc', '\'+cmd|calc'],
+    ['-2+3', '\'-2+3'],
+    ['\tcaché', '\'\tcaché']
+  ])('neutralise la formule %j', (input, expected) => {
+    expect(toCsvField(input)).toBe(expected);
+  });
+
+  it('conserve les téléphones et montants signés', () => {
+    expect(toCsvField('+243812345678')).toBe('+243812345678');
+    expect(toCsvField('+243 81 234 5678')).toBe('+243 81 234 5678');
+    expect(toCsvField('-15')).toBe('-15');
+  });
+
+  it('met entre guillemets les champs contenant un séparateur, une virgule ou un saut de ligne', () => {
+    expect(toCsvField('Kinshasa; Gombe')).toBe('"Kinshasa; Gombe"');
+    expect(toCsvField('noir, taille M')).toBe('"noir, taille M"');
+    expect(toCsvField('ligne 1\nligne 2')).toBe('"ligne 1\nligne 2"');
+    expect(toCsvField('ligne 1\r\nligne 2')).toBe('"ligne 1\r\nligne 2"');
+  });
+
+  it('double les guillemets internes', () => {
+    expect(toCsvField('le modèle "pro"')).toBe('"le modèle ""pro"""');
+  });
+});
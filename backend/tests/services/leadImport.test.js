@@ -0,0 +1,115 @@
+jest.mock('../../src/services/assignment');
+jest.mock('../../src/services/scoring');
+
+const Lead = require('../../src/models/Lead');
+const Product = require('../../src/models/Product');
+const LeadSource = require('../../src/models/LeadSource');
+const { autoAssignLead } = require('../../src/services/assignment');
+const { getScoringRules, refreshLeadScore } = require('../../src/services/scoring');
+const { importLeads } = require('../../src/services/leadImport');
+
+// Requête Mongoose simulée : chaînable (select) et awaitable
+const query = (value) => ({
+  select: () => query(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const toCsv = (lines) => Buffer.from(['nom;tel;produit', ...lines].join('\n'));
+const phone = (index) => `0812${String(index).padStart(6, '0')}`;
+// Les noms ne peuvent pas contenir de chiffres (Client AA, Client AB...)
+const letter = (code) => String.fromCharCode(65 + code);
+const name = (index) => `Client ${letter(Math.floor(index / 26))}${letter(index % 26)}`;
+
+describe('services/leadImport', () => {
+  const product = new Product({ nom: 'Casque', prix: 40, isActive: true });
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'find').mockReturnValue(query([product]));
+    jest.spyOn(LeadSource, 'getActiveCodes').mockResolvedValue(['website', 'import']);
+    jest.spyOn(Lead, 'findOpenDuplicate').mockResolvedValue(null);
+    jest.spyOn(Lead, 'insertMany').mockImplementation(async (docs) => docs);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    getScoringRules.mockResolvedValue({});
+    refreshLeadScore.mockResolvedValue(50);
+    autoAssignLead.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.resetAllMocks();
+  });
+
+  it('insère les leads par lots et les assigne un par un', async () => {
+    const lines = Array.from({ length: 250 }, (_, index) => `${name(index)};${phone(index)};Casque`);
+    let running = 0;
+    let maxRunning = 0;
+
+    autoAssignLead.mockImplementation(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(setImmediate);
+      running--;
+      return null;
+    });
+
+    const report = await importLeads(toCsv(lines));
+
+    expect(report.created).toBe(250);
+    expect(Lead.insertMany.mock.calls.map(([docs]) => docs.length)).toEqual([100, 100, 50]);
+    expect(Lead.insertMany.mock.calls[0][1]).toEqual({ ordered: false });
+    expect(refreshLeadScore).toHaveBeenCalledTimes(250);
+    expect(autoAssignLead).toHaveBeenCalledTimes(250);
+    // Chaque assignation voit la précédente (tourniquet, charge des agents)
+    expect(maxRunning).toBe(1);
+    expect(getScoringRules).toHaveBeenCalledTimes(1);
+
+    const [lead] = Lead.insertMany.mock.calls[0][0];
+    expect(lead).toMatchObject({ nom: 'Client AA', tel: '+243812000000', source: 'import' });
+    expect(report.rows[0].lead).toEqual(lead._id);
+  });
+
+  it('écarte les doublons et les lignes invalides avant l\'insertion', async () => {
+    Lead.findOpenDuplicate.mockImplementation(async (tel) => (tel === '+243812000003' ? { _id: 'existant' } : null));
+
+    const report = await importLeads(toCsv([
+      `${name(1)};${phone(1)};Casque`,
+      `${name(2)};${phone(1)};Casque`,
+      `${name(3)};${phone(3)};Casque`,
+      `${name(4)};0712345678;Casque`,
+      `${name(5)};${phone(5)};Inconnu`
+    ]));
+
+    expect(report).toMatchObject({ total: 5, created: 1, duplicates: 2, failed: 2 });
+    expect(report.rows[1]).toMatchObject({ status: 'duplicate', duplicateOfLine: 2 });
+    expect(report.rows[2]).toMatchObject({ status: 'duplicate', duplicateOf: 'existant' });
+    expect(Lead.insertMany.mock.calls[0][0]).toHaveLength(1);
+  });
+
+  it('marque en échec les seuls leads refusés par la base', async () => {
+    Lead.insertMany.mockImplementation(async (docs) => {
+      throw Object.assign(new Error('Erreur d\'écriture'), { insertedDocs: [docs[0], docs[2]] });
+    });
+
+    const report = await importLeads(toCsv([0, 1, 2].map((index) => `${name(index)};${phone(index)};Casque`)));
+
+    expect(report).toMatchObject({ created: 2, failed: 1 });
+    expect(report.rows[1]).toMatchObject({ status: 'failed', errors: [{ field: null, message: 'Erreur d\'écriture' }] });
+    expect(autoAssignLead).toHaveBeenCalledTimes(2);
+  });
+
+  it('conserve le lead créé si son assignation échoue', async () => {
+    autoAssignLead.mockRejectedValue(new Error('Aucun agent'));
+
+    const report = await importLeads(toCsv([`${name(1)};${phone(1)};Casque`]));
+
+    expect(report).toMatchObject({ created: 1, failed: 0 });
+  });
+
+  it('n\'enregistre rien en prévisualisation', async () => {
+    const report = await importLeads(toCsv([`${name(1)};${phone(1)};Casque`]), { dryRun: true });
+
+    expect(report).toMatchObject({ dryRun: true, valid: 1, created: 0 });
+    expect(Lead.insertMany).not.toHaveBeenCalled();
+    expect(autoAssignLead).not.toHaveBeenCalled();
+  });
+});
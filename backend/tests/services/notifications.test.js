@@ -0,0 +1,56 @@
+const {
+  registerTransport,
+  checkTransport,
+  sendNotification,
+  buildFrontendUrl
+} = require('../../src/services/notifications');
+
+describe('services/notifications', () => {
+  const originalTransport = process.env.NOTIFICATION_TRANSPORT;
+  const message = { to: 'client@example.com', subject: 'Sujet', text: 'Bonjour' };
+
+  afterEach(() => {
+    if (originalTransport === undefined) {
+      delete process.env.NOTIFICATION_TRANSPORT;
+    } else {
+      process.env.NOTIFICATION_TRANSPORT = originalTransport;
+    }
+  });
+
+  it('envoie le message avec le transport configuré', async () => {
+    const send = jest.fn().mockResolvedValue();
+    registerTransport('test', { send });
+    process.env.NOTIFICATION_TRANSPORT = 'test';
+
+    await sendNotification(message);
+
+    expect(send).toHaveBeenCalledWith(message);
+  });
+
+  it('rejette la promesse sans lever d\'exception pour un transport inconnu', async () => {
+    process.env.NOTIFICATION_TRANSPORT = 'inconnu';
+
+    let result;
+    expect(() => {
+      result = sendNotification(message);
+    }).not.toThrow();
+    await expect(result).rejects.toThrow('Transport de notification inconnu: inconnu');
+  });
+
+  it('signale un transport inconnu dès la vérification de démarrage', () => {
+    process.env.NOTIFICATION_TRANSPORT = 'inconnu';
+    expect(() => checkTransport()).toThrow('Transport de notification inconnu: inconnu');
+
+    process.env.NOTIFICATION_TRANSPORT = 'console';
+    expect(() => checkTransport()).not.toThrow();
+  });
+
+  it('refuse un transport sans méthode send', () => {
+    expect(() => registerTransport('invalide', {})).toThrow('Transport de notification invalide: invalide');
+  });
+
+  it('construit les liens vers le frontend', () => {
+    expect(buildFrontendUrl('/reset-password', { token: 'a b' }))
+      .toBe(`${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=a+b`);
+  });
+});
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const Product = require('../../src/models/Product');
+const { createOrder, changeOrderStatus } = require('../../src/services/orders');
+
+// Requête Mongoose simulée : chaînable (select) et awaitable
+const query = (value) => ({
+  select: () => query(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+describe('services/orders', () => {
+  // Stock simulé par ID produit, modifié uniquement via findOneAndUpdate
+  let stock;
+  let products;
+
+  const addProduct = (nom, prix, quantity) => {
+    const product = new Product({ nom, prix, stock: quantity });
+    products.set(product._id.toString(), product);
+    stock.set(product._id.toString(), quantity);
+    return product;
+  };
+
+  beforeEach(() => {
+    stock = new Map();
+    products = new Map();
+
+    jest.spyOn(Product, 'find').mockImplementation(({ _id: { $in: ids } }) => query(
+      ids.map((id) => products.get(id.toString())).filter(Boolean)
+    ));
+    jest.spyOn(Product, 'findById').mockImplementation((id) => query(
+      products.has(id.toString())
+        ? { nom: products.get(id.toString()).nom, stock: stock.get(id.toString()) }
+        : null
+    ));
+    jest.spyOn(Product, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const id = filter._id.toString();
+      // Laisse les autres opérations s'intercaler, comme un aller-retour réseau
+      await new Promise(setImmediate);
+
+      if (!stock.has(id) || (filter.stock && stock.get(id) < filter.stock.$gte)) {
+        return null;
+      }
+
+      stock.set(id, stock.get(id) + update.$inc.stock);
+      return { _id: filter._id, stock: stock.get(id) };
+    });
+    jest.spyOn(Order.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const orderData = (items, lead) => ({
+    lead,
+    customer: { nom: 'Jean Mukendi', tel: '0812345678' },
+    items
+  });
+
+  describe('createOrder', () => {
+    it('réserve le stock et fige les prix du catalogue', async () => {
+      const casque = addProduct('Casque', 40, 5);
+
+      const order = await createOrder(orderData([
+        { produit: casque._id, quantite: 2, variante: 'noir' },
+        { produit: casque._id, quantite: 1, variante: 'blanc' }
+      ]));
+
+      expect(stock.get(casque._id.toString())).toBe(2);
+      expect(order.total).toBe(120);
+      expect(order.status).toBe('confirmee');
+      expect(order.customer.tel).toBe('+243812345678');
+    });
+
+    it('ne vend pas deux fois la dernière unité lors de commandes simultanées', async () => {
+      const casque = addProduct('Casque', 40, 1);
+      const items = [{ produit: casque._id, quantite: 1 }];
+
+      const results = await Promise.allSettled([
+        createOrder(orderData(items)),
+        createOrder(orderData(items))
+      ]);
+
+      expect(results.filter(({ status }) => status === 'fulfilled')).toHaveLength(1);
+      expect(results.find(({ status }) => status === 'rejected').reason).toMatchObject({ statusCode: 409 });
+      expect(stock.get(casque._id.toString())).toBe(0);
+    });
+
+    it('restitue les produits déjà réservés si un autre manque de stock', async () => {
+      const casque = addProduct('Casque', 40, 5);
+      const montre = addProduct('Montre', 90, 1);
+
+      await expect(createOrder(orderData([
+        { produit: casque._id, quantite: 2 },
+        { produit: montre._id, quantite: 3 }
+      ]))).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Stock insuffisant pour « Montre » (disponible : 1)'
+      });
+
+      expect(stock.get(casque._id.toString())).toBe(5);
+      expect(stock.get(montre._id.toString())).toBe(1);
+      expect(Order.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('restitue le stock si le lead a déjà une commande (index unique)', async () => {
+      const casque = addProduct('Casque', 40, 5);
+      Order.prototype.save.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      await expect(createOrder(orderData([{ produit: casque._id, quantite: 2 }], new mongoose.Types.ObjectId())))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Ce lead a déjà une commande' });
+
+      expect(stock.get(casque._id.toString())).toBe(5);
+    });
+
+    it('restitue le stock et relance les autres erreurs d\'enregistrement', async () => {
+      const casque = addProduct('Casque', 40, 5);
+      Order.prototype.save.mockRejectedValue(new Error('connexion perdue'));
+
+      await expect(createOrder(orderData([{ produit: casque._id, quantite: 2 }]))).rejects.toThrow('connexion perdue');
+
+      expect(stock.get(casque._id.toString())).toBe(5);
+    });
+
+    it('refuse une commande invalide sans toucher au stock', async () => {
+      const casque = addProduct('Casque', 40, 5);
+
+      await expect(createOrder({ items: [{ produit: casque._id, quantite: 1 }] }))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+
+      expect(Product.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('renvoie 404 pour un produit inconnu', async () => {
+      await expect(createOrder(orderData([{ produit: new mongoose.Types.ObjectId(), quantite: 1 }])))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('changeOrderStatus', () => {
+    // Commande enregistrée simulée, modifiée uniquement via Order.findOneAndUpdate
+    let savedStatus;
+    let savedItems;
+
+    const buildOrder = (items) => {
+      const order = new Order({ ...orderData(items), status: 'confirmee' });
+      savedStatus = order.status;
+      savedItems = order.items;
+      return order;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        await new Promise(setImmediate);
+
+        if (savedStatus !== filter.status) {
+          return null;
+        }
+
+        savedStatus = update.$set.status;
+        return { _id: filter._id, items: savedItems, ...update.$set };
+      });
+    });
+
+    it('restitue le stock à l\'annulation', async () => {
+      const casque = addProduct('Casque', 40, 3);
+      const order = buildOrder([{ produit: casque._id, nom: 'Casque', quantite: 2, prixUnitaire: 40 }]);
+
+      const updated = await changeOrderStatus(order, 'annulee', 'Client injoignable', {});
+
+      expect(updated.status).toBe('annulee');
+      expect(updated.cancelledAt).toBeInstanceOf(Date);
+      expect(Order.findOneAndUpdate.mock.calls[0][1].$push.statusHistory).toMatchObject({
+        status: 'annulee',
+        note: 'Client injoignable'
+      });
+      expect(stock.get(casque._id.toString())).toBe(5);
+    });
+
+    it('ne restitue le stock qu\'une fois pour deux annulations simultanées', async () => {
+      const casque = addProduct('Casque', 40, 3);
+      const order = buildOrder([{ produit: casque._id, nom: 'Casque', quantite: 2, prixUnitaire: 40 }]);
+
+      const results = await Promise.allSettled([
+        changeOrderStatus(order, 'annulee', '', {}),
+        changeOrderStatus(order, 'annulee', '', {})
+      ]);
+
+      expect(results.filter(({ status }) => status === 'fulfilled')).toHaveLength(1);
+      expect(results.find(({ status }) => status === 'rejected').reason).toMatchObject({ statusCode: 409 });
+      expect(stock.get(casque._id.toString())).toBe(5);
+    });
+
+    it('ignore les produits supprimés depuis la commande', async () => {
+      const casque = addProduct('Casque', 40, 3);
+      const order = buildOrder([
+        { produit: casque._id, nom: 'Casque', quantite: 1, prixUnitaire: 40 },
+        { produit: new mongoose.Types.ObjectId(), nom: 'Ancien modèle', quantite: 1, prixUnitaire: 10 }
+      ]);
+
+      await changeOrderStatus(order, 'annulee', '', {});
+
+      expect(stock.get(casque._id.toString())).toBe(4);
+    });
+
+    it('ne touche pas au stock pour un autre changement de statut', async () => {
+      const casque = addProduct('Casque', 40, 3);
+      const order = buildOrder([{ produit: casque._id, nom: 'Casque', quantite: 2, prixUnitaire: 40 }]);
+
+      await changeOrderStatus(order, 'en_livraison', 'Livreur : Paul', {});
+
+      expect(savedStatus).toBe('en_livraison');
+      expect(Product.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('refuse de modifier une commande déjà annulée ou livrée', async () => {
+      const order = new Order({ ...orderData([]), status: 'annulee' });
+
+      await expect(changeOrderStatus(order, 'annulee', '', {})).rejects.toMatchObject({ statusCode: 409 });
+      expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const Lead = require('../../src/models/Lead');
+const LeadActivity = require('../../src/models/LeadActivity');
+const Product = require('../../src/models/Product');
+const { computeLeadScore, refreshLeadScore } = require('../../src/services/scoring');
+const { SCORING_SETTINGS } = require('../../src/config/settings');
+
+const rules = SCORING_SETTINGS.defaults;
+const now = new Date('2026-03-10T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const productA = { _id: '64b000000000000000000001', prix: 40, stock: 3 };
+const productB = { _id: '64b000000000000000000002', prix: 120, stock: 0 };
+
+const buildLead = (overrides = {}) => ({
+  message: '',
+  source: 'website',
+  createdAt: now,
+  ...overrides
+});
+
+describe('computeLeadScore', () => {
+  it('part du score de base sans produit ni signal', () => {
+    expect(computeLeadScore(buildLead(), rules, { now })).toBe(30);
+  });
+
+  it('applique le palier de prix le plus élevé atteint et la disponibilité', () => {
+    const score = (prix, stock) => computeLeadScore(
+      buildLead({ items: [{ produit: productA._id, quantite: 1 }] }),
+      rules,
+      { products: [{ ...productA, prix, stock }], now }
+    );
+
+    expect(score(40, 3)).toBe(40);
+    expect(score(120, 3)).toBe(50);
+    expect(score(250, 3)).toBe(55);
+    expect(score(250, 0)).toBe(30);
+  });
+
+  it('calcule le palier sur le total des articles au prix annoncé', () => {
+    const lead = buildLead({
+      items: [
+        { produit: productA._id, quantite: 3, prixUnitaire: 45 },
+        { produit: productA._id, quantite: 2, prixUnitaire: 60 }
+      ]
+    });
+
+    // 3 × 45 + 2 × 60 = 255 : palier 250, alors qu'un seul article n'atteint que 50
+    expect(computeLeadScore(lead, rules, { products: [productA], now })).toBe(55);
+  });
+
+  it('utilise le prix du catalogue sans prix annoncé et exige le stock de tous les articles', () => {
+    const lead = buildLead({
+      items: [
+        { produit: productA._id, quantite: 2 },
+        { produit: { _id: productB._id }, quantite: 1 }
+      ]
+    });
+
+    // 2 × 40 + 120 = 200 : palier 100 ; le second article est en rupture
+    expect(computeLeadScore(lead, rules, { products: [productA, productB], now })).toBe(25);
+    expect(computeLeadScore(lead, rules, { products: [productA, { ...productB, stock: 1 }], now })).toBe(50);
+  });
+
+  it('ignore les articles dont le produit n\'existe plus', () => {
+    const lead = buildLead({ items: [{ produit: productB._id, quantite: 5, prixUnitaire: 100 }] });
+    expect(computeLeadScore(lead, rules, { products: [null], now })).toBe(30);
+  });
+
+  it('compte les mots-clés sans tenir compte des accents ni de la casse', () => {
+    const lead = buildLead({ message: 'URGENT, quel Prïx ?' });
+    expect(computeLeadScore(lead, rules, { now })).toBe(45);
+  });
+
+  it('récompense un message détaillé', () => {
+    const lead = buildLead({ message: 'Bonjour, je voudrais le modèle noir en taille M' });
+    expect(computeLeadScore(lead, rules, { now })).toBe(40);
+  });
+
+  it('plafonne les points des demandes répétées', () => {
+    expect(computeLeadScore(buildLead(), rules, { repeatContacts: 1, now })).toBe(40);
+    expect(computeLeadScore(buildLead(), rules, { repeatContacts: 5, now })).toBe(50);
+  });
+
+  it('ajoute les points de la source, zéro pour une source inconnue', () => {
+    expect(computeLeadScore(buildLead({ source: 'direct' }), rules, { now })).toBe(45);
+    expect(computeLeadScore(buildLead({ source: 'salon' }), rules, { now })).toBe(30);
+  });
+
+  it('retire des points par jour d\'ancienneté dans la limite du plafond', () => {
+    expect(computeLeadScore(buildLead({ createdAt: new Date(now - 3 * DAY) }), rules, { now })).toBe(24);
+    expect(computeLeadScore(buildLead({ createdAt: new Date(now - 60 * DAY) }), rules, { now })).toBe(0);
+    // Un lead daté dans le futur n'est pas bonifié
+    expect(computeLeadScore(buildLead({ createdAt: new Date(now.getTime() + DAY) }), rules, { now })).toBe(30);
+  });
+
+  it('borne le score entre 0 et 100', () => {
+    const lead = buildLead({
+      source: 'direct',
+      message: 'Je veux commander en urgent avec livraison, quel est le prix ?'
+    });
+
+    lead.items = [{ produit: productA._id, quantite: 1, prixUnitaire: 500 }];
+
+    expect(computeLeadScore(lead, rules, { products: [productA], repeatContacts: 3, now })).toBe(100);
+    expect(computeLeadScore(buildLead(), { ...rules, baseScore: -20 }, { now })).toBe(0);
+  });
+
+  it('arrondit les règles décimales', () => {
+    expect(computeLeadScore(buildLead(), { ...rules, baseScore: 30.6 }, { now })).toBe(31);
+  });
+});
+
+describe('refreshLeadScore', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('charge les produits de tous les articles du lead', async () => {
+    const find = jest.spyOn(Product, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [productA, { ...productB, stock: 4 }] })
+    });
+    jest.spyOn(Lead, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(LeadActivity, 'countDocuments').mockResolvedValue(0);
+    const updateOne = jest.spyOn(Lead, 'updateOne').mockResolvedValue({});
+
+    const lead = Lead.hydrate({
+      _id: '64b0000000000000000000aa',
+      tel: '+243812345678',
+      message: '',
+      source: 'website',
+      produit: productA._id,
+      items: [
+        { produit: productA._id, quantite: 1, prixUnitaire: 40 },
+        { produit: productB._id, quantite: 1, prixUnitaire: 120 }
+      ],
+      createdAt: new Date()
+    });
+
+    // 40 + 120 = 160 : palier 100, tous les articles en stock
+    await expect(refreshLeadScore(lead, rules)).resolves.toBe(50);
+    expect(find.mock.calls[0][0]._id.$in.map(String)).toEqual([productA._id, productB._id]);
+    expect(updateOne).toHaveBeenCalledWith({ _id: lead._id }, expect.objectContaining({ score: 50 }));
+  });
+});
@@ -0,0 +1,107 @@
+const { getLeadSla, percentile } = require('../../src/services/sla');
+const { SLA_SETTINGS } = require('../../src/config/settings');
+const { LEAD_STATUSES } = require('../../src/config/leads');
+
+const settings = SLA_SETTINGS.defaults;
+const createdAt = new Date('2026-03-10T08:00:00Z');
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const after = (ms) => new Date(createdAt.getTime() + ms);
+
+describe('getLeadSla', () => {
+  it('ne signale rien pour un nouveau lead dans les délais', () => {
+    const sla = getLeadSla({ status: LEAD_STATUSES.NEW, createdAt }, settings, after(30 * MINUTE));
+
+    expect(sla).toEqual({
+      firstContactMinutes: null,
+      conversionMinutes: null,
+      firstContactBreached: false,
+      conversionBreached: false,
+      breached: false
+    });
+  });
+
+  it('signale un nouveau lead qui attend au-delà du seuil de premier contact', () => {
+    const sla = getLeadSla({ status: LEAD_STATUSES.NEW, createdAt }, settings, after(61 * MINUTE));
+
+    expect(sla.firstContactBreached).toBe(true);
+    expect(sla.breached).toBe(true);
+  });
+
+  it('mesure le premier contact horodaté, seuil inclus', () => {
+    const onTime = { status: LEAD_STATUSES.CONTACTED, createdAt, firstContactedAt: after(60 * MINUTE) };
+    const late = { ...onTime, firstContactedAt: after(95 * MINUTE) };
+
+    expect(getLeadSla(onTime, settings, after(2 * DAY))).toMatchObject({
+      firstContactMinutes: 60,
+      firstContactBreached: false
+    });
+    expect(getLeadSla(late, settings, after(2 * DAY))).toMatchObject({
+      firstContactMinutes: 95,
+      firstContactBreached: true
+    });
+  });
+
+  it('ne signale pas de premier contact manqué sans horodatage hors du statut nouveau', () => {
+    const lead = { status: LEAD_STATUSES.INTERESTED, createdAt };
+
+    expect(getLeadSla(lead, settings, after(2 * DAY)).firstContactBreached).toBe(false);
+  });
+
+  it('signale un lead ouvert non converti après le délai de conversion', () => {
+    const lead = { status: LEAD_STATUSES.INTERESTED, createdAt, firstContactedAt: after(10 * MINUTE) };
+
+    expect(getLeadSla(lead, settings, after(6 * DAY)).conversionBreached).toBe(false);
+    expect(getLeadSla(lead, settings, after(8 * DAY))).toMatchObject({
+      conversionMinutes: null,
+      conversionBreached: true,
+      breached: true
+    });
+  });
+
+  it('mesure la conversion horodatée et ignore l\'attente des leads fermés', () => {
+    const converted = {
+      status: LEAD_STATUSES.CONVERTED,
+      createdAt,
+      firstContactedAt: after(10 * MINUTE),
+      convertedAt: after(2 * DAY)
+    };
+    const lost = { status: LEAD_STATUSES.LOST, createdAt, firstContactedAt: after(10 * MINUTE) };
+
+    expect(getLeadSla(converted, settings, after(30 * DAY))).toMatchObject({
+      conversionMinutes: 2 * 24 * 60,
+      conversionBreached: false,
+      breached: false
+    });
+    expect(getLeadSla(lost, settings, after(30 * DAY)).breached).toBe(false);
+  });
+
+  it('signale une conversion tardive même pour un lead fermé', () => {
+    const lead = { status: LEAD_STATUSES.CONVERTED, createdAt, convertedAt: after(9 * DAY) };
+
+    expect(getLeadSla(lead, settings, after(10 * DAY)).conversionBreached).toBe(true);
+  });
+});
+
+describe('percentile', () => {
+  it('renvoie null sans valeurs', () => {
+    expect(percentile([], 0.5)).toBeNull();
+  });
+
+  it('renvoie la seule valeur d\'une série', () => {
+    expect(percentile([42], 0.5)).toBe(42);
+    expect(percentile([42], 0.9)).toBe(42);
+  });
+
+  it('interpole linéairement entre les rangs et arrondit', () => {
+    expect(percentile([10, 20, 30, 40], 0.5)).toBe(25);
+    expect(percentile([1, 2], 0.5)).toBe(2);
+    expect(percentile([10, 20, 30, 40, 50, 60, 70, 80, 90, 100], 0.9)).toBe(91);
+  });
+
+  it('renvoie les extrêmes aux percentiles 0 et 1', () => {
+    expect(percentile([3, 8, 15], 0)).toBe(3);
+    expect(percentile([3, 8, 15], 1)).toBe(15);
+  });
+});
@@ -0,0 +1,92 @@
+const {
+  parsePhone,
+  normalizePhone,
+  isValidPhone,
+  toPhoneSearchDigits
+} = require('../../src/utils/phone');
+
+describe('normalizePhone', () => {
+  const originalCountry = process.env.PHONE_DEFAULT_COUNTRY;
+
+  beforeEach(() => {
+    delete process.env.PHONE_DEFAULT_COUNTRY;
+  });
+
+  afterAll(() => {
+    if (originalCountry === undefined) {
+      delete process.env.PHONE_DEFAULT_COUNTRY;
+    } else {
+      process.env.PHONE_DEFAULT_COUNTRY = originalCountry;
+    }
+  });
+
+  it.each([
+    '0812345678',
+    '812345678',
+    '243812345678',
+    '+243812345678',
+    '00243812345678',
+    '+2430812345678',
+    '+243 81 234 5678',
+    '081-234-56-78',
+    '(081) 234.56.78'
+  ])('normalise « %s » en +243812345678', (input) => {
+    expect(normalizePhone(input)).toBe('+243812345678');
+  });
+
+  it('accepte les numéros E.164 des pays non configurés', () => {
+    expect(normalizePhone('+33612345678')).toBe('+33612345678');
+    expect(normalizePhone('0033612345678')).toBe('+33612345678');
+  });
+
+  it.each([
+    ['vide', ''],
+    ['absent', undefined],
+    ['avec des lettres', '08123abc78'],
+    ['trop court', '081234567'],
+    ['trop long', '08123456789'],
+    ['préfixe opérateur inconnu', '0712345678'],
+    ['E.164 trop court', '+3361234'],
+    ['indicatif commençant par 0', '+0612345678']
+  ])('refuse un numéro %s', (label, input) => {
+    expect(normalizePhone(input)).toBeNull();
+    expect(isValidPhone(input)).toBe(false);
+  });
+
+  it('ignore un pays par défaut non configuré', () => {
+    process.env.PHONE_DEFAULT_COUNTRY = 'XX';
+    expect(normalizePhone('0812345678')).toBe('+243812345678');
+  });
+});
+
+describe('parsePhone', () => {
+  it.each([
+    ['0812345678', 'Vodacom'],
+    ['0841234567', 'Orange'],
+    ['0991234567', 'Airtel'],
+    ['0901234567', 'Africell']
+  ])('identifie l\'opérateur de %s', (input, carrier) => {
+    expect(parsePhone(input)).toEqual({
+      e164: `+243${input.slice(1)}`,
+      country: 'CD',
+      carrier
+    });
+  });
+
+  it('ne renseigne ni pays ni opérateur hors des pays configurés', () => {
+    expect(parsePhone('+33612345678')).toEqual({ e164: '+33612345678', country: null, carrier: null });
+  });
+});
+
+describe('toPhoneSearchDigits', () => {
+  it('garde les chiffres sans le 0 initial', () => {
+    expect(toPhoneSearchDigits('081 234')).toBe('81234');
+    expect(toPhoneSearchDigits('+243 81')).toBe('24381');
+  });
+
+  it('ignore les termes qui ne sont pas des numéros ou trop courts', () => {
+    expect(toPhoneSearchDigits('Jean 081')).toBeNull();
+    expect(toPhoneSearchDigits('08')).toBeNull();
+    expect(toPhoneSearchDigits('')).toBeNull();
+  });
+});
@@ -0,0 +1,102 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCodeForStep,
+  getTimeStep,
+  verifyCode,
+  buildOtpauthUri
+} = require('../../src/utils/totp');
+
+// Secret de référence de la RFC 6238 (« 12345678901234567890 » en ASCII)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('encode selon la RFC 4648 sans padding', () => {
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('décode en ignorant la casse, les espaces et le padding', () => {
+    expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+
+  it('rejette un caractère hors alphabet', () => {
+    expect(() => base32Decode('MZXW1')).toThrow('Secret base32 invalide');
+  });
+
+  it('génère un secret de 160 bits réversible', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+  });
+});
+
+describe('generateCodeForStep', () => {
+  // Vecteurs SHA1 de la RFC 6238 (6 derniers chiffres des codes à 8 chiffres)
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ])('à T=%i s donne %s', (seconds, code) => {
+    expect(generateCodeForStep(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(code);
+  });
+});
+
+describe('getTimeStep', () => {
+  it('découpe le temps en pas de 30 secondes', () => {
+    expect(getTimeStep(0)).toBe(0);
+    expect(getTimeStep(29999)).toBe(0);
+    expect(getTimeStep(30000)).toBe(1);
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1234567890 * 1000;
+  const step = getTimeStep(now);
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepte le code du pas courant et renvoie ce pas', () => {
+    expect(verifyCode(RFC_SECRET, '005924')).toBe(step);
+  });
+
+  it('tolère un pas de décalage d\'horloge, pas davantage', () => {
+    expect(verifyCode(RFC_SECRET, generateCodeForStep(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCodeForStep(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCodeForStep(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  it('refuse un code déjà utilisé ou antérieur (anti-rejeu)', () => {
+    expect(verifyCode(RFC_SECRET, '005924', { lastUsedStep: step })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCodeForStep(RFC_SECRET, step - 1), { lastUsedStep: step - 1 })).toBeNull();
+  });
+
+  it('accepte les espaces et refuse un format invalide', () => {
+    expect(verifyCode(RFC_SECRET, '005 924')).toBe(step);
+    expect(verifyCode(RFC_SECRET, '05924')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('encode le libellé et les paramètres attendus par les applications', () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, label: 'admin@mireb.com', issuer: 'Mireb' });
+
+    expect(uri.startsWith('otpauth://totp/Mireb:admin%40mireb.com?')).toBe(true);
+    const params = new URL(uri).searchParams;
+    expect(params.get('secret')).toBe(RFC_SECRET);
+    expect(params.get('digits')).toBe('6');
+    expect(params.get('period')).toBe('30');
+  });
+});